@@ -0,0 +1,253 @@
+/**
+ * Local address book: labels, categories and notes for addresses, kept in
+ * localStorage and shared between team members as JSON or CSV files.
+ */
+
+import { escapeCsvValue } from './export-formats.js';
+
+const ADDRESS_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+
+/**
+ * Categories an address can be filed under
+ */
+export const ADDRESS_CATEGORIES = {
+    treasury: 'Treasury',
+    exchange: 'Exchange',
+    team: 'Team',
+    contract: 'Contract'
+};
+
+const CSV_COLUMNS = ['address', 'label', 'category', 'notes'];
+
+export class AddressBook {
+    /**
+     * @param {Object} options - Optional book configuration
+     * @param {Storage} options.storage - Where the book is persisted (localStorage by default)
+     * @param {string} options.storageKey - Key used in storage
+     * @param {Function} options.onChange - Called whenever an entry is added, changed or removed
+     */
+    constructor(options = {}) {
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = options.storageKey || 'ardrive-token-app:address-book';
+        this.onChange = options.onChange || null;
+        this.entries = this.load();
+    }
+
+    load() {
+        const entries = new Map();
+        try {
+            const stored = JSON.parse(this.storage.getItem(this.storageKey)) || [];
+            stored.forEach(entry => entries.set(entry.address, entry));
+        } catch (error) {
+            console.warn('Could not read the address book:', error.message);
+        }
+        return entries;
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify([...this.entries.values()]));
+        } catch (error) {
+            console.warn('Could not save the address book:', error.message);
+        }
+
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Get the entry of an address
+     * @param {string} address - Arweave address
+     * @returns {Object|null} `{address, label, category, notes}`, or null if the address is not in the book
+     */
+    get(address) {
+        return this.entries.get(address) || null;
+    }
+
+    /**
+     * List entries sorted by label
+     * @returns {Array<Object>} Entries
+     */
+    list() {
+        return [...this.entries.values()].sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * Add or replace an entry
+     * @param {Object} entry - `{address, label, category, notes}`
+     * @throws {Error} If the address or category is invalid or the label is empty
+     */
+    set(entry) {
+        this.entries.set(entry.address, normalizeEntry(entry));
+        this.save();
+    }
+
+    /**
+     * Remove the entry of an address
+     * @param {string} address - Arweave address
+     */
+    remove(address) {
+        if (this.entries.delete(address)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Add or replace several entries at once, e.g. from an imported file
+     * @param {Array<Object>} entries - Entries already checked by `parseAddressBook`
+     * @returns {Object} `{added, updated}` counts
+     */
+    merge(entries) {
+        let added = 0;
+        let updated = 0;
+        entries.forEach(entry => {
+            if (this.entries.has(entry.address)) {
+                updated++;
+            } else {
+                added++;
+            }
+            this.entries.set(entry.address, entry);
+        });
+        this.save();
+        return { added, updated };
+    }
+
+    /**
+     * Whether an address's label, category or notes contain a search term
+     * @param {string} address - Arweave address
+     * @param {string} term - Lowercase search term
+     * @returns {boolean} True if the entry matches
+     */
+    matches(address, term) {
+        const entry = this.entries.get(address);
+        if (!entry) return false;
+
+        return [entry.label, ADDRESS_CATEGORIES[entry.category] || '', entry.notes]
+            .some(value => value.toLowerCase().includes(term));
+    }
+}
+
+function normalizeEntry(entry) {
+    const address = String(entry.address || '').trim();
+    const label = String(entry.label || '').trim();
+    const category = String(entry.category || '').trim().toLowerCase();
+
+    if (!ADDRESS_PATTERN.test(address)) {
+        throw new Error(`Invalid address "${address}"`);
+    }
+    if (!label) {
+        throw new Error(`Missing label for ${address}`);
+    }
+    if (category && !(category in ADDRESS_CATEGORIES)) {
+        throw new Error(`Unknown category "${category}" for ${address}, expected one of ${Object.keys(ADDRESS_CATEGORIES).join(', ')}`);
+    }
+
+    return { address, label, category, notes: String(entry.notes || '').trim() };
+}
+
+// Split CSV text into records; quoted cells may hold commas, quotes and line breaks
+function parseCsv(text) {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    const endRecord = () => {
+        cells.push(cell);
+        records.push({ cells, line: recordLine });
+        cells = [];
+        cell = '';
+        recordLine = line;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\r') continue;
+        if (char === '\n') line++;
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (char === '\n') {
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+    endRecord();
+
+    return records;
+}
+
+/**
+ * Serialize address book entries for sharing
+ * @param {Array<Object>} entries - Entries to export
+ * @param {string} format - `json` or `csv` (`address,label,category,notes`)
+ * @returns {string} File content
+ */
+export function serializeAddressBook(entries, format) {
+    if (format === 'csv') {
+        const lines = entries.map(entry => CSV_COLUMNS.map(column => escapeCsvValue(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...lines].join('\n');
+    }
+    return JSON.stringify(entries, null, 2);
+}
+
+/**
+ * Parse an address book exported as JSON (an array of entries) or CSV.
+ * CSV files need an `address,label` header; `category` and `notes` columns
+ * are optional, in any order, and quoted notes may span lines.
+ * @param {string} text - File content
+ * @returns {Object} `{entries, errors}` where `errors` describes each rejected row
+ * @throws {Error} If the file is neither an entry array nor a CSV with the required columns
+ */
+export function parseAddressBook(text) {
+    const trimmed = text.trim();
+    const entries = [];
+    const errors = [];
+    let rows;
+
+    if (trimmed.startsWith('[')) {
+        rows = JSON.parse(trimmed).map((row, index) => ({ row, where: `Entry ${index + 1}` }));
+    } else {
+        const [headerRecord, ...records] = parseCsv(trimmed);
+        const header = headerRecord.cells.map(cell => cell.trim().toLowerCase());
+        if (!header.includes('address') || !header.includes('label')) {
+            throw new Error('Expected a JSON array or a CSV file with address and label columns');
+        }
+
+        rows = records
+            .filter(({ cells }) => cells.some(cell => cell.trim()))
+            .map(({ cells, line }) => {
+                const row = {};
+                header.forEach((column, index) => {
+                    row[column] = cells[index] || '';
+                });
+                return { row, where: `Line ${line}` };
+            });
+    }
+
+    rows.forEach(({ row, where }) => {
+        try {
+            entries.push(normalizeEntry(row || {}));
+        } catch (error) {
+            errors.push(`${where}: ${error.message}`);
+        }
+    });
+
+    return { entries, errors };
+}
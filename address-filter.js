@@ -0,0 +1,226 @@
+/**
+ * Advanced address filters for the balances and vaults views. A filter is
+ * `{match, conditions}` where `match` is `all` (AND) or `any` (OR) and each
+ * condition tests one field of an address profile. Vault conditions pass
+ * when any one of the address's vault entries matches.
+ */
+
+const BLOCKS_PER_DAY = 720; // 2 minute blocks
+
+/**
+ * Fields a condition can test. `range` conditions have optional `min` and
+ * `max` (inclusive), `choice` and `text` conditions have a `value`.
+ */
+export const FILTER_FIELDS = {
+    balance: { label: 'Liquid balance', type: 'range', unit: 'tokens' },
+    share: { label: 'Share of supply', type: 'range', unit: '%' },
+    hasVault: { label: 'Has vault', type: 'choice', options: { yes: 'Yes', no: 'No' } },
+    vaultStatus: { label: 'Vault status', type: 'choice', options: { unlockable: 'Has unlockable entry', locked: 'Has locked entry' } },
+    unlockBlock: { label: 'Unlock block', type: 'range', unit: '' },
+    unlocksIn: { label: 'Unlocks in', type: 'range', unit: 'days' },
+    lockLength: { label: 'Lock length', type: 'range', unit: 'blocks' },
+    label: { label: 'Label or tag', type: 'text' }
+};
+
+/**
+ * Filters offered before any have been saved
+ */
+export const BUILT_IN_PRESETS = {
+    'Holders over 10k with vaults unlocking in 30 days': {
+        match: 'all',
+        conditions: [
+            { field: 'balance', min: 10000, max: null },
+            { field: 'unlocksIn', min: null, max: 30 }
+        ]
+    },
+    'Top holders (over 1% of supply)': {
+        match: 'all',
+        conditions: [{ field: 'share', min: 1, max: null }]
+    },
+    'Unclaimed unlockable vaults': {
+        match: 'all',
+        conditions: [{ field: 'vaultStatus', value: 'unlockable' }]
+    }
+};
+
+/**
+ * Create an empty condition for a field
+ * @param {string} field - Key of `FILTER_FIELDS`
+ * @returns {Object} Condition
+ */
+export function createCondition(field) {
+    const definition = FILTER_FIELDS[field];
+    if (definition.type === 'range') {
+        return { field, min: null, max: null };
+    }
+    if (definition.type === 'choice') {
+        return { field, value: Object.keys(definition.options)[0] };
+    }
+    return { field, value: '' };
+}
+
+/**
+ * Whether a condition constrains anything (blank ranges and text match everything)
+ * @param {Object} condition - Condition
+ * @returns {boolean} True if the condition can exclude an address
+ */
+export function isActiveCondition(condition) {
+    const definition = FILTER_FIELDS[condition.field];
+    if (!definition) return false;
+    if (definition.type === 'range') {
+        return condition.min !== null || condition.max !== null;
+    }
+    return condition.value !== '';
+}
+
+function inRange(value, condition) {
+    return (condition.min === null || value >= condition.min) &&
+        (condition.max === null || value <= condition.max);
+}
+
+function matchesCondition(condition, profile, context) {
+    const height = context.currentBlockHeight || 0;
+
+    switch (condition.field) {
+        case 'balance':
+            return inRange(profile.balance, condition);
+        case 'share': {
+            const share = context.totalSupply > 0
+                ? ((profile.balance + profile.vaulted) / context.totalSupply) * 100
+                : 0;
+            return inRange(share, condition);
+        }
+        case 'hasVault':
+            return (profile.entries.length > 0) === (condition.value === 'yes');
+        case 'vaultStatus':
+            return profile.entries.some(entry =>
+                condition.value === 'unlockable' ? entry.end <= height : entry.end > height);
+        case 'unlockBlock':
+            return profile.entries.some(entry => inRange(entry.end, condition));
+        case 'unlocksIn':
+            // Entries that are already unlockable are not "unlocking within" anything
+            return profile.entries.some(entry =>
+                entry.end > height && inRange((entry.end - height) / BLOCKS_PER_DAY, condition));
+        case 'lockLength':
+            return profile.entries.some(entry => inRange(entry.end - entry.start, condition));
+        case 'label': {
+            const term = condition.value.toLowerCase();
+            return profile.labels.some(label => label.toLowerCase().includes(term));
+        }
+        default:
+            return true;
+    }
+}
+
+/**
+ * Test an address against a filter
+ * @param {Object} filter - `{match, conditions}`
+ * @param {Object} profile - `{address, balance, vaulted, entries, labels}` where `balance`
+ * is the liquid balance and `entries` the address's vault entries
+ * @param {Object} context - `{totalSupply, currentBlockHeight}`
+ * @returns {boolean} True if the address passes the filter
+ */
+export function matchesFilter(filter, profile, context) {
+    const conditions = filter.conditions.filter(isActiveCondition);
+    if (conditions.length === 0) return true;
+
+    return filter.match === 'any'
+        ? conditions.some(condition => matchesCondition(condition, profile, context))
+        : conditions.every(condition => matchesCondition(condition, profile, context));
+}
+
+/**
+ * Serialize a filter for a URL, e.g. `all|balance:10000..|unlocksIn:..30`
+ * @param {Object} filter - `{match, conditions}`
+ * @returns {string} Serialized filter, empty if no condition is active
+ */
+export function serializeFilter(filter) {
+    const conditions = filter.conditions.filter(isActiveCondition);
+    if (conditions.length === 0) return '';
+
+    const parts = conditions.map(condition => {
+        const value = FILTER_FIELDS[condition.field].type === 'range'
+            ? `${condition.min ?? ''}..${condition.max ?? ''}`
+            : encodeURIComponent(condition.value);
+        return `${condition.field}:${value}`;
+    });
+
+    return [filter.match === 'any' ? 'any' : 'all', ...parts].join('|');
+}
+
+function parseBound(text) {
+    if (text === '') return null;
+    const value = Number(text);
+    if (!Number.isFinite(value)) {
+        throw new Error(`"${text}" is not a number`);
+    }
+    return value;
+}
+
+/**
+ * Parse a filter serialized by `serializeFilter`
+ * @param {string} text - Serialized filter
+ * @returns {Object} `{match, conditions}`
+ * @throws {Error} If the text names an unknown field or holds an invalid value
+ */
+export function parseFilter(text) {
+    const [match, ...parts] = text.split('|');
+    if (match !== 'all' && match !== 'any') {
+        throw new Error(`Filter must start with "all" or "any", got "${match}"`);
+    }
+
+    const conditions = parts.map(part => {
+        const separator = part.indexOf(':');
+        const field = part.slice(0, separator);
+        const value = part.slice(separator + 1);
+        const definition = FILTER_FIELDS[field];
+
+        if (separator === -1 || !definition) {
+            throw new Error(`Unknown filter condition "${part}"`);
+        }
+
+        if (definition.type === 'range') {
+            const bounds = value.split('..');
+            if (bounds.length !== 2) {
+                throw new Error(`Expected min..max for ${field}, got "${value}"`);
+            }
+            return { field, min: parseBound(bounds[0]), max: parseBound(bounds[1]) };
+        }
+
+        const decoded = decodeURIComponent(value);
+        if (definition.type === 'choice' && !(decoded in definition.options)) {
+            throw new Error(`Unknown ${field} "${decoded}"`);
+        }
+        return { field, value: decoded };
+    });
+
+    return { match, conditions };
+}
+
+/**
+ * Describe a filter in words for the active filter summary
+ * @param {Object} filter - `{match, conditions}`
+ * @param {Function} formatNumber - Formats range bounds
+ * @returns {string} Description, empty if no condition is active
+ */
+export function describeFilter(filter, formatNumber = String) {
+    const descriptions = filter.conditions.filter(isActiveCondition).map(condition => {
+        const definition = FILTER_FIELDS[condition.field];
+
+        if (definition.type === 'range') {
+            const unit = definition.unit === '%' || definition.unit === '' ? definition.unit : ` ${definition.unit}`;
+            const min = condition.min !== null ? `${formatNumber(condition.min)}${unit}` : null;
+            const max = condition.max !== null ? `${formatNumber(condition.max)}${unit}` : null;
+            if (min && max) return `${definition.label} ${min} – ${max}`;
+            return min ? `${definition.label} ≥ ${min}` : `${definition.label} ≤ ${max}`;
+        }
+
+        if (definition.type === 'choice') {
+            return `${definition.label}: ${definition.options[condition.value]}`;
+        }
+
+        return `${definition.label} contains "${condition.value}"`;
+    });
+
+    return descriptions.join(filter.match === 'any' ? ' OR ' : ' AND ');
+}
@@ -1,33 +1,71 @@
 import { DataSource } from './data-source.js';
+import { adaptProviderResponse } from './state-providers.js';
+import { diffStates } from './state-diff.js';
+
+// Consecutive failures per provider, shared by every ApiSource so a provider
+// that is down keeps backing off across reloads
+const providerBackoff = new Map();
+const BACKOFF_BASE = 30000; // 30 seconds
+const BACKOFF_MAX = 10 * 60 * 1000; // 10 minutes
 
 /**
- * DataSource implementation that fetches state from an API endpoint
- * This is an example implementation for future use
+ * DataSource implementation that fetches state from one or more API
+ * endpoints, tried in priority order. Providers that fail are skipped with
+ * exponential backoff, and the last good state is only served when every
+ * provider fails, flagged as stale in `status`. Providers that send an ETag
+ * or Last-Modified header are asked for changes only on later fetches.
  */
 export class ApiSource extends DataSource {
     /**
-     * @param {string} apiEndpoint - URL of the API endpoint
+     * @param {string|Array<Object>} apiEndpoint - URL of the API endpoint, or providers in priority
+     * order as `{name, url, statePath, sortKeyPath, timeout}` (see state-providers.js)
      * @param {Object} options - Optional fetch configuration
+     * @param {number} options.cacheDuration - Milliseconds a fetched state is reused for
+     * @param {boolean} options.crossCheck - Also fetch from the next provider and report differences
+     * @param {string} options.contractTxId - Contract ID for providers that return a bare state
      */
     constructor(apiEndpoint, options = {}) {
         super();
-        this.apiEndpoint = apiEndpoint;
+        const { cacheDuration, crossCheck, contractTxId, ...fetchOptions } = options;
+
+        this.providers = typeof apiEndpoint === 'string'
+            ? [{ name: new URL(apiEndpoint, window.location.href).host, url: apiEndpoint, statePath: 'state', sortKeyPath: 'sortKey' }]
+            : apiEndpoint;
+        this.apiEndpoint = this.providers[0].url;
         this.options = {
             method: 'GET',
             headers: {
                 'Content-Type': 'application/json',
             },
-            ...options
+            ...fetchOptions
         };
+        this.crossCheck = crossCheck || false;
+        this.contractTxId = contractTxId || null;
         this.cachedState = null;
         this.cacheExpiry = null;
-        this.cacheDuration = options.cacheDuration || 60000; // 1 minute default
+        this.cacheDuration = cacheDuration || 60000; // 1 minute default
+        this.lastGood = null;
+        this.status = null;
+        // Provider URL → {etag, lastModified, data} of its last response
+        this.validators = new Map();
     }
 
     /**
-     * Fetches the token state from an API endpoint
+     * Remember the validators of an earlier response, e.g. one persisted
+     * across reloads, so the provider can answer 304 Not Modified
+     * @param {string} url - Provider request URL
+     * @param {Object} validators - `{etag, lastModified, data}` where `data` is the state it returned
+     */
+    setValidators(url, validators) {
+        if (validators.etag || validators.lastModified) {
+            this.validators.set(url, validators);
+        }
+    }
+
+    /**
+     * Fetches the token state from the first provider that responds
      * @returns {Promise<Object>} Promise resolving to the token state object
-     * @throws {Error} If API request fails
+     * @throws {Error} If every provider fails and no earlier state is available
      */
     async fetchState() {
         // Check if we have a valid cached state
@@ -35,8 +73,98 @@ export class ApiSource extends DataSource {
             return this.cachedState;
         }
 
+        const attempts = [];
+        const result = await this.fetchFromProviders(this.providers, attempts);
+
+        if (!result) {
+            const errors = attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ');
+
+            // Serve the last good state, but say so
+            if (this.lastGood) {
+                console.warn('Every provider failed, using the last fetched state:', errors);
+                this.status = { ...this.lastGood.status, stale: true, error: errors, attempts };
+                return this.lastGood.data;
+            }
+
+            throw new Error(`Error fetching from API: ${errors}`);
+        }
+
+        const { data, provider, notModified } = result;
+        const validators = this.validators.get(provider.url);
+        this.status = {
+            provider: provider.name,
+            url: provider.url,
+            fetchedAt: Date.now(),
+            stale: false,
+            error: null,
+            attempts,
+            crossCheck: null,
+            etag: validators ? validators.etag : null,
+            lastModified: validators ? validators.lastModified : null,
+            notModified
+        };
+
+        if (this.crossCheck) {
+            this.status.crossCheck = await this.runCrossCheck(data, provider);
+        }
+
+        // Cache the state
+        this.cachedState = data;
+        this.cacheExpiry = Date.now() + this.cacheDuration;
+        this.lastGood = { data, status: this.status };
+
+        return data;
+    }
+
+    /**
+     * Try providers in order, skipping ones that are backing off unless
+     * nothing else is left
+     * @param {Array<Object>} providers - Providers in priority order
+     * @param {Array<Object>} attempts - Collects `{provider, error}` for each failed provider
+     * @returns {Promise<Object|null>} Promise resolving to `{data, provider, notModified}`, or null if every provider failed
+     */
+    async fetchFromProviders(providers, attempts) {
+        const now = Date.now();
+        const backingOff = provider => (providerBackoff.get(provider.url)?.retryAt || 0) > now;
+        const order = [...providers.filter(provider => !backingOff(provider)), ...providers.filter(backingOff)];
+
+        for (const provider of order) {
+            try {
+                const { data, notModified } = await this.fetchFromProvider(provider);
+                providerBackoff.delete(provider.url);
+                return { data, provider, notModified };
+            } catch (error) {
+                const failures = (providerBackoff.get(provider.url)?.failures || 0) + 1;
+                providerBackoff.set(provider.url, {
+                    failures,
+                    retryAt: Date.now() + Math.min(BACKOFF_BASE * 2 ** (failures - 1), BACKOFF_MAX)
+                });
+                attempts.push({ provider: provider.name, error: error.message });
+            }
+        }
+
+        return null;
+    }
+
+    async fetchFromProvider(provider) {
+        const controller = new AbortController();
+        const timeout = provider.timeout || 15000;
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const validators = this.validators.get(provider.url);
+
+        const headers = { ...this.options.headers };
+        if (validators && validators.etag) {
+            headers['If-None-Match'] = validators.etag;
+        } else if (validators && validators.lastModified) {
+            headers['If-Modified-Since'] = validators.lastModified;
+        }
+
         try {
-            const response = await fetch(this.apiEndpoint, this.options);
+            const response = await fetch(provider.url, { ...this.options, headers, signal: controller.signal });
+
+            if (response.status === 304 && validators) {
+                return { data: validators.data, notModified: true };
+            }
 
             if (!response.ok) {
                 throw new Error(
@@ -44,31 +172,59 @@ export class ApiSource extends DataSource {
                 );
             }
 
-            const data = await response.json();
+            const data = adaptProviderResponse(provider, await response.json(), this.contractTxId);
 
-            // Validate the data structure
-            if (!data.state || !data.state.balances) {
-                throw new Error('Invalid data structure: missing state.balances');
-            }
-
-            // Cache the state
-            this.cachedState = data;
-            this.cacheExpiry = Date.now() + this.cacheDuration;
+            // Validators are only readable when the provider exposes them to CORS requests
+            this.validators.delete(provider.url);
+            this.setValidators(provider.url, {
+                etag: response.headers.get('ETag'),
+                lastModified: response.headers.get('Last-Modified'),
+                data
+            });
 
-            return data;
+            return { data, notModified: false };
         } catch (error) {
-            // If it's a network error, check if we have stale cache
-            if (this.cachedState) {
-                console.warn('Using stale cache due to API error:', error.message);
-                return this.cachedState;
-            }
+            throw error.name === 'AbortError' ? new Error(`timed out after ${timeout / 1000}s`) : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
 
-            throw new Error(`Error fetching from API: ${error.message}`);
+    /**
+     * Fetch the same state from another provider and count the differences
+     * @param {Object} data - State returned by the primary provider
+     * @param {Object} primary - Provider that returned it
+     * @returns {Promise<Object>} Promise resolving to `{provider, sortKey, balances, vaults, settings, error}`
+     */
+    async runCrossCheck(data, primary) {
+        const others = this.providers.filter(provider => provider !== primary);
+        if (others.length === 0) {
+            return { provider: null, error: 'Add a second provider to cross-check' };
+        }
+
+        const attempts = [];
+        const result = await this.fetchFromProviders(others, attempts);
+        if (!result) {
+            return {
+                provider: null,
+                error: attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')
+            };
         }
+
+        const diff = diffStates(data, result.data);
+        return {
+            provider: result.provider.name,
+            sortKey: result.data.sortKey,
+            balances: diff.balances.length,
+            vaults: diff.vaultsCreated.length + diff.vaultsRemoved.length + diff.vaultsExtended.length,
+            settings: diff.settings.length,
+            error: null
+        };
     }
 
     /**
-     * Clear the cached state and force a fresh fetch on next request
+     * Clear the cached state and force a fresh fetch on next request. The
+     * last good state is kept as a fallback for when every provider fails.
      */
     clearCache() {
         this.cachedState = null;
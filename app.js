@@ -1,25 +1,112 @@
 import { LocalFileSource } from './local-file-source.js';
 import { ApiSource } from './api-source.js';
+import { DEFAULT_PROVIDERS, buildProviderUrl } from './state-providers.js';
+import { FileSource } from './file-source.js';
+import { RecentFilesStore } from './recent-files.js';
+import { StateCache } from './state-cache.js';
+import { CachedSource } from './cached-source.js';
+import { ComputeSource, createSortKey, toWarpSortKey } from './compute-source.js';
+import { ArweaveGateway, DEFAULT_GATEWAY, resolveGateway } from './arweave-gateway.js';
+import { InteractionTracker } from './interaction-tracker.js';
+import { projectPendingInteractions } from './optimistic-state.js';
+import { diffStates } from './state-diff.js';
+import { checkStateIntegrity, INTEGRITY_CHECKS } from './state-integrity.js';
+import { summarizeContract, compareSettings } from './contract-summary.js';
+import { AddressBook, ADDRESS_CATEGORIES, serializeAddressBook, parseAddressBook } from './address-book.js';
+import {
+    tokenizeSource, groupTokenLines, findFunctionHandlers, fingerprintSource, getSourceVersions, findKnownSource
+} from './contract-source.js';
+import { formatExport, toCsv } from './export-formats.js';
+import { logHistogram, lorenzCurve, giniCoefficient, topConcentration, nakamotoCoefficient } from './distribution.js';
+import { createBarChart, createLineChart } from './charts.js';
+import { buildUnlockSchedule, estimateBlockDate } from './unlock-schedule.js';
+import {
+    FILTER_FIELDS, BUILT_IN_PRESETS, createCondition, matchesFilter, serializeFilter, parseFilter, describeFilter
+} from './address-filter.js';
 
 class TokenStateViewer {
     constructor() {
         this.dataSource = null;
+        this.confirmedState = null;
         this.state = null;
+        this.stateAt = null;
+        this.liveState = false; // The confirmed state was just fetched from the Cache API or computed
+        this.loadedStates = [];
+        this.selectedFile = null;
+        this.recentFiles = new RecentFilesStore();
+        this.pendingBalanceDeltas = new Map();
+        this.pendingVaultEntries = new WeakSet();
         this.balancesData = [];
         this.vaultsData = [];
         this.filteredBalances = [];
         this.filteredVaults = [];
         this.sourceCode = null;
         this.sourceTxId = null;
+        this.sourceVersions = null;
+        this.sourceFiles = new Map(); // Source TX ID → {code, tokens, handlers, fingerprint}, transactions never change
+        this.sourceMarksKey = 'ardrive-token-app:source-marks';
         this.walletAddress = null;
         this.walletConnected = false;
         this.arweave = null;
+        this.providerSettingsKey = 'ardrive-token-app:state-providers';
+        this.providerSettings = this.loadProviderSettings();
+        this.providerDraft = null;
+        this.apiSource = null;
+        this.apiSourceKey = null;
+        this.computeSource = null; // Latest evaluation of a contract, continued on reload
+        this.dataStatus = null;
+        this.stateCache = new StateCache();
+        this.stateCacheKey = null; // Cache key of the state on screen
+        this.offlineMode = this.loadOfflineMode();
+        this.memoryStates = new Map(); // Cache key → entry, for instant switching within the session
+        this.loadGeneration = 0;
+        this.watchlistKey = 'ardrive-token-app:watchlist';
+        this.watchlist = this.loadWatchlist();
+        this.watchlistLoading = new Set();
+        this.watchlistErrors = new Map();
+        this.loadedDataParams = null; // Source, contract and state point of the state on screen, as in links
+        this.staleAfter = 10 * 60 * 1000; // Data older than 10 minutes is flagged as stale
+        this.integrityReport = null;
+        this.expectedSupplyKey = 'ardrive-token-app:expected-supply';
+        this.gatewaySettingsKey = 'ardrive-token-app:gateways';
+        this.gatewayDraft = null;
+        this.gateway = new ArweaveGateway({
+            gateways: this.loadGatewaySettings(),
+            onFailover: (gateway, previous) => this.handleGatewayFailover(gateway, previous)
+        });
         this.currentBlockHeight = null;
+        this.loadingData = false;
+        this.interactionTracker = new InteractionTracker(this.gateway, {
+            onChange: () => this.handleTrackedInteractionsChange(),
+            onRefreshDue: (entries) => this.handleRefreshDue(entries)
+        });
+        this.batchRows = [];
+        this.batchSenderBalance = 0;
+        this.batchContractId = null; // Contract and wallet the batch was simulated against
+        this.batchSender = null;
+        this.batchSending = false;
+        this.detailAddress = null;
+        this.addressHistoryCache = new Map();
+        this.addressBook = new AddressBook({ onChange: () => this.handleAddressBookChange() });
+        this.addressBookOpen = false;
 
         // Sort state tracking
         this.balanceSortState = { column: null, direction: null };
         this.vaultSortState = { column: null, direction: null };
 
+        // Vaults tab layout ('cards' or 'table') and table rows showing their entries
+        this.vaultView = this.loadVaultView();
+        this.expandedVaults = new Set();
+
+        // Pagination state tracking
+        this.balancePage = { page: 1, pageSize: 50 };
+        this.vaultPage = { page: 1, pageSize: 25 };
+
+        // Advanced filter shared by balances and vaults; the draft is edited in the filter panel
+        this.activeFilter = { match: 'all', conditions: [] };
+        this.filterDraft = null;
+        this.filterPresetsKey = 'ardrive-token-app:filter-presets';
+
         this.init();
     }
 
@@ -34,20 +121,30 @@ class TokenStateViewer {
                 );
             }
 
-            // Initialize Arweave
-            this.arweave = window.Arweave.init({
-                host: 'arweave.net',
-                port: 443,
-                protocol: 'https'
-            });
+            // Initialize Arweave against the first configured gateway
+            this.arweave = this.createArweaveClient();
+            this.updateGatewayIndicator();
 
             this.setupEventListeners();
             this.setupWallet();
 
-            // Fetch and display current block height
-            await this.updateBlockHeight();
+            // Resume tracking interactions submitted in earlier sessions
+            this.renderTrackedInteractions();
+            this.interactionTracker.start();
+
+            // Keep the age of the loaded data current
+            setInterval(() => this.renderDataFreshness(), 30000);
+
+            // Summarize watched contracts from their states cached in earlier sessions
+            this.loadCachedWatchlist();
 
-            // Auto-load data with default source (Cache API)
+            // Fetch and display current block height (offline mode uses the cached state's)
+            if (!this.offlineMode) {
+                await this.updateBlockHeight();
+            }
+
+            // Auto-load data with the linked source, or the default (Cache API)
+            this.applyDataParams(new URLSearchParams(window.location.hash.slice(1)));
             await this.handleLoadData();
         } catch (error) {
             console.error('Error initializing app:', error);
@@ -56,234 +153,1347 @@ class TokenStateViewer {
         }
     }
 
-    async updateBlockHeight() {
+    loadProviderSettings() {
         try {
-            if (!this.arweave) return;
-
-            const result = await this.arweave.blocks.getCurrent();
-            this.currentBlockHeight = result.height;
+            const stored = JSON.parse(window.localStorage.getItem(this.providerSettingsKey));
+            if (stored && Array.isArray(stored.providers) && stored.providers.length > 0) {
+                return { providers: stored.providers, crossCheck: Boolean(stored.crossCheck) };
+            }
+        } catch (error) {
+            console.warn('Could not read state provider settings:', error.message);
+        }
+        return { providers: DEFAULT_PROVIDERS.map(provider => ({ ...provider })), crossCheck: false };
+    }
 
-            document.getElementById('current-block-height').textContent =
-                this.currentBlockHeight.toLocaleString();
+    saveProviderSettings() {
+        try {
+            window.localStorage.setItem(this.providerSettingsKey, JSON.stringify(this.providerSettings));
         } catch (error) {
-            console.error('Error fetching block height:', error);
-            document.getElementById('current-block-height').textContent = 'Error';
+            console.warn('Could not save state provider settings:', error.message);
         }
+        this.updateProviderSummary();
     }
 
-    setupWallet() {
-        // Check if Wander wallet is available
-        const checkWallet = () => {
-            if (window.arweaveWallet) {
-                console.log(`Using ${window.arweaveWallet.walletName || 'Wander'} wallet`);
-                console.log(`Version: ${window.arweaveWallet.walletVersion || 'unknown'}`);
-            }
-        };
+    updateProviderSummary() {
+        const { providers } = this.providerSettings;
+        const fallbacks = providers.length - 1;
+        document.getElementById('provider-summary').textContent = fallbacks > 0
+            ? `${providers[0].name} + ${fallbacks} fallback${fallbacks !== 1 ? 's' : ''}`
+            : providers[0].name;
+    }
 
-        // Check immediately
-        checkWallet();
+    openProviderSettings() {
+        this.providerDraft = this.providerSettings.providers.map(provider => ({ ...provider }));
+        this.showProviderMessage('');
+        this.renderProviderSettings();
+        document.getElementById('provider-modal').style.display = 'flex';
+    }
 
-        // Also listen for the wallet loaded event
-        window.addEventListener('arweaveWalletLoaded', () => {
-            checkWallet();
+    closeProviderSettings() {
+        this.providerDraft = null;
+        document.getElementById('provider-modal').style.display = 'none';
+    }
+
+    renderProviderSettings() {
+        const container = document.getElementById('provider-list');
+        container.innerHTML = '';
+
+        this.providerDraft.forEach((provider, index) => {
+            const row = document.createElement('div');
+            row.className = 'priority-row';
+            row.appendChild(this.createPriorityRowHeader(this.providerDraft, index, () => this.renderProviderSettings()));
+
+            const fields = document.createElement('div');
+            fields.className = 'provider-fields';
+
+            const addInput = (key, placeholder, className, parse = value => value) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = className;
+                input.placeholder = placeholder;
+                input.title = placeholder;
+                input.value = key === 'timeout' ? provider.timeout / 1000 : provider[key];
+                input.addEventListener('input', () => {
+                    provider[key] = parse(input.value.trim());
+                });
+                fields.appendChild(input);
+            };
+            addInput('name', 'Name', 'provider-name');
+            addInput('timeout', 'Timeout (seconds)', 'provider-timeout', value => Number(value) * 1000);
+            addInput('urlTemplate', 'URL template, e.g. https://example.com/contract/{contractId}', 'provider-url');
+            addInput('statePath', 'State path (empty if the response is the bare state)', 'provider-path');
+            addInput('sortKeyPath', 'Sort key path', 'provider-path');
+
+            row.appendChild(fields);
+            container.appendChild(row);
         });
+    }
 
-        // Setup wallet button click handler
-        document.getElementById('wallet-btn').addEventListener('click', () => {
-            if (this.walletConnected) {
-                this.showDisconnectModal();
+    saveProviderDraft() {
+        const errors = [];
+        this.providerDraft.forEach((provider, index) => {
+            const name = provider.name || (index === 0 ? 'Primary provider' : `Fallback ${index}`);
+            if (!provider.name) {
+                errors.push(`${name}: enter a name`);
+            }
+            if (!provider.urlTemplate.includes('{contractId}')) {
+                errors.push(`${name}: the URL template needs a {contractId} placeholder`);
             } else {
-                this.connectWallet();
+                try {
+                    new URL(buildProviderUrl(provider, 'x'.repeat(43)), window.location.href);
+                } catch (error) {
+                    errors.push(`${name}: the URL template is not a valid URL`);
+                }
+            }
+            if (!Number.isFinite(provider.timeout) || provider.timeout <= 0) {
+                errors.push(`${name}: timeout must be a positive number of seconds`);
             }
         });
 
-        // Setup modal event handlers
-        document.getElementById('cancel-disconnect-btn').addEventListener('click', () => {
-            this.hideDisconnectModal();
-        });
+        if (errors.length > 0) {
+            this.showProviderMessage(errors.join('\n'), true);
+            return;
+        }
 
-        document.getElementById('confirm-disconnect-btn').addEventListener('click', () => {
-            this.hideDisconnectModal();
-            this.disconnectWallet();
-        });
+        this.providerSettings.providers = this.providerDraft;
+        this.saveProviderSettings();
+        this.closeProviderSettings();
+    }
 
-        // Close modal when clicking overlay
-        document.querySelector('#disconnect-modal .modal-overlay').addEventListener('click', () => {
-            this.hideDisconnectModal();
-        });
+    showProviderMessage(message, isError = false) {
+        const messageEl = document.getElementById('provider-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+    }
 
-        // Close modal on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                const modal = document.getElementById('disconnect-modal');
-                if (modal.style.display !== 'none') {
-                    this.hideDisconnectModal();
+    getExpectedSupplies() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.expectedSupplyKey)) || {};
+        } catch (error) {
+            console.warn('Could not read expected supplies:', error.message);
+            return {};
+        }
+    }
+
+    setExpectedSupply(value) {
+        const supplies = this.getExpectedSupplies();
+        const contractId = this.confirmedState ? this.confirmedState.contractTxId : null;
+        if (!contractId) return;
+
+        const cleaned = value.replace(/[\s,_]/g, '');
+        if (cleaned === '') {
+            delete supplies[contractId];
+        } else if (/^\d+$/.test(cleaned)) {
+            supplies[contractId] = parseInt(cleaned, 10);
+        } else {
+            this.showError('Expected supply must be a whole number of tokens');
+            return;
+        }
+
+        try {
+            window.localStorage.setItem(this.expectedSupplyKey, JSON.stringify(supplies));
+        } catch (error) {
+            console.warn('Could not save expected supply:', error.message);
+        }
+
+        this.runIntegrityCheck();
+    }
+
+    runIntegrityCheck() {
+        const expectedSupply = this.getExpectedSupplies()[this.confirmedState.contractTxId];
+        this.integrityReport = {
+            ...checkStateIntegrity(this.confirmedState.state, { expectedSupply }),
+            expectedSupply: expectedSupply ?? null
+        };
+
+        const errors = this.integrityReport.issues.filter(issue => issue.severity === 'error').length;
+        const tabBtn = document.querySelector('.tab-btn[data-tab="integrity"]');
+        tabBtn.textContent = errors > 0 ? `Integrity (${errors})` : 'Integrity';
+        tabBtn.classList.toggle('has-errors', errors > 0);
+
+        if (errors > 0) {
+            this.showError(`The loaded state fails ${errors} integrity check${errors !== 1 ? 's' : ''}. Review the Integrity tab before acting on it.`);
+        }
+
+        const activeTab = document.querySelector('.tab-content.active');
+        if (activeTab && activeTab.id === 'integrity-tab') {
+            this.renderIntegrityReport();
+        }
+    }
+
+    renderIntegrityReport() {
+        const report = this.integrityReport;
+        if (!report) return;
+
+        const errors = report.issues.filter(issue => issue.severity === 'error');
+        const warnings = report.issues.filter(issue => issue.severity === 'warning');
+        const failing = new Set(report.issues.map(issue => issue.check));
+        const checks = Object.keys(INTEGRITY_CHECKS).filter(check => check !== 'supply' || report.expectedSupply !== null);
+
+        document.getElementById('integrity-errors').textContent = errors.length.toLocaleString();
+        document.getElementById('integrity-warnings').textContent = warnings.length.toLocaleString();
+        document.getElementById('integrity-passed').textContent =
+            `${checks.filter(check => !failing.has(check)).length} of ${checks.length}`;
+        document.getElementById('integrity-supply').textContent = this.formatNumber(report.totalSupply);
+        document.getElementById('expected-supply').value =
+            report.expectedSupply !== null ? report.expectedSupply.toLocaleString() : '';
+
+        const container = document.getElementById('integrity-checks');
+        container.innerHTML = '';
+
+        checks.forEach(check => {
+            const issues = report.issues.filter(issue => issue.check === check);
+            const hasErrors = issues.some(issue => issue.severity === 'error');
+            const section = document.createElement('div');
+            section.className = `integrity-check ${issues.length === 0 ? 'passed' : hasErrors ? 'failed' : 'warned'}`;
+
+            const title = document.createElement('div');
+            title.className = 'integrity-check-title';
+            title.textContent = issues.length === 0
+                ? `✓ ${INTEGRITY_CHECKS[check]}`
+                : `${hasErrors ? '✗' : '!'} ${INTEGRITY_CHECKS[check]} (${issues.length.toLocaleString()} issue${issues.length !== 1 ? 's' : ''})`;
+            section.appendChild(title);
+
+            if (issues.length > 0) {
+                // Thousands of identical issues are not useful to list
+                const list = document.createElement('ul');
+                list.className = 'integrity-issues';
+                issues.slice(0, 50).forEach(issue => {
+                    const item = document.createElement('li');
+                    item.className = issue.severity;
+                    const path = document.createElement('code');
+                    path.textContent = issue.path;
+                    item.appendChild(path);
+                    item.appendChild(document.createTextNode(` ${issue.message}`));
+                    list.appendChild(item);
+                });
+                if (issues.length > 50) {
+                    const more = document.createElement('li');
+                    more.textContent = `...and ${(issues.length - 50).toLocaleString()} more`;
+                    list.appendChild(more);
                 }
+                section.appendChild(list);
             }
+
+            container.appendChild(section);
         });
     }
 
-    showDisconnectModal() {
-        document.getElementById('disconnect-modal').style.display = 'flex';
+    formatAge(milliseconds) {
+        const minutes = Math.floor(milliseconds / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+        const days = Math.floor(hours / 24);
+        return `${days} day${days !== 1 ? 's' : ''} ago`;
     }
 
-    hideDisconnectModal() {
-        document.getElementById('disconnect-modal').style.display = 'none';
-    }
+    renderDataFreshness() {
+        const container = document.getElementById('data-freshness');
+        const status = this.dataStatus;
+        if (!status) return;
+
+        const age = Date.now() - status.fetchedAt;
+        const stale = status.stale || (!this.stateAt && age > this.staleAfter);
+        const lines = [];
+
+        const source = status.provider ? `from ${status.provider} ` : '';
+        const fetched = status.cached ? 'cached state fetched' : 'fetched';
+        const atBlock = status.cached && status.cached.blockHeight
+            ? `, state as of block ${this.formatNumber(status.cached.blockHeight)}`
+            : '';
+        lines.push(`${stale ? `Stale data: ${fetched}` : fetched[0].toUpperCase() + fetched.slice(1)} ${source}${this.formatAge(age)} (${new Date(status.fetchedAt).toLocaleString()})${atBlock}`);
+
+        if (status.cached && status.cached.offline) {
+            lines.push('Offline mode: showing the cached state only. Turn off offline mode to fetch a fresh one.');
+        } else if (status.cached && status.error) {
+            lines.push(`Could not load a fresh state, showing the cached one: ${status.error}`);
+        } else if (status.cached && status.cached.refreshing) {
+            lines.push('Showing the cached state while a fresh one loads...');
+        } else if (status.stale) {
+            lines.push(`Every provider failed, showing the last fetched state: ${status.error}`);
+        } else if (status.attempts.length > 0) {
+            lines.push(`Failed over: ${status.attempts.map(attempt => `${attempt.provider} (${attempt.error})`).join(', ')}`);
+        }
 
-    async connectWallet() {
-        try {
-            if (!window.arweaveWallet) {
-                throw new Error('Wander wallet not detected. Please install the Wander extension.');
-            }
+        if (status.notModified) {
+            lines.push('Unchanged since the last fetch (304 Not Modified)');
+        }
 
-            // Request permissions
-            await window.arweaveWallet.connect(
-                ['ACCESS_ADDRESS'],
-                {
-                    name: 'ArDrive Token Toolkit',
-                }
-            );
+        const crossCheck = status.crossCheck;
+        let diverged = false;
+        if (crossCheck && crossCheck.error) {
+            lines.push(`Cross-check unavailable: ${crossCheck.error}`);
+        } else if (crossCheck) {
+            const differences = crossCheck.balances + crossCheck.vaults + crossCheck.settings;
+            diverged = differences > 0;
+            const sortKeys = this.confirmedState.sortKey !== crossCheck.sortKey
+                ? ' The providers evaluated up to different interactions.'
+                : '';
+            lines.push(diverged
+                ? `Cross-check with ${crossCheck.provider}: ${crossCheck.balances} balance, ${crossCheck.vaults} vault and ${crossCheck.settings} settings differences.${sortKeys}`
+                : `Cross-check with ${crossCheck.provider}: states match`);
+        }
 
-            // Get the active address
-            this.walletAddress = await window.arweaveWallet.getActiveAddress();
-            this.walletConnected = true;
+        container.textContent = lines.join('\n');
+        container.classList.toggle('stale', stale);
+        container.classList.toggle('diverged', diverged);
+        container.style.display = 'block';
+    }
 
-            this.updateWalletUI();
-            this.updateWalletBalances();
+    loadOfflineMode() {
+        try {
+            return window.localStorage.getItem('ardrive-token-app:offline') === 'true';
         } catch (error) {
-            console.error('Error connecting wallet:', error);
-            this.showError(`Failed to connect wallet: ${error.message}`);
+            return false;
         }
     }
 
-    async disconnectWallet() {
+    setOfflineMode(enabled) {
+        this.offlineMode = enabled;
         try {
-            // Actually disconnect from Wander
-            if (window.arweaveWallet) {
-                await window.arweaveWallet.disconnect();
-            }
-
-            this.walletAddress = null;
-            this.walletConnected = false;
-            this.updateWalletUI();
+            window.localStorage.setItem('ardrive-token-app:offline', String(enabled));
         } catch (error) {
-            console.error('Error disconnecting wallet:', error);
-            // Still update UI even if disconnect fails
-            this.walletAddress = null;
-            this.walletConnected = false;
-            this.updateWalletUI();
+            console.warn('Could not save offline mode:', error.message);
         }
-    }
 
-    updateWalletUI() {
-        const walletBtn = document.getElementById('wallet-btn');
-        const walletBtnText = document.getElementById('wallet-btn-text');
-        const walletInfo = document.getElementById('wallet-info');
+        this.handleLoadData();
+    }
 
-        if (this.walletConnected && this.walletAddress) {
-            walletBtn.classList.add('connected');
-            walletBtnText.textContent = this.truncateAddress(this.walletAddress, 6, 4);
-            walletInfo.style.display = 'flex';
+    async getCachedState(key) {
+        const memory = this.memoryStates.get(key) || null;
+        let stored = null;
+        try {
+            stored = await this.stateCache.get(key);
+        } catch (error) {
+            console.warn('Could not read the state cache:', error.message);
+        }
 
-            // Update address display
-            document.getElementById('wallet-address').textContent = this.walletAddress;
+        // Whichever was fetched last
+        return memory && (!stored || memory.fetchedAt >= stored.fetchedAt) ? memory : stored;
+    }
 
-            // Setup copy button for wallet address
-            const copyWalletAddressBtn = document.getElementById('copy-wallet-address-btn');
-            copyWalletAddressBtn.dataset.originalTitle = 'Copy address';
-            copyWalletAddressBtn.onclick = () => this.copyToClipboard(this.walletAddress, copyWalletAddressBtn);
+    /**
+     * Block height a state was evaluated at, from the height part of its sort key
+     * @param {Object} data - Token state
+     * @returns {number|null} Block height, or null for states without a sort key
+     */
+    getStateHeight(data) {
+        const height = data && data.sortKey ? parseInt(data.sortKey.split(',')[0], 10) : NaN;
+        return Number.isFinite(height) ? height : null;
+    }
 
-            // If we're on the unlock tab, re-render it
-            const activeTab = document.querySelector('.tab-content.active');
-            if (activeTab && activeTab.id === 'unlock-tab') {
-                this.renderUnlockVaults();
-            }
-        } else {
-            walletBtn.classList.remove('connected');
-            walletBtnText.textContent = 'Connect Wallet';
-            walletInfo.style.display = 'none';
+    async saveCachedState(key, source, data = this.confirmedState, status = this.dataStatus) {
+        // Only states fresh from the source, never a fallback
+        if (!key || status.cached || status.stale) return null;
+
+        const entry = {
+            key,
+            source,
+            contractId: data.contractTxId,
+            data,
+            fetchedAt: status.fetchedAt,
+            blockHeight: this.getStateHeight(data),
+            networkHeight: this.currentBlockHeight,
+            provider: status.provider || document.querySelector(`input[name="dataSource"][value="${source}"]`)
+                .closest('label').textContent.trim(),
+            url: status.url || null,
+            etag: status.etag || null,
+            lastModified: status.lastModified || null
+        };
+        this.memoryStates.set(key, entry);
+        this.renderWatchlist();
 
-            // If we're on the unlock tab, re-render it to show the "connect wallet" message
-            const activeTab = document.querySelector('.tab-content.active');
-            if (activeTab && activeTab.id === 'unlock-tab') {
-                this.renderUnlockVaults();
-            }
+        try {
+            await this.stateCache.put(entry);
+            this.renderStateCacheSummary();
+        } catch (error) {
+            console.warn('Could not cache the state:', error.message);
         }
+        return entry;
     }
 
-    updateWalletBalances() {
-        if (!this.walletConnected || !this.walletAddress || !this.state) {
-            document.getElementById('wallet-balance').textContent = '-';
-            document.getElementById('wallet-vaulted').textContent = '-';
+    async refreshCachedState(source, key, cached, generation, dataParams) {
+        try {
+            await source.fetchState();
+        } catch (error) {
+            if (generation !== this.loadGeneration) return;
+            console.warn('Could not refresh the cached state:', error.message);
+            this.dataSource = new CachedSource(cached, { error: error.message });
+            this.dataStatus = { ...this.dataSource.status };
+            this.renderDataFreshness();
             return;
+        } finally {
+            // Compute State reports its replay progress in the loading banner,
+            // which a newer load may have taken over since
+            if (!this.loadingData) {
+                this.hideLoading();
+            }
         }
 
-        // Get balance from state
-        const balances = this.state.state.balances;
-        const balance = balances[this.walletAddress] || 0;
-        document.getElementById('wallet-balance').textContent = this.formatNumber(balance);
+        // A newer load took over while this one ran
+        if (generation !== this.loadGeneration) return;
 
-        // Get vaulted amount from state
-        const vaults = this.state.state.vault || {};
-        const userVaults = vaults[this.walletAddress] || [];
-        const totalVaulted = userVaults.reduce((sum, entry) => sum + entry.balance, 0);
-        document.getElementById('wallet-vaulted').textContent = this.formatNumber(totalVaulted);
+        try {
+            this.dataSource = source;
+            await this.loadData(dataParams);
+            this.renderBalances();
+            this.saveCachedState(key, key.split('|')[0]);
+        } catch (error) {
+            console.error('Error refreshing data:', error);
+            this.showError(error.message);
+        }
     }
 
-    async loadData() {
-        // Load the complete state
-        this.state = await this.dataSource.fetchState();
+    loadWatchlist() {
+        try {
+            const stored = JSON.parse(window.localStorage.getItem(this.watchlistKey));
+            if (Array.isArray(stored)) {
+                return stored.filter(item => item && this.isValidAddress(item.contractId));
+            }
+        } catch (error) {
+            console.warn('Could not read the watchlist:', error.message);
+        }
+        return [];
+    }
 
-        // Clear cached source code when loading new data
-        this.sourceCode = null;
-        this.sourceTxId = null;
+    saveWatchlist() {
+        try {
+            window.localStorage.setItem(this.watchlistKey, JSON.stringify(this.watchlist));
+        } catch (error) {
+            console.warn('Could not save the watchlist:', error.message);
+        }
+    }
 
-        // Display contract ID
-        const contractId = this.state.contractTxId;
-        document.getElementById('contractId').textContent = `Contract: ${contractId}`;
+    addToWatchlist(contractId) {
+        if (!this.isValidAddress(contractId)) {
+            this.showError('Enter a valid contract ID to watch');
+            return false;
+        }
+        if (this.watchlist.some(item => item.contractId === contractId)) {
+            this.showError('That contract is already in the watchlist');
+            return false;
+        }
 
-        // Show and setup copy button for contract
-        const copyContractBtn = document.getElementById('copy-contract-btn');
-        copyContractBtn.style.display = 'inline-flex';
-        copyContractBtn.dataset.originalTitle = 'Copy contract ID';
-        copyContractBtn.onclick = () => this.copyToClipboard(contractId, copyContractBtn);
+        this.watchlist.push({ contractId, name: null, ticker: null });
+        this.saveWatchlist();
+        this.renderWatchlist();
+        this.refreshWatchedContract(contractId);
+        return true;
+    }
 
-        // Process balances
-        const balances = this.state.state.balances;
-        this.balancesData = Object.entries(balances).map(([address, balance]) => ({
-            address,
-            balance
-        }));
-        this.filteredBalances = [...this.balancesData];
+    removeFromWatchlist(contractId) {
+        this.watchlist = this.watchlist.filter(item => item.contractId !== contractId);
+        this.watchlistErrors.delete(contractId);
+        this.saveWatchlist();
+        this.renderWatchlist();
+    }
 
-        // Process vaults (filter out vaults with 0 locked tokens)
-        const vaults = this.state.state.vault || {};
-        this.vaultsData = Object.entries(vaults)
-            .map(([address, entries]) => {
-                const total = entries.reduce((sum, entry) => sum + entry.balance, 0);
-                return {
-                    address,
-                    entries,
-                    total
-                };
-            })
-            .filter(vault => vault.total > 0);
-        this.filteredVaults = [...this.vaultsData];
+    async updateWatchedToken(contractId, source) {
+        const item = this.watchlist.find(entry => entry.contractId === contractId);
+        if (!item) return;
 
-        // Update wallet balances if wallet is connected
-        if (this.walletConnected) {
-            this.updateWalletBalances();
+        try {
+            const name = await source.getTokenName() || null;
+            const ticker = await source.getTokenTicker() || null;
+            if (name !== item.name || ticker !== item.ticker) {
+                Object.assign(item, { name, ticker });
+                this.saveWatchlist();
+                this.renderWatchlist();
+            }
+        } catch (error) {
+            console.warn(`Could not read the token name of ${contractId}:`, error.message);
         }
+    }
 
-        // If we're on the unlock tab, re-render it now that state is loaded
-        const activeTab = document.querySelector('.tab-content.active');
-        if (activeTab && activeTab.id === 'unlock-tab') {
-            this.renderUnlockVaults();
-        }
+    async loadCachedWatchlist() {
+        await Promise.all(this.watchlist.map(async item => {
+            const key = StateCache.key('api', item.contractId);
+            if (this.memoryStates.has(key)) return;
+
+            try {
+                const stored = await this.stateCache.get(key);
+                if (stored && !this.memoryStates.has(key)) {
+                    this.memoryStates.set(key, stored);
+                }
+            } catch (error) {
+                console.warn('Could not read the state cache:', error.message);
+            }
+        }));
+        this.renderWatchlist();
     }
 
-    setupEventListeners() {
+    async refreshWatchedContract(contractId) {
+        const key = StateCache.key('api', contractId);
+        this.watchlistLoading.add(contractId);
+        this.renderWatchlist();
+
+        try {
+            const cached = await this.getCachedState(key);
+            let source;
+            if (this.offlineMode) {
+                if (!cached) {
+                    throw new Error('Not cached. Turn off offline mode to fetch it.');
+                }
+                source = new CachedSource(cached, { offline: true });
+            } else {
+                source = new ApiSource(this.resolveProviders(contractId), { contractTxId: contractId });
+                if (cached && cached.url) {
+                    source.setValidators(cached.url, cached);
+                }
+            }
+
+            const data = await source.fetchState();
+            await this.saveCachedState(key, 'api', data, source.status);
+            await this.updateWatchedToken(contractId, source);
+            this.watchlistErrors.delete(contractId);
+        } catch (error) {
+            console.warn(`Could not load watched contract ${contractId}:`, error.message);
+            this.watchlistErrors.set(contractId, error.message);
+        } finally {
+            this.watchlistLoading.delete(contractId);
+            this.renderWatchlist();
+        }
+    }
+
+    openWatchedContract(contractId) {
+        document.querySelector('input[name="dataSource"][value="api"]').checked = true;
+        this.handleDataSourceChange('api');
+        document.getElementById('contract-address').value = contractId;
+        document.getElementById('state-at').value = '';
+        this.handleLoadData();
+    }
+
+    renderWatchlist() {
+        const loadedId = this.confirmedState && !this.stateAt ? this.confirmedState.contractTxId : null;
+        const label = item => item.ticker || item.name || this.truncateAddress(item.contractId, 6, 6);
+
+        // Quick switching from the data source section
+        const bar = document.getElementById('watchlist-bar');
+        bar.innerHTML = '';
+        if (this.watchlist.length > 0) {
+            const title = document.createElement('span');
+            title.className = 'recent-files-label';
+            title.textContent = 'Watchlist:';
+            bar.appendChild(title);
+
+            this.watchlist.forEach(item => {
+                const button = document.createElement('button');
+                button.className = `recent-file${item.contractId === loadedId ? ' active' : ''}`;
+                button.title = item.name ? `${item.name} (${item.contractId})` : item.contractId;
+                button.textContent = label(item);
+                button.addEventListener('click', () => this.openWatchedContract(item.contractId));
+                bar.appendChild(button);
+            });
+        }
+
+        const container = document.getElementById('watchlist-summary');
+        const settingsContainer = document.getElementById('watchlist-settings');
+        container.innerHTML = '';
+        settingsContainer.innerHTML = '';
+
+        if (this.watchlist.length === 0) {
+            container.innerHTML = '<p class="address-detail-empty">No contracts watched yet. Add a contract ID above.</p>';
+            return;
+        }
+
+        const entries = this.watchlist.map(item => this.memoryStates.get(StateCache.key('api', item.contractId)) || null);
+
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'table-container';
+        const table = document.createElement('table');
+        table.className = 'compare-table watchlist-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Token</th>
+                    <th>Contract</th>
+                    <th>Total Supply</th>
+                    <th>Holders</th>
+                    <th>Locked</th>
+                    <th>Fetched</th>
+                    <th></th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        this.watchlist.forEach((item, index) => {
+            const entry = entries[index];
+            const row = document.createElement('tr');
+            row.classList.toggle('active-row', item.contractId === loadedId);
+
+            const tokenCell = document.createElement('td');
+            tokenCell.textContent = item.name ? `${item.name}${item.ticker ? ` (${item.ticker})` : ''}` : label(item);
+
+            const contractCell = document.createElement('td');
+            contractCell.className = 'address-cell';
+            contractCell.title = item.contractId;
+            contractCell.textContent = this.truncateAddress(item.contractId, 6, 6);
+
+            const supplyCell = document.createElement('td');
+            const holdersCell = document.createElement('td');
+            const lockedCell = document.createElement('td');
+            const fetchedCell = document.createElement('td');
+
+            if (entry) {
+                const summary = summarizeContract(entry.data.state, this.currentBlockHeight);
+                supplyCell.textContent = this.formatNumber(summary.totalSupply);
+                holdersCell.textContent = summary.holders.toLocaleString();
+                lockedCell.textContent = `${summary.lockedPercent.toFixed(2)}%`;
+                lockedCell.title = `${this.formatNumber(summary.locked)} locked`;
+                fetchedCell.textContent = this.formatAge(Date.now() - entry.fetchedAt);
+                fetchedCell.title = `From ${entry.provider} at ${new Date(entry.fetchedAt).toLocaleString()}`;
+            } else {
+                [supplyCell, holdersCell, lockedCell].forEach(cell => {
+                    cell.textContent = '-';
+                });
+                fetchedCell.textContent = 'Not loaded';
+            }
+
+            if (this.watchlistLoading.has(item.contractId)) {
+                fetchedCell.textContent = 'Loading...';
+            } else if (this.watchlistErrors.has(item.contractId)) {
+                fetchedCell.textContent = entry ? `${fetchedCell.textContent} (refresh failed)` : 'Failed';
+                fetchedCell.title = this.watchlistErrors.get(item.contractId);
+                fetchedCell.classList.add('diff-loss');
+            }
+
+            const actionsCell = document.createElement('td');
+            actionsCell.className = 'watchlist-actions';
+            [
+                ['Open', () => this.openWatchedContract(item.contractId)],
+                ['Refresh', () => this.refreshWatchedContract(item.contractId)],
+                ['Remove', () => this.removeFromWatchlist(item.contractId)]
+            ].forEach(([text, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = text;
+                button.addEventListener('click', handler);
+                actionsCell.appendChild(button);
+            });
+
+            [tokenCell, contractCell, supplyCell, holdersCell, lockedCell, fetchedCell, actionsCell]
+                .forEach(cell => row.appendChild(cell));
+            tbody.appendChild(row);
+        });
+
+        table.appendChild(tbody);
+        tableContainer.appendChild(table);
+        container.appendChild(tableContainer);
+
+        // Settings side by side, differences first
+        const comparison = compareSettings(entries.map(entry => entry ? entry.data.state : null));
+        if (comparison.length === 0) {
+            settingsContainer.innerHTML = '<p class="address-detail-empty">Load a watched contract to compare settings</p>';
+            return;
+        }
+        comparison.sort((a, b) => Number(b.differs) - Number(a.differs));
+
+        const settingsTable = this.createCompareTable(
+            ['Setting', ...this.watchlist.map(label)],
+            comparison.map(setting => [
+                this.getSettingDisplayName(setting.key),
+                ...setting.values.map((value, index) => entries[index] ? this.formatSettingValue(value) : 'Not loaded')
+            ])
+        );
+        settingsTable.querySelectorAll('tbody tr').forEach((row, index) => {
+            row.classList.toggle('differs', comparison[index].differs);
+        });
+        settingsContainer.appendChild(settingsTable);
+    }
+
+    async renderStateCacheSummary() {
+        let count = 0;
+        try {
+            count = await this.stateCache.count();
+        } catch (error) {
+            console.warn('Could not read the state cache:', error.message);
+        }
+
+        document.getElementById('state-cache-summary').textContent =
+            `${count} cached state${count !== 1 ? 's' : ''}`;
+        document.getElementById('clear-state-cache-btn').disabled = count === 0;
+    }
+
+    async clearStateCache() {
+        try {
+            await this.stateCache.clear();
+        } catch (error) {
+            this.showError(`Could not clear the state cache: ${error.message}`);
+        }
+
+        // The state on screen is no longer backed by the cache
+        this.stateCacheKey = null;
+        this.renderStateCacheSummary();
+    }
+
+    createArweaveClient() {
+        const { host, port, protocol } = this.gateway.activeGateway;
+        return window.Arweave.init({ host, port, protocol });
+    }
+
+    loadGatewaySettings() {
+        try {
+            const stored = window.localStorage.getItem(this.gatewaySettingsKey);
+            const gateways = stored ? JSON.parse(stored) : null;
+            if (Array.isArray(gateways) && gateways.length > 0) {
+                return gateways;
+            }
+        } catch (error) {
+            console.warn('Could not read gateway settings:', error.message);
+        }
+        return [DEFAULT_GATEWAY];
+    }
+
+    handleGatewayFailover(gateway, previous) {
+        console.warn(`Gateway ${previous.host} is not responding, switched to ${gateway.host}`);
+
+        // Wallet transactions and block lookups follow the gateway that is responding
+        this.arweave = this.createArweaveClient();
+        this.updateGatewayIndicator();
+    }
+
+    updateGatewayIndicator() {
+        const button = document.getElementById('gateway-btn');
+        const { activeGateway, activeIndex, gateways } = this.gateway;
+
+        button.textContent = activeGateway.port === (activeGateway.protocol === 'http' ? 80 : 443)
+            ? activeGateway.host
+            : `${activeGateway.host}:${activeGateway.port}`;
+        button.classList.toggle('fallback', activeIndex > 0);
+        button.title = activeIndex > 0
+            ? `Using fallback gateway: ${gateways[0].host} is not responding. Click to configure gateways`
+            : 'Configure gateways';
+    }
+
+    openGatewaySettings() {
+        this.gatewayDraft = this.gateway.gateways.map((gateway, index) => {
+            // Only keep URLs that differ from the ones derived from host, port and protocol
+            const derived = resolveGateway({ host: gateway.host, port: gateway.port, protocol: gateway.protocol });
+            return {
+                host: gateway.host,
+                port: gateway.port,
+                protocol: gateway.protocol,
+                graphqlUrl: gateway.graphqlUrl !== derived.graphqlUrl ? gateway.graphqlUrl : '',
+                dataUrl: gateway.dataUrl !== derived.dataUrl ? gateway.dataUrl : '',
+                status: index === this.gateway.activeIndex ? 'Active' : ''
+            };
+        });
+
+        this.showGatewayMessage('');
+        this.renderGatewaySettings();
+        document.getElementById('gateway-modal').style.display = 'flex';
+    }
+
+    closeGatewaySettings() {
+        this.gatewayDraft = null;
+        document.getElementById('gateway-modal').style.display = 'none';
+    }
+
+    renderGatewaySettings() {
+        const container = document.getElementById('gateway-list');
+        container.innerHTML = '';
+
+        this.gatewayDraft.forEach((gateway, index) => {
+            const row = document.createElement('div');
+            row.className = 'priority-row';
+            row.appendChild(this.createPriorityRowHeader(this.gatewayDraft, index, () => this.renderGatewaySettings()));
+
+            const fields = document.createElement('div');
+            fields.className = 'gateway-fields';
+
+            const protocol = document.createElement('select');
+            ['https', 'http'].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = value;
+                protocol.appendChild(option);
+            });
+            protocol.value = gateway.protocol;
+            protocol.title = 'Protocol';
+            protocol.addEventListener('change', () => {
+                gateway.protocol = protocol.value;
+                this.updateGatewayPlaceholders(fields, gateway);
+            });
+            fields.appendChild(protocol);
+
+            const addInput = (key, placeholder, className) => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = className;
+                input.placeholder = placeholder;
+                input.title = placeholder;
+                input.value = gateway[key] ?? '';
+                input.dataset.field = key;
+                input.addEventListener('input', () => {
+                    gateway[key] = input.value.trim();
+                    this.updateGatewayPlaceholders(fields, gateway);
+                });
+                fields.appendChild(input);
+            };
+            addInput('host', 'Host', 'gateway-host');
+            addInput('port', 'Port', 'gateway-port');
+            addInput('graphqlUrl', 'GraphQL URL', 'gateway-url');
+            addInput('dataUrl', 'Data URL', 'gateway-url');
+
+            this.updateGatewayPlaceholders(fields, gateway);
+            row.appendChild(fields);
+            container.appendChild(row);
+        });
+    }
+
+    createPriorityRowHeader(list, index, render) {
+        // Title, status and reorder/remove buttons for an entry of a priority list
+        const item = list[index];
+        const header = document.createElement('div');
+        header.className = 'priority-row-header';
+
+        const title = document.createElement('span');
+        title.className = 'priority-row-title';
+        title.textContent = index === 0 ? 'Primary' : `Fallback ${index}`;
+        header.appendChild(title);
+
+        const status = document.createElement('span');
+        status.className = `priority-status ${item.statusClass || ''}`;
+        status.textContent = item.status || '';
+        header.appendChild(status);
+
+        const actions = document.createElement('div');
+        actions.className = 'priority-row-actions';
+        const addAction = (label, text, disabled, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = text;
+            button.title = label;
+            button.disabled = disabled;
+            button.addEventListener('click', onClick);
+            actions.appendChild(button);
+        };
+        const move = offset => {
+            const [moved] = list.splice(index, 1);
+            list.splice(index + offset, 0, moved);
+            render();
+        };
+        addAction('Move up', '↑', index === 0, () => move(-1));
+        addAction('Move down', '↓', index === list.length - 1, () => move(1));
+        addAction('Remove', 'Remove', list.length === 1, () => {
+            list.splice(index, 1);
+            render();
+        });
+        header.appendChild(actions);
+
+        return header;
+    }
+
+    updateGatewayPlaceholders(fields, gateway) {
+        // Show the URLs that apply when the URL fields are left empty
+        if (!gateway.host) return;
+
+        const derived = resolveGateway({ host: gateway.host, port: gateway.port, protocol: gateway.protocol });
+        fields.querySelector('[data-field="graphqlUrl"]').placeholder = `GraphQL URL (${derived.graphqlUrl})`;
+        fields.querySelector('[data-field="dataUrl"]').placeholder = `Data URL (${derived.dataUrl})`;
+    }
+
+    getGatewayDraftErrors() {
+        const errors = [];
+
+        this.gatewayDraft.forEach((gateway, index) => {
+            const name = index === 0 ? 'Primary gateway' : `Fallback ${index}`;
+            const port = Number(gateway.port);
+
+            if (!/^[a-zA-Z0-9.-]+$/.test(gateway.host || '')) {
+                errors.push(`${name}: enter a host name without protocol or path, e.g. arweave.net`);
+            }
+            if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                errors.push(`${name}: port must be a number between 1 and 65535`);
+            }
+            ['graphqlUrl', 'dataUrl'].forEach(key => {
+                if (!gateway[key]) return;
+                try {
+                    const url = new URL(gateway[key]);
+                    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+                        throw new Error('unsupported protocol');
+                    }
+                } catch (error) {
+                    errors.push(`${name}: ${key === 'graphqlUrl' ? 'GraphQL' : 'data'} URL is not a valid http(s) URL`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    getGatewayDraftConfigs() {
+        // Drop status fields and empty URLs before resolving or storing
+        return this.gatewayDraft.map(({ host, port, protocol, graphqlUrl, dataUrl }) => ({
+            host,
+            port: Number(port),
+            protocol,
+            ...(graphqlUrl ? { graphqlUrl } : {}),
+            ...(dataUrl ? { dataUrl } : {})
+        }));
+    }
+
+    async checkGatewayDraft() {
+        const errors = this.getGatewayDraftErrors();
+        if (errors.length > 0) {
+            this.showGatewayMessage(errors.join('\n'), true);
+            return;
+        }
+
+        const draft = this.gatewayDraft;
+        draft.forEach(gateway => {
+            gateway.status = 'Checking...';
+            gateway.statusClass = '';
+        });
+        this.showGatewayMessage('');
+        this.renderGatewaySettings();
+
+        const results = await new ArweaveGateway({ gateways: this.getGatewayDraftConfigs() }).checkHealth();
+
+        // The panel may have been closed or edited while checking
+        if (this.gatewayDraft !== draft) return;
+
+        results.forEach((result, index) => {
+            draft[index].status = result.ok
+                ? `OK · block ${result.height.toLocaleString()} · ${result.latency} ms`
+                : `Unreachable: ${result.error}`;
+            draft[index].statusClass = result.ok ? 'healthy' : 'unhealthy';
+        });
+        this.renderGatewaySettings();
+    }
+
+    async saveGatewaySettings() {
+        const errors = this.getGatewayDraftErrors();
+        if (errors.length > 0) {
+            this.showGatewayMessage(errors.join('\n'), true);
+            return;
+        }
+
+        const gateways = this.getGatewayDraftConfigs();
+        try {
+            window.localStorage.setItem(this.gatewaySettingsKey, JSON.stringify(gateways));
+        } catch (error) {
+            console.warn('Could not save gateway settings:', error.message);
+        }
+
+        this.gateway.setGateways(gateways);
+        this.arweave = this.createArweaveClient();
+        this.updateGatewayIndicator();
+        this.clearAddressHistories();
+        this.closeGatewaySettings();
+
+        await this.updateBlockHeight();
+    }
+
+    showGatewayMessage(message, isError = false) {
+        const messageEl = document.getElementById('gateway-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+    }
+
+    async updateBlockHeight() {
+        try {
+            // Goes through the gateway client so it fails over like every other request
+            const info = await this.gateway.fetchNetworkInfo();
+            this.currentBlockHeight = info.height;
+
+            document.getElementById('current-block-height').textContent =
+                this.currentBlockHeight.toLocaleString();
+        } catch (error) {
+            console.error('Error fetching block height:', error);
+            document.getElementById('current-block-height').textContent = 'Error';
+        }
+    }
+
+    setupWallet() {
+        // Check if Wander wallet is available
+        const checkWallet = () => {
+            if (window.arweaveWallet) {
+                console.log(`Using ${window.arweaveWallet.walletName || 'Wander'} wallet`);
+                console.log(`Version: ${window.arweaveWallet.walletVersion || 'unknown'}`);
+            }
+        };
+
+        // Check immediately
+        checkWallet();
+
+        // Also listen for the wallet loaded event
+        window.addEventListener('arweaveWalletLoaded', () => {
+            checkWallet();
+        });
+
+        // Setup wallet button click handler
+        document.getElementById('wallet-btn').addEventListener('click', () => {
+            if (this.walletConnected) {
+                this.showDisconnectModal();
+            } else {
+                this.connectWallet();
+            }
+        });
+
+        // Setup modal event handlers
+        document.getElementById('cancel-disconnect-btn').addEventListener('click', () => {
+            this.hideDisconnectModal();
+        });
+
+        document.getElementById('confirm-disconnect-btn').addEventListener('click', () => {
+            this.hideDisconnectModal();
+            this.disconnectWallet();
+        });
+
+        // Close modal when clicking overlay
+        document.querySelector('#disconnect-modal .modal-overlay').addEventListener('click', () => {
+            this.hideDisconnectModal();
+        });
+
+        // Close modal on Escape key
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                const modal = document.getElementById('disconnect-modal');
+                if (modal.style.display !== 'none') {
+                    this.hideDisconnectModal();
+                } else if (this.filterDraft) {
+                    this.closeFilterPanel();
+                } else if (this.gatewayDraft) {
+                    this.closeGatewaySettings();
+                } else if (this.providerDraft) {
+                    this.closeProviderSettings();
+                } else if (this.addressBookOpen) {
+                    this.closeAddressBook();
+                } else if (this.detailAddress) {
+                    this.closeAddressDetail();
+                }
+            }
+        });
+    }
+
+    showDisconnectModal() {
+        document.getElementById('disconnect-modal').style.display = 'flex';
+    }
+
+    hideDisconnectModal() {
+        document.getElementById('disconnect-modal').style.display = 'none';
+    }
+
+    async connectWallet() {
+        try {
+            if (!window.arweaveWallet) {
+                throw new Error('Wander wallet not detected. Please install the Wander extension.');
+            }
+
+            // Request permissions
+            await window.arweaveWallet.connect(
+                ['ACCESS_ADDRESS'],
+                {
+                    name: 'ArDrive Token Toolkit',
+                }
+            );
+
+            // Get the active address
+            this.walletAddress = await window.arweaveWallet.getActiveAddress();
+            this.walletConnected = true;
+
+            this.updateWalletUI();
+            this.updateWalletBalances();
+        } catch (error) {
+            console.error('Error connecting wallet:', error);
+            this.showError(`Failed to connect wallet: ${error.message}`);
+        }
+    }
+
+    async disconnectWallet() {
+        try {
+            // Actually disconnect from Wander
+            if (window.arweaveWallet) {
+                await window.arweaveWallet.disconnect();
+            }
+
+            this.walletAddress = null;
+            this.walletConnected = false;
+            this.updateWalletUI();
+        } catch (error) {
+            console.error('Error disconnecting wallet:', error);
+            // Still update UI even if disconnect fails
+            this.walletAddress = null;
+            this.walletConnected = false;
+            this.updateWalletUI();
+        }
+    }
+
+    updateWalletUI() {
+        const walletBtn = document.getElementById('wallet-btn');
+        const walletBtnText = document.getElementById('wallet-btn-text');
+        const walletInfo = document.getElementById('wallet-info');
+
+        if (this.walletConnected && this.walletAddress) {
+            walletBtn.classList.add('connected');
+            const walletEntry = this.addressBook.get(this.walletAddress);
+            walletBtnText.textContent = walletEntry
+                ? `${walletEntry.label} (${this.truncateAddress(this.walletAddress, 6, 4)})`
+                : this.truncateAddress(this.walletAddress, 6, 4);
+            walletInfo.style.display = 'flex';
+
+            // Update address display
+            const walletAddressEl = document.getElementById('wallet-address');
+            walletAddressEl.textContent = this.walletAddress;
+            this.appendAddressLabel(walletAddressEl, this.walletAddress);
+
+            // Setup copy button for wallet address
+            const copyWalletAddressBtn = document.getElementById('copy-wallet-address-btn');
+            copyWalletAddressBtn.dataset.originalTitle = 'Copy address';
+            copyWalletAddressBtn.onclick = () => this.copyToClipboard(this.walletAddress, copyWalletAddressBtn);
+
+            // If we're on the unlock or votes tab, re-render it
+            const activeTab = document.querySelector('.tab-content.active');
+            if (activeTab && activeTab.id === 'unlock-tab') {
+                this.renderUnlockVaults();
+            } else if (activeTab && activeTab.id === 'votes-tab') {
+                this.renderVotes();
+            }
+        } else {
+            walletBtn.classList.remove('connected');
+            walletBtnText.textContent = 'Connect Wallet';
+            walletInfo.style.display = 'none';
+
+            // If we're on the unlock or votes tab, re-render it to show the "connect wallet" message
+            const activeTab = document.querySelector('.tab-content.active');
+            if (activeTab && activeTab.id === 'unlock-tab') {
+                this.renderUnlockVaults();
+            } else if (activeTab && activeTab.id === 'votes-tab') {
+                this.renderVotes();
+            }
+        }
+    }
+
+    updateWalletBalances() {
+        if (!this.walletConnected || !this.walletAddress || !this.state) {
+            document.getElementById('wallet-balance').textContent = '-';
+            document.getElementById('wallet-vaulted').textContent = '-';
+            return;
+        }
+
+        // Get balance from state
+        const balances = this.state.state.balances;
+        const balance = balances[this.walletAddress] || 0;
+        const balanceEl = document.getElementById('wallet-balance');
+        balanceEl.textContent = this.formatNumber(balance);
+
+        const pendingDelta = this.pendingBalanceDeltas.get(this.walletAddress);
+        if (pendingDelta) {
+            balanceEl.appendChild(this.createPendingMarker(pendingDelta));
+        }
+
+        // Get vaulted amount from state
+        const vaults = this.state.state.vault || {};
+        const userVaults = vaults[this.walletAddress] || [];
+        const totalVaulted = userVaults.reduce((sum, entry) => sum + entry.balance, 0);
+        const vaultedEl = document.getElementById('wallet-vaulted');
+        vaultedEl.textContent = this.formatNumber(totalVaulted);
+
+        if (userVaults.some(entry => this.pendingVaultEntries.has(entry))) {
+            vaultedEl.appendChild(this.createPendingMarker());
+        }
+    }
+
+    async loadData(dataParams) {
+        const firstLoad = !this.confirmedState;
+
+        // Load the complete state as evaluated by the data source
+        this.confirmedState = await this.dataSource.fetchState();
+        this.liveState = this.dataSource instanceof ApiSource || this.dataSource instanceof ComputeSource;
+        this.dataStatus = this.dataSource.status
+            ? { ...this.dataSource.status }
+            : { provider: null, fetchedAt: Date.now(), stale: false, error: null, attempts: [], crossCheck: null };
+        this.renderDataFreshness();
+
+        // Check the state as served, before pending interactions are layered on
+        this.runIntegrityCheck();
+
+        // Address histories may be missing interactions mined since they loaded
+        this.clearAddressHistories();
+
+        // Clear cached source code when loading new data
+        this.sourceCode = null;
+        this.sourceTxId = null;
+        this.sourceVersions = null;
+
+        // Display contract ID
+        const contractId = this.confirmedState.contractTxId;
+        document.getElementById('contractId').textContent = this.stateAt
+            ? `Contract: ${contractId} (as of ${this.describeStateAt(this.stateAt)})`
+            : `Contract: ${contractId}`;
+
+        // Show and setup copy button for contract
+        const copyContractBtn = document.getElementById('copy-contract-btn');
+        copyContractBtn.style.display = 'inline-flex';
+        copyContractBtn.dataset.originalTitle = 'Copy contract ID';
+        copyContractBtn.onclick = () => this.copyToClipboard(contractId, copyContractBtn);
+
+        // Stop waiting on confirmed interactions this state already includes.
+        // Snapshots, files and cached states say nothing about recent interactions.
+        if (this.liveState && !this.stateAt) {
+            this.interactionTracker.markReflected(contractId, this.confirmedState.validity);
+        }
+
+        // Keep the state around for the Compare tab
+        this.recordLoadedState(this.confirmedState, dataParams.source);
+
+        // Mark the loaded contract in the watchlist and keep its name current
+        this.updateWatchedToken(contractId, this.dataSource);
+        this.renderWatchlist();
+
+        // Layer interactions the source has not evaluated yet on top
+        this.applyPendingInteractions();
+
+        // Update wallet balances if wallet is connected
+        if (this.walletConnected) {
+            this.updateWalletBalances();
+        }
+
+        // If we're on a tab rendered from state, re-render it now that state is loaded
+        const activeTab = document.querySelector('.tab-content.active');
+        if (activeTab && activeTab.id === 'unlock-tab') {
+            this.renderUnlockVaults();
+        } else if (activeTab && activeTab.id === 'votes-tab') {
+            this.renderVotes();
+        } else if (activeTab && activeTab.id === 'analytics-tab') {
+            this.renderAnalytics();
+        } else if (activeTab && activeTab.id === 'timeline-tab') {
+            this.renderTimeline();
+        }
+
+        // Keep the link in step with what is on screen (the first load replaces the entry it started on)
+        this.loadedDataParams = dataParams;
+        this.updateHash(this.getLinkParams(dataParams), firstLoad);
+
+        // Open (or refresh) a deep-linked address
+        this.handleHashChange();
+    }
+
+    applyPendingInteractions() {
+        // Pending interactions only apply on top of the latest state of a live source
+        const pending = this.stateAt || !this.liveState
+            ? []
+            : this.interactionTracker.unevaluated(this.confirmedState.contractTxId);
+
+        if (pending.length === 0) {
+            this.state = this.confirmedState;
+            this.pendingBalanceDeltas = new Map();
+            this.pendingVaultEntries = new WeakSet();
+        } else {
+            const projection = projectPendingInteractions(
+                this.confirmedState,
+                pending,
+                this.currentBlockHeight || 0
+            );
+
+            if (projection.skipped.length > 0) {
+                console.warn(`${projection.skipped.length} pending interaction(s) no longer apply to the loaded state`);
+            }
+
+            this.state = projection.state;
+            this.pendingBalanceDeltas = projection.balanceDeltas;
+            this.pendingVaultEntries = projection.pendingEntries;
+        }
+
+        this.processState();
+    }
+
+    processState() {
+        // Process balances
+        const balances = this.state.state.balances;
+        this.balancesData = Object.entries(balances).map(([address, balance]) => ({
+            address,
+            balance,
+            pendingDelta: this.pendingBalanceDeltas.get(address) || 0
+        }));
+
+        // Process vaults (filter out vaults with 0 locked tokens)
+        const vaults = this.state.state.vault || {};
+        this.vaultsData = Object.entries(vaults)
+            .map(([address, entries]) => {
+                const total = entries.reduce((sum, entry) => sum + entry.balance, 0);
+                const ends = entries.map(entry => entry.end);
+                return {
+                    address,
+                    entries,
+                    total,
+                    entryCount: entries.length,
+                    earliestUnlock: Math.min(...ends),
+                    latestUnlock: Math.max(...ends),
+                    pending: entries.some(entry => this.pendingVaultEntries.has(entry))
+                };
+            })
+            .filter(vault => vault.total > 0);
+
+        // Keep the current search, filter and sort
+        this.updateFilteredBalances(document.getElementById('balance-search').value);
+        this.updateFilteredVaults(document.getElementById('vault-search').value);
+    }
+
+    refreshProjectedState() {
+        if (!this.confirmedState) return;
+
+        this.applyPendingInteractions();
+        this.updateWalletBalances();
+
+        const activeTab = document.querySelector('.tab-content.active');
+        if (activeTab && activeTab.id === 'balances-tab') {
+            this.renderBalances();
+        } else if (activeTab && activeTab.id === 'vaults-tab') {
+            this.renderVaults();
+        } else if (activeTab && activeTab.id === 'analytics-tab') {
+            this.renderAnalytics();
+        } else if (activeTab && activeTab.id === 'timeline-tab') {
+            this.renderTimeline();
+        } else if (activeTab && activeTab.id === 'unlock-tab') {
+            this.renderUnlockVaults();
+        }
+
+        if (this.detailAddress) {
+            this.renderAddressDetail();
+        }
+    }
+
+    setupEventListeners() {
+        // Analytics holdings toggle
+        document.getElementById('analytics-holdings').addEventListener('change', () => {
+            this.renderAnalytics();
+        });
+
+        // Timeline interval toggle
+        document.getElementById('timeline-interval').addEventListener('change', () => {
+            this.renderTimeline();
+        });
+
+        // Export buttons (balances, vaults, settings)
+        document.querySelectorAll('.export-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.exportData(btn.dataset.export);
+            });
+        });
+
+        // Compare tab controls
+        document.getElementById('compare-btn').addEventListener('click', () => {
+            this.renderComparison();
+        });
+
+        // Deep links: data source, tab, search, sort, filter and address detail
+        window.addEventListener('hashchange', () => {
+            this.handleHashChange();
+        });
+
+        document.getElementById('close-address-btn').addEventListener('click', () => {
+            this.closeAddressDetail();
+        });
+
+        document.querySelector('#address-modal .modal-overlay').addEventListener('click', () => {
+            this.closeAddressDetail();
+        });
+
         // Data source selection
         document.querySelectorAll('input[name="dataSource"]').forEach(radio => {
             radio.addEventListener('change', (e) => {
@@ -291,590 +1501,3093 @@ class TokenStateViewer {
             });
         });
 
-        // Load data button
-        document.getElementById('load-data-btn').addEventListener('click', () => {
-            this.handleLoadData();
+        // Load data button
+        document.getElementById('load-data-btn').addEventListener('click', () => {
+            this.handleLoadData();
+        });
+
+        // State files: picker, or drop anywhere on the data source section
+        document.getElementById('state-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.selectStateFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        const dataSourceSection = document.querySelector('.data-source-section');
+        const dropZone = document.getElementById('file-drop-zone');
+        dataSourceSection.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dataSourceSection.addEventListener('dragleave', (e) => {
+            if (!dataSourceSection.contains(e.relatedTarget)) {
+                dropZone.classList.remove('drag-over');
+            }
+        });
+        dataSourceSection.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('drag-over');
+            if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                this.selectStateFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        // Tab switching
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
+        });
+
+        // Balance table column headers
+        document.querySelectorAll('#balances-table th.sortable').forEach(th => {
+            th.addEventListener('click', () => {
+                this.handleColumnSort(th, 'balance');
+            });
+        });
+
+        // Balance controls (search waits for a pause in typing)
+        const filterBalances = this.debounce((value) => {
+            this.filterBalances(value);
+            this.updateHash({ search: value.trim() }, true);
+        }, 250);
+        document.getElementById('balance-search').addEventListener('input', (e) => {
+            filterBalances(e.target.value);
+        });
+
+        // Vault table column headers
+        document.querySelectorAll('#vaults-table th.sortable').forEach(th => {
+            th.addEventListener('click', () => {
+                this.handleColumnSort(th, 'vault');
+            });
+        });
+
+        document.getElementById('vault-view').value = this.vaultView;
+        document.getElementById('vault-view').addEventListener('change', (e) => {
+            this.setVaultView(e.target.value);
+        });
+
+        // Vault controls
+        const filterVaults = this.debounce((value) => {
+            this.filterVaults(value);
+            this.updateHash({ vaultSearch: value.trim() }, true);
+        }, 250);
+        document.getElementById('vault-search').addEventListener('input', (e) => {
+            filterVaults(e.target.value);
+        });
+
+        // Integrity report expected supply (per contract)
+        document.getElementById('expected-supply').addEventListener('change', (e) => {
+            this.setExpectedSupply(e.target.value);
+        });
+
+        // Source versions reviewed on this device
+        document.getElementById('mark-source-btn').addEventListener('click', () => {
+            this.toggleSourceMark();
+        });
+
+        // State provider settings panel
+        document.getElementById('providers-btn').addEventListener('click', () => {
+            this.openProviderSettings();
+        });
+
+        document.getElementById('cross-check').checked = this.providerSettings.crossCheck;
+        document.getElementById('cross-check').addEventListener('change', (e) => {
+            this.providerSettings.crossCheck = e.target.checked;
+            this.saveProviderSettings();
+        });
+        this.updateProviderSummary();
+
+        // Watchlist
+        document.getElementById('watchlist-add-btn').addEventListener('click', () => {
+            const input = document.getElementById('watchlist-contract');
+            if (this.addToWatchlist(input.value.trim())) {
+                input.value = '';
+            }
+        });
+        document.getElementById('watchlist-contract').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                document.getElementById('watchlist-add-btn').click();
+            }
+        });
+        document.getElementById('watchlist-add-current-btn').addEventListener('click', () => {
+            if (this.confirmedState) {
+                this.addToWatchlist(this.confirmedState.contractTxId);
+            }
+        });
+        document.getElementById('watchlist-refresh-btn').addEventListener('click', () => {
+            this.watchlist.forEach(item => this.refreshWatchedContract(item.contractId));
+        });
+        this.renderWatchlist();
+
+        // Persistent state cache and offline mode
+        document.getElementById('offline-mode').checked = this.offlineMode;
+        document.getElementById('offline-mode').addEventListener('change', (e) => {
+            this.setOfflineMode(e.target.checked);
+        });
+        document.getElementById('clear-state-cache-btn').addEventListener('click', () => {
+            this.clearStateCache();
+        });
+        this.renderStateCacheSummary();
+
+        document.getElementById('close-provider-btn').addEventListener('click', () => {
+            this.closeProviderSettings();
+        });
+
+        document.querySelector('#provider-modal .modal-overlay').addEventListener('click', () => {
+            this.closeProviderSettings();
+        });
+
+        document.getElementById('add-provider-btn').addEventListener('click', () => {
+            this.providerDraft.push({ name: '', urlTemplate: '', statePath: 'state', sortKeyPath: 'sortKey', timeout: 15000 });
+            this.renderProviderSettings();
+        });
+
+        document.getElementById('reset-providers-btn').addEventListener('click', () => {
+            this.providerDraft = DEFAULT_PROVIDERS.map(provider => ({ ...provider }));
+            this.renderProviderSettings();
+        });
+
+        document.getElementById('save-providers-btn').addEventListener('click', () => {
+            this.saveProviderDraft();
+        });
+
+        // Gateway settings panel
+        document.getElementById('gateway-btn').addEventListener('click', () => {
+            this.openGatewaySettings();
+        });
+
+        // Address book
+        const categorySelect = document.getElementById('address-book-category');
+        Object.entries(ADDRESS_CATEGORIES).forEach(([value, label]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            categorySelect.appendChild(option);
+        });
+        this.renderAddressBookOptions();
+
+        document.getElementById('address-book-btn').addEventListener('click', () => {
+            this.openAddressBook();
+        });
+        document.getElementById('address-detail-label-btn').addEventListener('click', () => {
+            this.openAddressBook(this.detailAddress);
+        });
+        document.getElementById('close-address-book-btn').addEventListener('click', () => {
+            this.closeAddressBook();
+        });
+        document.querySelector('#address-book-modal .modal-overlay').addEventListener('click', () => {
+            this.closeAddressBook();
+        });
+        document.getElementById('address-book-save-btn').addEventListener('click', () => {
+            this.saveAddressBookEntry();
+        });
+        document.getElementById('address-book-import').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importAddressBook(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        document.querySelectorAll('[data-address-book-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportAddressBook(btn.dataset.addressBookExport));
+        });
+
+        document.getElementById('close-gateway-btn').addEventListener('click', () => {
+            this.closeGatewaySettings();
+        });
+
+        document.querySelector('#gateway-modal .modal-overlay').addEventListener('click', () => {
+            this.closeGatewaySettings();
+        });
+
+        document.getElementById('add-gateway-btn').addEventListener('click', () => {
+            this.gatewayDraft.push({ host: '', port: 443, protocol: 'https', graphqlUrl: '', dataUrl: '' });
+            this.renderGatewaySettings();
+        });
+
+        document.getElementById('reset-gateways-btn').addEventListener('click', () => {
+            this.gatewayDraft = [{ ...DEFAULT_GATEWAY, graphqlUrl: '', dataUrl: '' }];
+            this.renderGatewaySettings();
+        });
+
+        document.getElementById('check-gateways-btn').addEventListener('click', () => {
+            this.checkGatewayDraft();
+        });
+
+        document.getElementById('save-gateways-btn').addEventListener('click', () => {
+            this.saveGatewaySettings();
+        });
+
+        // Advanced filter panel
+        document.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.openFilterPanel());
+        });
+
+        document.getElementById('close-filter-btn').addEventListener('click', () => {
+            this.closeFilterPanel();
+        });
+
+        document.querySelector('#filter-modal .modal-overlay').addEventListener('click', () => {
+            this.closeFilterPanel();
+        });
+
+        document.getElementById('filter-match').addEventListener('change', (e) => {
+            this.filterDraft.match = e.target.value;
+        });
+
+        document.getElementById('filter-add-btn').addEventListener('click', () => {
+            this.filterDraft.conditions.push(createCondition(document.getElementById('filter-add-field').value));
+            this.renderFilterConditions();
+        });
+
+        document.getElementById('apply-filter-btn').addEventListener('click', () => {
+            this.setActiveFilter(this.filterDraft);
+            this.closeFilterPanel();
+        });
+
+        document.getElementById('clear-filter-btn').addEventListener('click', () => {
+            this.setActiveFilter({ match: 'all', conditions: [] });
+            this.closeFilterPanel();
+        });
+
+        document.getElementById('filter-preset').addEventListener('change', (e) => {
+            this.loadFilterPreset(e.target.value);
+        });
+
+        document.getElementById('save-filter-preset').addEventListener('click', () => {
+            this.saveFilterPreset();
+        });
+
+        document.getElementById('delete-filter-preset').addEventListener('click', () => {
+            this.deleteFilterPreset(document.getElementById('filter-preset').value);
+        });
+
+        // Pagination controls
+        this.setupPagination('balances', this.balancePage, () => this.renderBalances());
+        this.setupPagination('vaults', this.vaultPage, () => this.renderVaults());
+
+        // Interact tab controls
+        document.getElementById('transfer-preview-btn').addEventListener('click', () => {
+            this.previewTransfer();
+        });
+
+        document.getElementById('transfer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitTransfer();
+        });
+
+        // Tracked interactions
+        document.getElementById('interaction-badges').addEventListener('click', () => {
+            const list = document.getElementById('tracked-interactions');
+            list.style.display = list.style.display === 'none' ? 'flex' : 'none';
+        });
+
+        document.getElementById('clear-interactions-btn').addEventListener('click', () => {
+            this.interactionTracker.clearFinished();
+        });
+
+        document.getElementById('new-transfer-btn').addEventListener('click', () => {
+            this.resetTransferForm();
+        });
+
+        document.getElementById('transfer-locked').addEventListener('change', () => {
+            this.updateTransferLockFields();
+        });
+
+        // Batch transfer controls
+        document.querySelectorAll('[data-transfer-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.switchTransferMode(btn.dataset.transferMode));
+        });
+
+        document.getElementById('batch-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            document.getElementById('batch-csv').value = await file.text();
+            this.simulateBatch();
+        });
+
+        document.getElementById('batch-simulate-btn').addEventListener('click', () => {
+            this.simulateBatch();
+        });
+
+        document.getElementById('batch-send-btn').addEventListener('click', () => {
+            this.sendBatch();
+        });
+
+        document.getElementById('batch-receipt-btn').addEventListener('click', () => {
+            this.downloadBatchReceipt();
+        });
+
+        // Lock tab controls
+        document.getElementById('lock-length').addEventListener('input', () => {
+            this.updateLockEstimate();
+        });
+
+        document.getElementById('lock-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLock();
+        });
+
+        // Propose tab controls
+        document.getElementById('proposal-type').addEventListener('change', () => {
+            this.updateProposalFields();
+        });
+
+        document.getElementById('proposal-key').addEventListener('change', () => {
+            this.updateProposalFields();
+        });
+
+        document.getElementById('propose-form').addEventListener('input', () => {
+            this.updateProposalPreview();
+        });
+
+        document.getElementById('propose-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitProposal();
+        });
+
+        // Votes tab controls
+        document.getElementById('vote-status-filter').addEventListener('change', () => {
+            this.renderVotes();
+        });
+    }
+
+    handleDataSourceChange(sourceType) {
+        const contractInput = document.getElementById('contract-address');
+        const stateAtInput = document.getElementById('state-at');
+
+        switch (sourceType) {
+            case 'snapshot':
+                contractInput.disabled = true;
+                stateAtInput.disabled = true;
+                break;
+            case 'api':
+                contractInput.disabled = false;
+                stateAtInput.disabled = false;
+                break;
+            case 'compute':
+                contractInput.disabled = false;
+                stateAtInput.disabled = false;
+                break;
+            case 'file':
+                contractInput.disabled = false;
+                stateAtInput.disabled = true;
+                break;
+        }
+
+        document.getElementById('file-config').style.display = sourceType === 'file' ? 'flex' : 'none';
+        document.getElementById('provider-config').style.display = sourceType === 'api' ? 'flex' : 'none';
+        if (sourceType === 'file') {
+            this.renderRecentFiles();
+        }
+    }
+
+    resolveProviders(contractId, historical = null) {
+        return this.providerSettings.providers.map(provider => ({
+            ...provider,
+            url: buildProviderUrl(provider, contractId, historical)
+        }));
+    }
+
+    async handleLoadData(dataParams = this.getDataParams()) {
+        const loadBtn = document.getElementById('load-data-btn');
+        const selectedSource = dataParams.source;
+
+        // A background refresh still running would overwrite this load
+        const generation = ++this.loadGeneration;
+
+        try {
+            // Disable button and show loading
+            this.loadingData = true;
+            loadBtn.disabled = true;
+            loadBtn.textContent = 'Loading...';
+            this.showLoading();
+            this.clearError();
+
+            // Snapshots and files are fixed, the other sources can evaluate up to a point in history
+            const stateAt = this.parseStateAt(dataParams.at);
+            const contractAddress = dataParams.contract;
+
+            // Latest states from the network sources are cached across sessions
+            const cacheKey = !stateAt && contractAddress && (selectedSource === 'api' || selectedSource === 'compute')
+                ? StateCache.key(selectedSource, contractAddress)
+                : null;
+            const cached = cacheKey ? await this.getCachedState(cacheKey) : null;
+
+            if (this.offlineMode) {
+                if (!cacheKey) {
+                    throw new Error('Offline mode can only show the latest state of a contract loaded from the Cache API or Compute State');
+                }
+                if (!cached) {
+                    throw new Error('No cached state for this contract and source. Turn off offline mode to fetch it.');
+                }
+                this.dataSource = new CachedSource(cached, { offline: true });
+                this.stateAt = null;
+                const cachedHeight = cached.networkHeight || cached.blockHeight;
+                if (this.currentBlockHeight === null && cachedHeight) {
+                    this.currentBlockHeight = cachedHeight;
+                    document.getElementById('current-block-height').textContent =
+                        `${cachedHeight.toLocaleString()} (cached)`;
+                }
+                await this.loadData(dataParams);
+                this.stateCacheKey = cacheKey;
+                this.renderBalances();
+                this.hideLoading();
+                loadBtn.textContent = 'Load Data';
+                return;
+            }
+
+            // Create the appropriate data source
+            switch (selectedSource) {
+                case 'snapshot':
+                    this.dataSource = new LocalFileSource('./ardrive_token_state.json');
+                    break;
+                case 'api': {
+                    if (!contractAddress) {
+                        throw new Error('Please enter a contract address');
+                    }
+                    let historical = null;
+                    if (stateAt && stateAt.blockHeight) {
+                        historical = { blockHeight: stateAt.blockHeight };
+                    } else if (stateAt) {
+                        // Cache APIs address interactions by sort key, in the Warp format
+                        const block = await this.gateway.fetchTransactionBlock(stateAt.interactionId);
+                        historical = { sortKey: toWarpSortKey(await createSortKey(block.id, block.height, stateAt.interactionId)) };
+                    }
+
+                    const { crossCheck } = this.providerSettings;
+                    const resolved = this.resolveProviders(contractAddress, historical);
+
+                    // Reuse the source for the same request so it can fall back to its last good state
+                    const key = JSON.stringify([resolved, crossCheck]);
+                    if (this.apiSourceKey !== key) {
+                        this.apiSource = new ApiSource(resolved, { crossCheck, contractTxId: contractAddress });
+                        this.apiSourceKey = key;
+
+                        // Ask the provider that served the cached state for changes only
+                        if (cached && cached.url) {
+                            this.apiSource.setValidators(cached.url, cached);
+                        }
+                    } else {
+                        this.apiSource.clearCache();
+                    }
+                    this.dataSource = this.apiSource;
+                    break;
+                }
+                case 'compute': {
+                    if (!contractAddress) {
+                        throw new Error('Please enter a contract address');
+                    }
+                    if (stateAt) {
+                        this.dataSource = new ComputeSource(contractAddress, this.gateway, {
+                            arweave: this.arweave,
+                            onProgress: (message) => this.showLoading(message),
+                            blockHeight: stateAt.blockHeight,
+                            interactionId: stateAt.interactionId
+                        });
+                        break;
+                    }
+
+                    // Continue the latest evaluation so a reload only replays new interactions
+                    if (this.computeSource && this.computeSource.contractId === contractAddress) {
+                        this.computeSource.clearCache();
+                        this.computeSource.arweave = this.arweave;
+                    } else {
+                        this.computeSource = new ComputeSource(contractAddress, this.gateway, {
+                            arweave: this.arweave,
+                            onProgress: (message) => this.showLoading(message)
+                        });
+                    }
+                    this.dataSource = this.computeSource;
+                    break;
+                }
+                case 'file': {
+                    if (!this.selectedFile) {
+                        throw new Error('Please choose or drop a state file');
+                    }
+                    this.dataSource = new FileSource(this.selectedFile, {
+                        contractTxId: contractAddress || null
+                    });
+                    break;
+                }
+                default:
+                    throw new Error('Please select a data source');
+            }
+
+            // Show a state cached in an earlier session right away and refresh behind it
+            if (cached && this.stateCacheKey !== cacheKey) {
+                const source = this.dataSource;
+                this.dataSource = new CachedSource(cached, { refreshing: true });
+                this.stateAt = null;
+                await this.loadData(dataParams);
+                this.stateCacheKey = cacheKey;
+                this.renderBalances();
+                this.hideLoading();
+                loadBtn.textContent = 'Load Data';
+                this.refreshCachedState(source, cacheKey, cached, generation, dataParams);
+                return;
+            }
+
+            // Load the data, a failed load leaves the previous state point in place
+            const previousStateAt = this.stateAt;
+            this.stateAt = stateAt;
+            try {
+                await this.loadData(dataParams);
+            } catch (error) {
+                if (!cached) {
+                    this.stateAt = previousStateAt;
+                    throw error;
+                }
+                this.dataSource = new CachedSource(cached, { error: error.message });
+                await this.loadData(dataParams);
+            }
+            this.stateCacheKey = cacheKey;
+            this.renderBalances();
+            this.saveCachedState(cacheKey, selectedSource);
+
+            if (selectedSource === 'file') {
+                this.rememberStateFile(this.selectedFile);
+            }
+            this.hideLoading();
+
+            loadBtn.textContent = 'Load Data';
+        } catch (error) {
+            console.error('Error loading data:', error);
+            this.showError(error.message);
+
+            // A link to what failed would not show what is on screen
+            this.updateHash(this.getLinkParams(this.loadedDataParams), true);
+            this.hideLoading();
+            loadBtn.textContent = 'Load Data';
+        } finally {
+            this.loadingData = false;
+            loadBtn.disabled = false;
+        }
+    }
+
+    parseStateAt(value) {
+        const trimmed = value.trim();
+
+        if (!trimmed) {
+            return null;
+        }
+        if (/^\d+$/.test(trimmed)) {
+            return { blockHeight: parseInt(trimmed, 10), interactionId: null };
+        }
+        if (this.isValidAddress(trimmed)) {
+            return { blockHeight: null, interactionId: trimmed };
+        }
+
+        throw new Error('State As Of must be a block height or an interaction ID');
+    }
+
+    describeStateAt(stateAt) {
+        if (!stateAt) {
+            return 'latest';
+        }
+        return stateAt.blockHeight
+            ? `block ${this.formatNumber(stateAt.blockHeight)}`
+            : `interaction ${this.truncateAddress(stateAt.interactionId, 6, 6)}`;
+    }
+
+    recordLoadedState(state, source) {
+        const sourceName = document.querySelector(`input[name="dataSource"][value="${source}"]`)
+            .closest('label').textContent.trim();
+        const height = this.getStateHeight(state);
+        const key = `${state.contractTxId}|${state.sortKey || this.describeStateAt(this.stateAt)}`;
+
+        // Reloading the same point in history adds nothing new to compare
+        const existing = this.loadedStates.findIndex(entry => entry.key === key);
+        if (existing !== -1) {
+            this.loadedStates.splice(existing, 1);
+        }
+
+        const heightLabel = height ? `, last interaction at block ${this.formatNumber(height)}` : '';
+        this.loadedStates.push({
+            key,
+            label: `${sourceName} as of ${this.describeStateAt(this.stateAt)}${heightLabel} (${new Date().toLocaleTimeString()})`,
+            height,
+            state
+        });
+
+        // Each state is a full copy of the contract state, keep a handful
+        if (this.loadedStates.length > 10) {
+            this.loadedStates.shift();
+        }
+
+        this.renderCompareOptions();
+    }
+
+    async selectStateFile(file) {
+        this.selectedFile = file;
+        document.getElementById('file-drop-text').textContent =
+            `${file.name} (${this.formatNumber(Math.ceil(file.size / 1024))} KB)`;
+
+        document.querySelector('input[name="dataSource"][value="file"]').checked = true;
+        this.handleDataSourceChange('file');
+
+        await this.handleLoadData();
+    }
+
+    async rememberStateFile(file) {
+        try {
+            await this.recentFiles.add(file);
+            await this.renderRecentFiles();
+        } catch (error) {
+            console.warn('Could not remember state file:', error.message);
+        }
+    }
+
+    async renderRecentFiles() {
+        const container = document.getElementById('recent-files');
+
+        let files = [];
+        try {
+            files = await this.recentFiles.list();
+        } catch (error) {
+            console.warn('Could not read recent files:', error.message);
+        }
+
+        container.innerHTML = '';
+        if (files.length === 0) return;
+
+        const label = document.createElement('span');
+        label.className = 'recent-files-label';
+        label.textContent = 'Recent:';
+        container.appendChild(label);
+
+        files.forEach(entry => {
+            const item = document.createElement('button');
+            item.className = 'recent-file';
+            item.title = `Opened ${new Date(entry.openedAt).toLocaleString()}`;
+            item.textContent = `${entry.name} (${this.formatNumber(Math.ceil(entry.size / 1024))} KB)`;
+            item.addEventListener('click', () => this.openRecentFile(entry.name));
+
+            const remove = document.createElement('span');
+            remove.className = 'recent-file-remove';
+            remove.title = 'Forget this file';
+            remove.textContent = '×';
+            remove.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                try {
+                    await this.recentFiles.remove(entry.name);
+                } catch (error) {
+                    this.showError(`Could not forget recent file: ${error.message}`);
+                }
+                this.renderRecentFiles();
+            });
+
+            item.appendChild(remove);
+            container.appendChild(item);
+        });
+    }
+
+    async openRecentFile(name) {
+        try {
+            const file = await this.recentFiles.get(name);
+            if (!file) {
+                throw new Error(`${name} is no longer stored`);
+            }
+            await this.selectStateFile(file);
+        } catch (error) {
+            this.showError(`Could not open recent file: ${error.message}`);
+            this.renderRecentFiles();
+        }
+    }
+
+    handleColumnSort(th, tableType) {
+        const column = th.dataset.column;
+        const dataType = th.dataset.type;
+        const sortState = tableType === 'balance' ? this.balanceSortState : this.vaultSortState;
+
+        // Determine next sort direction
+        if (sortState.column !== column) {
+            // Clicked a different column, start with ascending
+            sortState.column = column;
+            sortState.direction = 'asc';
+        } else {
+            // Cycle through: asc -> desc -> none
+            if (sortState.direction === 'asc') {
+                sortState.direction = 'desc';
+            } else if (sortState.direction === 'desc') {
+                sortState.column = null;
+                sortState.direction = null;
+            } else {
+                sortState.direction = 'asc';
+            }
+        }
+
+        // Update visual indicators
+        const tableSelector = tableType === 'balance' ? '#balances-table' : '#vaults-table';
+        this.updateSortIndicators(tableSelector);
+        this.updateHash({
+            [tableType === 'balance' ? 'sort' : 'vaultSort']: sortState.column ? `${sortState.column}:${sortState.direction}` : null
+        }, true);
+
+        // Sort the data
+        if (sortState.column && sortState.direction) {
+            this.sortByColumn(column, sortState.direction, dataType, tableType);
+        } else {
+            // Reset to original order
+            if (tableType === 'balance') {
+                this.filteredBalances = [...this.balancesData].filter(item =>
+                    this.filteredBalances.find(f => f.address === item.address)
+                );
+                this.renderBalances();
+            } else {
+                const shown = new Set(this.filteredVaults.map(item => item.address));
+                this.filteredVaults = this.vaultsData.filter(item => shown.has(item.address));
+                this.renderVaults();
+            }
+        }
+    }
+
+    updateSortIndicators(tableSelector) {
+        const table = document.querySelector(tableSelector);
+        if (!table) return;
+
+        const sortState = tableSelector.includes('balance') ? this.balanceSortState : this.vaultSortState;
+
+        table.querySelectorAll('th.sortable').forEach(th => {
+            th.classList.remove('asc', 'desc');
+            if (sortState.column === th.dataset.column && sortState.direction) {
+                th.classList.add(sortState.direction);
+            }
+        });
+    }
+
+    applySortState(data, sortState, tableSelector) {
+        if (!sortState.column || !sortState.direction) return;
+
+        const th = document.querySelector(`${tableSelector} th[data-column="${sortState.column}"]`);
+        const dataType = th ? th.dataset.type : 'number';
+        this.sortRows(data, sortState.column, sortState.direction, dataType);
+    }
+
+    sortByColumn(column, direction, dataType, tableType) {
+        const data = tableType === 'balance' ? this.filteredBalances : this.filteredVaults;
+
+        this.sortRows(data, column, direction, dataType);
+        (tableType === 'balance' ? this.balancePage : this.vaultPage).page = 1;
+
+        if (tableType === 'balance') {
+            this.renderBalances();
+        } else {
+            this.renderVaults();
+        }
+    }
+
+    sortRows(data, column, direction, dataType) {
+        data.sort((a, b) => {
+            let aVal = a[column];
+            let bVal = b[column];
+
+            if (dataType === 'number') {
+                aVal = Number(aVal);
+                bVal = Number(bVal);
+            } else {
+                aVal = String(aVal).toLowerCase();
+                bVal = String(bVal).toLowerCase();
+            }
+
+            if (aVal < bVal) return direction === 'asc' ? -1 : 1;
+            if (aVal > bVal) return direction === 'asc' ? 1 : -1;
+            return 0;
+        });
+    }
+
+    switchTab(tabName, updateUrl = true) {
+        if (updateUrl) {
+            this.updateHash({ tab: tabName === 'balances' ? null : tabName });
+        }
+
+        // Update tab buttons
+        document.querySelectorAll('.tab-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.tab === tabName);
+        });
+
+        // Update tab content
+        document.querySelectorAll('.tab-content').forEach(content => {
+            content.classList.toggle('active', content.id === `${tabName}-tab`);
+        });
+
+        // Render appropriate content
+        if (tabName === 'balances') {
+            this.renderBalances();
+        } else if (tabName === 'vaults') {
+            this.renderVaults();
+        } else if (tabName === 'analytics') {
+            this.renderAnalytics();
+        } else if (tabName === 'timeline') {
+            this.renderTimeline();
+        } else if (tabName === 'settings') {
+            this.renderSettings();
+        } else if (tabName === 'votes') {
+            this.renderVotes();
+        } else if (tabName === 'compare') {
+            this.renderCompareOptions();
+        } else if (tabName === 'watchlist') {
+            this.renderWatchlist();
+        } else if (tabName === 'integrity') {
+            this.renderIntegrityReport();
+        } else if (tabName === 'source') {
+            this.loadAndRenderSourceCode();
+        } else if (tabName === 'unlock') {
+            this.renderUnlockVaults();
+        } else if (tabName === 'transfer') {
+            this.updateTransferLockFields();
+        } else if (tabName === 'lock') {
+            this.renderLockForm();
+        } else if (tabName === 'propose') {
+            this.renderProposeForm();
+        }
+    }
+
+    getSettingDisplayName(key) {
+        const mapping = {
+            'voteLength': 'Vote Length (Blocks)',
+            'lockMinLength': 'Min Lock Duration (Blocks)',
+            'lockMaxLength': 'Max Lock Duration (Blocks)',
+            'communityAppUrl': 'Community App URL',
+            'communityDiscussionLinks': 'Community Discussion Links',
+            'communityDescription': 'Community Description',
+            'communityLogo': 'Community Logo',
+            'fee': 'ArDrive Community Tip Percentage',
+            'quorum': 'Quorum',
+            'support': 'Support'
+        };
+
+        return mapping[key] || key;
+    }
+
+    getHoldings(mode) {
+        const holdings = new Map();
+
+        if (mode !== 'vaulted') {
+            this.balancesData.forEach(item => holdings.set(item.address, item.balance));
+        }
+        if (mode !== 'liquid') {
+            this.vaultsData.forEach(vault => {
+                holdings.set(vault.address, (holdings.get(vault.address) || 0) + vault.total);
+            });
+        }
+
+        return [...holdings.values()].filter(value => value > 0);
+    }
+
+    formatPercent(share) {
+        return `${this.formatNumber(Math.round(share * 10000) / 100)}%`;
+    }
+
+    formatCompact(value) {
+        const units = [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+        const unit = units.find(([size]) => value >= size);
+        return unit ? `${this.formatNumber(Math.round(value / unit[0] * 100) / 100)}${unit[1]}` : this.formatNumber(value);
+    }
+
+    renderAnalytics() {
+        if (!this.state) return;
+
+        const mode = document.getElementById('analytics-holdings').value;
+        const values = this.getHoldings(mode);
+        const concentration = topConcentration(values, [1, 10, 50, 100]);
+
+        // Headline metrics
+        document.getElementById('analytics-holders').textContent = values.length.toLocaleString();
+        document.getElementById('analytics-gini').textContent = giniCoefficient(values).toFixed(4);
+        document.getElementById('analytics-nakamoto').textContent = nakamotoCoefficient(values).toLocaleString();
+        document.getElementById('analytics-top10').textContent = this.formatPercent(concentration[1].share);
+
+        // Log-bucketed histogram
+        const buckets = logHistogram(values);
+        const histogram = document.getElementById('analytics-histogram');
+        histogram.innerHTML = '';
+        histogram.appendChild(createBarChart({
+            labels: buckets.map(bucket => `${this.formatCompact(bucket.min)}–${this.formatCompact(bucket.max)}`),
+            values: buckets.map(bucket => bucket.count),
+            formatValue: value => value.toLocaleString(),
+            title: 'Number of holders per balance range'
+        }));
+
+        // Lorenz curve against the line of perfect equality
+        const ticks = [0, 0.25, 0.5, 0.75, 1];
+        const lorenz = document.getElementById('analytics-lorenz');
+        lorenz.innerHTML = '';
+        lorenz.appendChild(createLineChart({
+            series: [
+                { points: [{ x: 0, y: 0 }, { x: 1, y: 1 }], className: 'chart-reference' },
+                { points: lorenzCurve(values) }
+            ],
+            xDomain: [0, 1],
+            yDomain: [0, 1],
+            xTicks: ticks,
+            yTicks: ticks,
+            formatX: tick => `${tick * 100}% of holders`,
+            formatY: tick => `${tick * 100}%`,
+            title: 'Lorenz curve of holdings'
+        }));
+
+        // Top-N table
+        const totalHeld = values.reduce((sum, value) => sum + value, 0);
+        const concentrationContainer = document.getElementById('analytics-concentration');
+        concentrationContainer.innerHTML = '';
+        concentrationContainer.appendChild(this.createCompareTable(
+            ['Holders', 'Amount', 'Share of Total'],
+            concentration.map(entry => [
+                `Top ${entry.n}`,
+                this.formatNumber(entry.amount),
+                this.formatPercent(entry.share)
+            ]).concat([['All', this.formatNumber(totalHeld), '100%']])
+        ));
+    }
+
+    formatPeriodLabel(period, interval) {
+        return interval === 'month'
+            ? period.start.toLocaleDateString(undefined, { year: 'numeric', month: 'short' })
+            : period.start.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    renderTimeline(selectedIndex = null) {
+        if (!this.state) return;
+
+        const chartContainer = document.getElementById('timeline-unlocks');
+        const supplyContainer = document.getElementById('timeline-supply');
+        const detailsContainer = document.getElementById('timeline-period-details');
+        chartContainer.innerHTML = '';
+        supplyContainer.innerHTML = '';
+        detailsContainer.innerHTML = '';
+
+        if (!this.currentBlockHeight) {
+            chartContainer.innerHTML = '<p class="address-detail-empty">The current block height is needed to date unlocks</p>';
+            return;
+        }
+
+        const interval = document.getElementById('timeline-interval').value;
+        const now = new Date();
+        const schedule = buildUnlockSchedule(
+            this.state.state.vault || {},
+            this.state.state.balances,
+            this.currentBlockHeight,
+            { interval, now }
+        );
+        const { windows } = schedule;
+
+        document.getElementById('timeline-liquid').textContent = this.formatNumber(schedule.liquid);
+        document.getElementById('timeline-matured').textContent = this.formatNumber(schedule.matured);
+        document.getElementById('timeline-locked').textContent = this.formatNumber(schedule.locked);
+
+        const largest = windows.reduce((max, period) => (!max || period.amount > max.amount ? period : max), null);
+        document.getElementById('timeline-largest').textContent = largest
+            ? `${this.formatCompact(largest.amount)} (${this.formatPeriodLabel(largest, interval)})`
+            : '-';
+
+        if (windows.length === 0) {
+            chartContainer.innerHTML = '<p class="address-detail-empty">No vaults left to unlock</p>';
+            return;
+        }
+
+        const labels = windows.map(period => this.formatPeriodLabel(period, interval));
+
+        // Unlocks per period
+        chartContainer.appendChild(createBarChart({
+            labels,
+            values: windows.map(period => period.amount),
+            formatValue: value => this.formatNumber(value),
+            showValues: false,
+            labelEvery: Math.max(1, Math.ceil(windows.length / 8)),
+            selectedIndex,
+            onBarClick: index => this.renderTimeline(index),
+            title: `Tokens unlocking per ${interval}`
+        }));
+
+        // Circulating supply as a step line from now to the last unlock
+        const startSupply = schedule.liquid + schedule.matured;
+        const totalSupply = startSupply + schedule.locked;
+        const points = [
+            { x: now.getTime(), y: startSupply },
+            ...windows.map(period => ({ x: period.end.getTime(), y: period.circulating }))
+        ];
+        const xMin = points[0].x;
+        const xMax = points[points.length - 1].x;
+        const xTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => xMin + (xMax - xMin) * fraction);
+        const yTicks = [0, 0.25, 0.5, 0.75, 1].map(fraction => totalSupply * fraction);
+
+        supplyContainer.appendChild(createLineChart({
+            series: [
+                { points: [{ x: xMin, y: totalSupply }, { x: xMax, y: totalSupply }], className: 'chart-reference' },
+                { points, step: true }
+            ],
+            xDomain: [xMin, xMax],
+            yDomain: [0, totalSupply],
+            xTicks,
+            yTicks,
+            formatX: x => new Date(x).toLocaleDateString(undefined, { year: 'numeric', month: 'short' }),
+            formatY: y => this.formatCompact(Math.round(y)),
+            title: 'Projected circulating supply'
+        }));
+
+        // Vaults in the selected period
+        if (selectedIndex !== null && windows[selectedIndex]) {
+            const period = windows[selectedIndex];
+            const title = document.createElement('h3');
+            title.className = 'compare-section-title';
+            title.textContent = `Unlocking ${interval === 'month' ? 'in' : 'the week of'} ${labels[selectedIndex]}: ${this.formatNumber(period.amount)}`;
+            detailsContainer.appendChild(title);
+
+            if (period.unlocks.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'address-detail-empty';
+                empty.textContent = 'No vaults unlock in this period';
+                detailsContainer.appendChild(empty);
+            } else {
+                detailsContainer.appendChild(this.createCompareTable(
+                    ['Address', 'Balance', 'End Block', 'Estimated Date'],
+                    period.unlocks.map(unlock => [
+                        unlock.address,
+                        this.formatNumber(unlock.balance),
+                        this.formatNumber(unlock.end),
+                        estimateBlockDate(unlock.end, this.currentBlockHeight, now).toLocaleDateString()
+                    ])
+                ));
+            }
+        }
+    }
+
+    renderSettings() {
+        const container = document.getElementById('settings-container');
+        container.innerHTML = '';
+
+        if (!this.state || !this.state.state || !this.state.state.settings) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">No settings available. Please load contract data first.</p>';
+            return;
+        }
+
+        const settings = this.state.state.settings;
+
+        // Settings is an array of [key, value] pairs
+        settings.forEach(([key, value]) => {
+            const card = document.createElement('div');
+            card.className = 'setting-card';
+
+            const nameDiv = document.createElement('div');
+            nameDiv.className = 'setting-name';
+            nameDiv.textContent = this.getSettingDisplayName(key);
+
+            const valueDiv = document.createElement('div');
+            valueDiv.className = 'setting-value';
+
+            // Handle different value types
+            if (Array.isArray(value)) {
+                // Array value
+                const arrayContainer = document.createElement('div');
+                arrayContainer.className = 'setting-value-array';
+
+                value.forEach(item => {
+                    const itemDiv = document.createElement('div');
+                    itemDiv.className = 'setting-value-array-item';
+
+                    // Check if item is a URL
+                    if (typeof item === 'string' && (item.startsWith('http://') || item.startsWith('https://'))) {
+                        const link = document.createElement('a');
+                        link.href = item;
+                        link.target = '_blank';
+                        link.rel = 'noopener noreferrer';
+                        link.className = 'setting-value-link';
+                        link.textContent = item;
+                        itemDiv.appendChild(link);
+                    } else {
+                        itemDiv.textContent = String(item);
+                    }
+
+                    arrayContainer.appendChild(itemDiv);
+                });
+
+                valueDiv.appendChild(arrayContainer);
+            } else if (typeof value === 'number') {
+                // Number value
+                valueDiv.classList.add('setting-value-number');
+                valueDiv.textContent = this.formatNumber(value);
+            } else if (typeof value === 'string') {
+                // String value
+                valueDiv.classList.add('setting-value-string');
+
+                // Check if it's a URL
+                if (value.startsWith('http://') || value.startsWith('https://')) {
+                    const link = document.createElement('a');
+                    link.href = value;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                    link.className = 'setting-value-link';
+                    link.textContent = value;
+                    valueDiv.appendChild(link);
+                } else if (value.length === 43 && /^[a-zA-Z0-9_-]+$/.test(value)) {
+                    // Looks like an Arweave transaction ID, make it a link
+                    const link = document.createElement('a');
+                    link.href = `${this.gateway.dataUrl}/${value}`;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                    link.className = 'setting-value-link';
+                    link.textContent = value;
+                    valueDiv.appendChild(link);
+                } else {
+                    valueDiv.textContent = value;
+                }
+            } else {
+                // Other types (boolean, etc.)
+                valueDiv.textContent = String(value);
+            }
+
+            card.appendChild(nameDiv);
+            card.appendChild(valueDiv);
+            container.appendChild(card);
+        });
+    }
+
+    getVoteStatusDisplayName(status) {
+        const mapping = {
+            'active': 'Active',
+            'passed': 'Passed',
+            'failed': 'Failed',
+            'quorumFailed': 'Quorum Failed'
+        };
+
+        return mapping[status] || status;
+    }
+
+    getVotingWeight(address, vote) {
+        // Weight is balance * lock length of vaults locked before the vote started
+        const vaults = this.state.state.vault || {};
+        const entries = vaults[address] || [];
+
+        return entries.reduce((sum, entry) => {
+            if (entry.start < vote.start && entry.end >= vote.start) {
+                return sum + entry.balance * (entry.end - entry.start);
+            }
+            return sum;
+        }, 0);
+    }
+
+    getVoteTally(vote, settings) {
+        const quorum = settings.get('quorum');
+        const support = settings.get('support');
+        const voteLength = settings.get('voteLength');
+
+        const totalCast = vote.yays + vote.nays;
+        const participation = vote.totalWeight > 0 ? totalCast / vote.totalWeight : 0;
+        const quorumMet = totalCast >= vote.totalWeight * quorum;
+
+        // Mirrors the contract's finalize rule
+        const supportMet = vote.yays !== 0 && (vote.nays === 0 || vote.yays / vote.nays > support);
+
+        const endBlock = vote.start + voteLength;
+        const blocksRemaining = this.currentBlockHeight ? endBlock - this.currentBlockHeight : null;
+
+        return {
+            quorum,
+            support,
+            participation,
+            quorumMet,
+            supportMet,
+            endBlock,
+            blocksRemaining,
+            isOpen: vote.status === 'active' && blocksRemaining !== null && blocksRemaining > 0,
+            canFinalize: vote.status === 'active' && blocksRemaining !== null && blocksRemaining <= 0
+        };
+    }
+
+    renderVotes() {
+        const container = document.getElementById('votes-container');
+        container.innerHTML = '';
+
+        if (!this.state || !this.state.state || !this.state.state.votes || !this.state.state.settings) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">No votes available. Please load contract data first.</p>';
+            return;
+        }
+
+        const votes = this.state.state.votes;
+        const settings = new Map(this.state.state.settings);
+        const statusFilter = document.getElementById('vote-status-filter').value;
+
+        // Update stats
+        const activeCount = votes.filter(vote => vote.status === 'active').length;
+        document.getElementById('total-votes').textContent = votes.length.toLocaleString();
+        document.getElementById('active-votes').textContent = activeCount.toLocaleString();
+        document.getElementById('vote-quorum-support').textContent =
+            `${this.formatNumber(settings.get('quorum') * 100)}% / ${this.formatNumber(settings.get('support') * 100)}%`;
+
+        // Vote IDs are array indexes, show newest first
+        const entries = votes
+            .map((vote, id) => ({ vote, id }))
+            .filter(({ vote }) => statusFilter === 'all' || vote.status === statusFilter)
+            .reverse();
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-secondary);">No votes match the selected status.</p>';
+            return;
+        }
+
+        entries.forEach(({ vote, id }) => {
+            container.appendChild(this.createVoteCard(vote, id, settings));
+        });
+    }
+
+    createVoteCard(vote, id, settings) {
+        const tally = this.getVoteTally(vote, settings);
+
+        const card = document.createElement('div');
+        card.className = `vote-card ${vote.status}`;
+
+        // Header with type, note and status
+        const header = document.createElement('div');
+        header.className = 'vote-header';
+
+        const titleDiv = document.createElement('div');
+        titleDiv.className = 'vote-title';
+
+        const typeSpan = document.createElement('span');
+        typeSpan.className = 'vote-type';
+        typeSpan.textContent = `#${id} ${vote.type}`;
+
+        const noteDiv = document.createElement('div');
+        noteDiv.className = 'vote-note';
+        noteDiv.textContent = vote.note || '(no note)';
+
+        titleDiv.appendChild(typeSpan);
+        titleDiv.appendChild(noteDiv);
+
+        const badge = document.createElement('div');
+        badge.className = `vote-status-badge ${vote.status}`;
+        badge.textContent = tally.canFinalize ? 'Awaiting Finalize' : this.getVoteStatusDisplayName(vote.status);
+
+        header.appendChild(titleDiv);
+        header.appendChild(badge);
+
+        // Details grid
+        const details = document.createElement('div');
+        details.className = 'vote-details';
+
+        const addDetail = (label, value) => {
+            const item = document.createElement('div');
+            item.className = 'vote-detail-item';
+
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'vote-detail-label';
+            labelSpan.textContent = label;
+
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'vote-detail-value';
+            valueSpan.textContent = value;
+
+            item.appendChild(labelSpan);
+            item.appendChild(valueSpan);
+            details.appendChild(item);
+            return valueSpan;
+        };
+
+        // Type-specific fields
+        if (vote.recipient) this.appendAddressLabel(addDetail('Recipient', vote.recipient), vote.recipient);
+        if (vote.target) this.appendAddressLabel(addDetail('Target', vote.target), vote.target);
+        if (vote.qty !== undefined) addDetail('Quantity', this.formatNumber(vote.qty));
+        if (vote.lockLength !== undefined) addDetail('Lock Length', `${this.formatNumber(vote.lockLength)} blocks`);
+        if (vote.key !== undefined) addDetail('Setting', this.getSettingDisplayName(vote.key));
+        if (vote.value !== undefined) addDetail('New Value', typeof vote.value === 'object' ? JSON.stringify(vote.value) : String(vote.value));
+
+        addDetail('Yays', this.formatNumber(vote.yays));
+        addDetail('Nays', this.formatNumber(vote.nays));
+        addDetail('Start Block', this.formatNumber(vote.start));
+
+        if (tally.isOpen) {
+            addDetail('Blocks Remaining', `${this.formatNumber(tally.blocksRemaining)} (${this.estimateBlockTime(tally.blocksRemaining)})`);
+        } else {
+            addDetail('End Block', this.formatNumber(tally.endBlock));
+        }
+
+        // Threshold checks
+        const thresholds = document.createElement('div');
+        thresholds.className = 'vote-thresholds';
+
+        const quorumDiv = document.createElement('div');
+        quorumDiv.className = `vote-threshold ${tally.quorumMet ? 'met' : 'unmet'}`;
+        quorumDiv.textContent =
+            `Quorum ${tally.quorumMet ? 'met' : 'not met'}: ${(tally.participation * 100).toFixed(2)}% voted (needs ${this.formatNumber(tally.quorum * 100)}%)`;
+
+        const supportDiv = document.createElement('div');
+        supportDiv.className = `vote-threshold ${tally.supportMet ? 'met' : 'unmet'}`;
+        const ratio = vote.nays === 0 ? 'no nays' : `yays/nays ${(vote.yays / vote.nays).toFixed(2)}`;
+        supportDiv.textContent =
+            `Support ${tally.supportMet ? 'met' : 'not met'}: ${ratio} (needs > ${tally.support})`;
+
+        thresholds.appendChild(quorumDiv);
+        thresholds.appendChild(supportDiv);
+
+        card.appendChild(header);
+        card.appendChild(details);
+        card.appendChild(thresholds);
+
+        // Actions for connected wallets
+        if (this.walletConnected && this.walletAddress && (tally.isOpen || tally.canFinalize)) {
+            card.appendChild(this.createVoteActions(vote, id, tally));
+        }
+
+        return card;
+    }
+
+    createVoteActions(vote, id, tally) {
+        const actions = document.createElement('div');
+        actions.className = 'vote-actions';
+
+        if (tally.canFinalize) {
+            const finalizeBtn = document.createElement('button');
+            finalizeBtn.className = 'vote-btn finalize';
+            finalizeBtn.textContent = 'Finalize';
+            finalizeBtn.onclick = () => this.finalizeVote(id);
+            actions.appendChild(finalizeBtn);
+            return actions;
+        }
+
+        const weight = this.getVotingWeight(this.walletAddress, vote);
+        const hasVoted = (vote.voted || []).includes(this.walletAddress);
+
+        const weightDiv = document.createElement('div');
+        weightDiv.className = 'vote-weight';
+
+        if (hasVoted) {
+            weightDiv.textContent = 'You have already voted on this proposal.';
+            actions.appendChild(weightDiv);
+            return actions;
+        }
+
+        if (weight <= 0) {
+            weightDiv.textContent = 'You have no vaults locked before this vote started.';
+            actions.appendChild(weightDiv);
+            return actions;
+        }
+
+        weightDiv.textContent = `Your voting weight: ${this.formatNumber(weight)}`;
+        actions.appendChild(weightDiv);
+
+        const yayBtn = document.createElement('button');
+        yayBtn.className = 'vote-btn yay';
+        yayBtn.textContent = 'Vote Yay';
+        yayBtn.onclick = () => this.castVote(id, 'yay');
+
+        const nayBtn = document.createElement('button');
+        nayBtn.className = 'vote-btn nay';
+        nayBtn.textContent = 'Vote Nay';
+        nayBtn.onclick = () => this.castVote(id, 'nay');
+
+        actions.appendChild(yayBtn);
+        actions.appendChild(nayBtn);
+        return actions;
+    }
+
+    async castVote(id, cast) {
+        await this.submitVoteInteraction({
+            function: 'vote',
+            id: id,
+            cast: cast
+        }, 'cast vote');
+    }
+
+    async finalizeVote(id) {
+        await this.submitVoteInteraction({
+            function: 'finalize',
+            id: id
+        }, 'finalize vote');
+    }
+
+    async submitVoteInteraction(input, actionName) {
+        // Validate wallet connection
+        if (!this.walletConnected || !this.walletAddress) {
+            this.showError('Please connect your wallet first.');
+            return;
+        }
+
+        // Validate contract state loaded
+        if (!this.state || !this.state.contractTxId) {
+            this.showError('Please load contract data first.');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            this.clearError();
+
+            const result = await this.dispatchSmartWeaveInteraction(this.state.contractTxId, input);
+
+            // Show transaction ID above the votes list
+            document.getElementById('vote-tx-id').textContent = result.id;
+            document.getElementById('vote-transaction-id-display').style.display = 'flex';
+
+            // Setup copy button for transaction ID
+            const copyTxIdBtn = document.getElementById('copy-vote-tx-id-btn');
+            copyTxIdBtn.dataset.originalTitle = 'Copy transaction ID';
+            copyTxIdBtn.onclick = () => this.copyToClipboard(result.id, copyTxIdBtn);
+
+            console.log(`${input.function} transaction posted: ${result.id}`);
+            this.hideLoading();
+        } catch (error) {
+            console.error(`Error submitting ${input.function}:`, error);
+            this.showError(`Failed to ${actionName}: ${error.message}`);
+            this.hideLoading();
+        }
+    }
+
+    renderCompareOptions() {
+        const beforeSelect = document.getElementById('compare-before');
+        const afterSelect = document.getElementById('compare-after');
+        const previousBefore = beforeSelect.value;
+        const previousAfter = afterSelect.value;
+
+        [beforeSelect, afterSelect].forEach(select => {
+            select.innerHTML = '';
+            this.loadedStates.forEach(entry => {
+                const option = document.createElement('option');
+                option.value = entry.key;
+                option.textContent = entry.label;
+                select.appendChild(option);
+            });
+        });
+
+        // Keep a previous pick, otherwise default to the two most recent loads
+        const keys = this.loadedStates.map(entry => entry.key);
+        if (previousBefore !== previousAfter && keys.includes(previousBefore) && keys.includes(previousAfter)) {
+            beforeSelect.value = previousBefore;
+            afterSelect.value = previousAfter;
+        } else {
+            beforeSelect.value = keys[keys.length - 2] || keys[0] || '';
+            afterSelect.value = keys[keys.length - 1] || '';
+        }
+
+        document.getElementById('compare-btn').disabled = this.loadedStates.length < 2;
+    }
+
+    formatChange(value) {
+        if (value === 0) {
+            return '0';
+        }
+        return `${value > 0 ? '+' : ''}${this.formatNumber(value)}`;
+    }
+
+    formatSettingValue(value) {
+        if (value === null || value === undefined) {
+            return '-';
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    renderComparison() {
+        const before = this.loadedStates.find(entry => entry.key === document.getElementById('compare-before').value);
+        const after = this.loadedStates.find(entry => entry.key === document.getElementById('compare-after').value);
+
+        if (!before || !after) {
+            this.showError('Select two loaded states to compare');
+            return;
+        }
+
+        if (before.state.contractTxId !== after.state.contractTxId) {
+            console.warn('Comparing states of different contracts');
+        }
+
+        this.clearError();
+        const diff = diffStates(before.state, after.state);
+
+        // Supply
+        document.getElementById('compare-total-change').textContent = this.formatChange(diff.supply.change.total);
+        document.getElementById('compare-liquid-change').textContent = this.formatChange(diff.supply.change.liquid);
+        document.getElementById('compare-vaulted-change').textContent = this.formatChange(diff.supply.change.vaulted);
+        document.getElementById('compare-balances-count').textContent = diff.balances.length.toLocaleString();
+
+        // Settings
+        const settingsContainer = document.getElementById('compare-settings');
+        if (diff.settings.length === 0) {
+            settingsContainer.innerHTML = '<p class="address-detail-empty">No settings changed</p>';
+        } else {
+            settingsContainer.innerHTML = '';
+            settingsContainer.appendChild(this.createCompareTable(
+                ['Setting', 'Before', 'After'],
+                diff.settings.map(change => [
+                    this.getSettingDisplayName(change.key),
+                    this.formatSettingValue(change.before),
+                    this.formatSettingValue(change.after)
+                ])
+            ));
+        }
+
+        // Balances, largest change first
+        const balancesContainer = document.getElementById('compare-balances');
+        const maxRows = 500;
+        balancesContainer.innerHTML = '';
+        if (diff.balances.length === 0) {
+            balancesContainer.innerHTML = '<p class="address-detail-empty">No balances changed</p>';
+        } else {
+            balancesContainer.appendChild(this.createCompareTable(
+                ['Address', 'Before', 'After', 'Change'],
+                diff.balances.slice(0, maxRows).map(change => [
+                    change.address,
+                    this.formatNumber(change.before),
+                    this.formatNumber(change.after),
+                    this.formatChange(change.change)
+                ])
+            ));
+            if (diff.balances.length > maxRows) {
+                const note = document.createElement('p');
+                note.className = 'form-hint';
+                note.textContent = `Showing the ${maxRows} largest of ${diff.balances.length.toLocaleString()} changes`;
+                balancesContainer.appendChild(note);
+            }
+        }
+
+        // Vaults
+        const vaultRows = [
+            ...diff.vaultsCreated.map(({ address, entry }) => [
+                'Created', address, this.formatNumber(entry.balance),
+                this.formatNumber(entry.start), this.formatNumber(entry.end)
+            ]),
+            ...diff.vaultsExtended.map(({ address, before: old, after: updated }) => [
+                'Extended', address, this.formatNumber(updated.balance), this.formatNumber(updated.start),
+                `${this.formatNumber(old.end)} → ${this.formatNumber(updated.end)}`
+            ]),
+            ...diff.vaultsRemoved.map(({ address, entry }) => [
+                'Unlocked / Burned', address, this.formatNumber(entry.balance),
+                this.formatNumber(entry.start), this.formatNumber(entry.end)
+            ])
+        ];
+        const vaultsContainer = document.getElementById('compare-vaults');
+        if (vaultRows.length === 0) {
+            vaultsContainer.innerHTML = '<p class="address-detail-empty">No vaults changed</p>';
+        } else {
+            vaultsContainer.innerHTML = '';
+            vaultsContainer.appendChild(this.createCompareTable(
+                ['Change', 'Address', 'Balance', 'Start', 'End'],
+                vaultRows
+            ));
+        }
+
+        document.getElementById('compare-results').style.display = 'block';
+    }
+
+    createCompareTable(headers, rows) {
+        const tableContainer = document.createElement('div');
+        tableContainer.className = 'table-container';
+
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+        const headerRow = document.createElement('tr');
+        headers.forEach(header => {
+            const th = document.createElement('th');
+            th.textContent = header;
+            headerRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        rows.forEach(values => {
+            const row = document.createElement('tr');
+            values.forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+
+                if (this.isValidAddress(value)) {
+                    cell.className = 'address-cell address-link';
+                    cell.addEventListener('click', () => this.openAddressDetail(value));
+                    this.appendAddressLabel(cell, value);
+                } else if (/^[+-]\d/.test(value)) {
+                    cell.className = value.startsWith('+') ? 'diff-gain' : 'diff-loss';
+                }
+
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        table.appendChild(tbody);
+        tableContainer.appendChild(table);
+
+        return tableContainer;
+    }
+
+    async loadAndRenderSourceCode() {
+        if (!this.state) {
+            document.getElementById('source-code-content').textContent = '// Please load contract data first';
+            return;
+        }
+
+        // If we already have the source code, just render it
+        if (this.sourceCode && this.sourceTxId) {
+            this.renderSourceCode();
+            return;
+        }
+
+        try {
+            document.getElementById('source-code-content').textContent = '// Loading source code...';
+
+            // Get contract ID
+            const contractId = this.state.contractTxId;
+
+            // Fetch source transaction ID from GraphQL
+            const contractSrc = await this.gateway.fetchSourceTxId(contractId);
+
+            // An evolved contract runs newer source than its Contract-Src tag
+            this.sourceVersions = getSourceVersions(contractSrc, this.state.state);
+            await this.selectSourceVersion(this.sourceVersions.find(version => version.current).txId);
+        } catch (error) {
+            console.error('Error loading source code:', error);
+            document.getElementById('source-code-content').textContent =
+                `// Error loading source code: ${error.message}`;
+        }
+    }
+
+    /**
+     * Show one source version of the loaded contract, fetching it the first time
+     * @param {string} txId - Source transaction ID
+     */
+    async selectSourceVersion(txId) {
+        let file = this.sourceFiles.get(txId);
+        if (!file) {
+            document.getElementById('source-code-content').textContent = '// Loading source code...';
+            const code = await this.gateway.fetchSourceCode(txId);
+            const tokens = tokenizeSource(code);
+            file = { code, tokens, handlers: findFunctionHandlers(tokens), fingerprint: await fingerprintSource(code) };
+            this.sourceFiles.set(txId, file);
+        }
+
+        this.sourceTxId = txId;
+        this.sourceCode = file.code;
+        this.renderSourceCode();
+    }
+
+    renderSourceCode() {
+        const file = this.sourceFiles.get(this.sourceTxId);
+
+        // Update source TX ID display
+        document.getElementById('source-tx-id').textContent = this.sourceTxId;
+
+        const copySourceTxBtn = document.getElementById('copy-source-tx-btn');
+        copySourceTxBtn.style.display = 'inline-flex';
+        copySourceTxBtn.dataset.originalTitle = 'Copy source TX ID';
+        copySourceTxBtn.onclick = () => this.copyToClipboard(this.sourceTxId, copySourceTxBtn);
+
+        this.renderSourceVersions();
+        this.renderSourceFingerprint();
+        this.renderSourceOutline(file.handlers);
+
+        // Update code viewer, one element per line for line numbers and jumps
+        const fragment = document.createDocumentFragment();
+        groupTokenLines(file.tokens).forEach((tokens, index) => {
+            const line = document.createElement('span');
+            line.className = 'code-line';
+            line.dataset.line = index + 1;
+            tokens.forEach(token => {
+                if (token.type === 'whitespace' || token.type === 'identifier' || token.type === 'punctuation') {
+                    line.appendChild(document.createTextNode(token.text));
+                    return;
+                }
+                const span = document.createElement('span');
+                span.className = `token-${token.type}`;
+                span.textContent = token.text;
+                line.appendChild(span);
+            });
+            fragment.appendChild(line);
+        });
+
+        const content = document.getElementById('source-code-content');
+        content.innerHTML = '';
+        content.appendChild(fragment);
+        document.getElementById('source-code').scrollTop = 0;
+
+        // Setup copy code button
+        const copyCodeBtn = document.getElementById('copy-code-btn');
+        copyCodeBtn.style.display = 'inline-flex';
+        copyCodeBtn.dataset.originalTitle = 'Copy code';
+        copyCodeBtn.onclick = () => this.copyToClipboard(this.sourceCode, copyCodeBtn);
+    }
+
+    renderSourceVersions() {
+        const container = document.getElementById('source-versions');
+        container.innerHTML = '';
+
+        // Only contracts with an evolve pointer have more than one version
+        if (!this.sourceVersions || this.sourceVersions.length < 2) return;
+
+        const title = document.createElement('span');
+        title.className = 'recent-files-label';
+        title.textContent = 'Versions:';
+        container.appendChild(title);
+
+        this.sourceVersions.forEach(version => {
+            const button = document.createElement('button');
+            button.className = `recent-file${version.txId === this.sourceTxId ? ' active' : ''}`;
+            button.title = version.txId;
+            button.textContent = `${version.role === 'evolved' ? 'Evolved' : 'Original'}${version.current ? ' (running)' : ''} ${this.truncateAddress(version.txId, 6, 6)}`;
+            button.addEventListener('click', async () => {
+                try {
+                    await this.selectSourceVersion(version.txId);
+                } catch (error) {
+                    console.error('Error loading source code:', error);
+                    document.getElementById('source-code-content').textContent =
+                        `// Error loading source code: ${error.message}`;
+                }
+            });
+            container.appendChild(button);
+        });
+
+        const evolved = this.sourceVersions.find(version => version.role === 'evolved');
+        if (!evolved.current) {
+            const note = document.createElement('span');
+            note.className = 'source-versions-note';
+            note.textContent = 'The state points to evolved source, but canEvolve is off, so the original source still runs';
+            container.appendChild(note);
+        }
+    }
+
+    renderSourceFingerprint() {
+        const file = this.sourceFiles.get(this.sourceTxId);
+        const known = findKnownSource(file.fingerprint, this.sourceTxId);
+        const marked = this.getSourceMarks()[file.fingerprint];
+
+        document.getElementById('source-fingerprint').textContent = file.fingerprint;
+
+        // Versions shipped with the app and marks made on this device are told apart
+        const status = document.getElementById('source-audit-status');
+        const verified = Boolean(known && known.verified);
+        if (verified) {
+            status.className = 'source-audit-status known';
+            status.textContent = `Known version: ${known.name}`;
+            status.title = known.reference;
+        } else if (known && known.fingerprint) {
+            status.className = 'source-audit-status mismatch';
+            status.textContent = `Fingerprint mismatch: not the reviewed ${known.name}`;
+            status.title = `Source ${known.sourceTxId} was reviewed with fingerprint ${known.fingerprint}. The gateway served different code.`;
+        } else if (marked) {
+            status.className = 'source-audit-status marked';
+            status.textContent = `Marked locally: ${marked.name}`;
+            status.title = `Marked on this device ${new Date(marked.markedAt).toLocaleString()} from source ${marked.sourceTxId}. Not a known version.`;
+        } else if (known) {
+            status.className = 'source-audit-status unknown';
+            status.textContent = `Unverified: listed as ${known.name}, review before voting`;
+            status.title = `The source transaction is listed, but no reviewed fingerprint is on record to check the code against. ${known.reference}`;
+        } else {
+            status.className = 'source-audit-status unknown';
+            status.textContent = 'Unknown version, review before voting';
+            status.title = 'This source matches no known version';
+        }
+
+        document.querySelector('.source-audit-controls').style.display = verified ? 'none' : '';
+        document.getElementById('source-mark-name').value = marked ? marked.name : '';
+        document.getElementById('source-mark-name').disabled = Boolean(marked);
+        document.getElementById('mark-source-btn').textContent = marked ? 'Remove Local Mark' : 'Mark as Reviewed';
+    }
+
+    renderSourceOutline(handlers) {
+        const outline = document.getElementById('source-outline');
+        outline.innerHTML = '';
+
+        if (handlers.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'source-outline-empty';
+            empty.textContent = 'No input.function handlers found';
+            outline.appendChild(empty);
+            return;
+        }
+
+        handlers.forEach(handler => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.className = 'source-outline-item';
+            button.title = `Go to line ${handler.line}`;
+
+            const name = document.createElement('span');
+            name.textContent = handler.name;
+            const line = document.createElement('span');
+            line.className = 'source-outline-line';
+            line.textContent = handler.line;
+            button.append(name, line);
+
+            button.addEventListener('click', () => this.jumpToSourceLine(handler.line));
+            item.appendChild(button);
+            outline.appendChild(item);
+        });
+    }
+
+    jumpToSourceLine(lineNumber) {
+        const content = document.getElementById('source-code-content');
+        content.querySelectorAll('.code-line.highlighted').forEach(line => line.classList.remove('highlighted'));
+
+        const line = content.querySelector(`.code-line[data-line="${lineNumber}"]`);
+        if (!line) return;
+        line.classList.add('highlighted');
+
+        // Scroll the viewer rather than the page, with some context above the line
+        const viewer = document.getElementById('source-code');
+        viewer.scrollTop = Math.max(0, line.offsetTop - viewer.clientHeight / 3);
+    }
+
+    /**
+     * Source versions marked as reviewed on this device, kept apart from the
+     * known versions shipped in contract-source.js
+     * @returns {Object} Fingerprint → `{name, sourceTxId, markedAt}`
+     */
+    getSourceMarks() {
+        try {
+            return JSON.parse(window.localStorage.getItem(this.sourceMarksKey)) || {};
+        } catch (error) {
+            console.warn('Could not read source marks:', error.message);
+            return {};
+        }
+    }
+
+    toggleSourceMark() {
+        const file = this.sourceFiles.get(this.sourceTxId);
+        if (!file) return;
+
+        const marks = this.getSourceMarks();
+        if (marks[file.fingerprint]) {
+            delete marks[file.fingerprint];
+        } else {
+            const name = document.getElementById('source-mark-name').value.trim();
+            if (!name) {
+                this.showError('Name the reviewed version first, e.g. Community contract v2');
+                return;
+            }
+            marks[file.fingerprint] = { name, sourceTxId: this.sourceTxId, markedAt: Date.now() };
+        }
+
+        try {
+            window.localStorage.setItem(this.sourceMarksKey, JSON.stringify(marks));
+        } catch (error) {
+            console.warn('Could not save source marks:', error.message);
+        }
+
+        this.renderSourceFingerprint();
+    }
+
+    filterBalances(searchTerm) {
+        // Start over on the first page
+        this.updateFilteredBalances(searchTerm);
+        this.balancePage.page = 1;
+        this.renderBalances();
+    }
+
+    updateFilteredBalances(searchTerm) {
+        const term = searchTerm.toLowerCase().trim();
+        const matchesFilter = this.getFilterMatcher();
+
+        this.filteredBalances = this.balancesData.filter(item =>
+            this.matchesSearch(item.address, term) && matchesFilter(item.address)
+        );
+
+        // Keep the active sort
+        this.applySortState(this.filteredBalances, this.balanceSortState, '#balances-table');
+    }
+
+    renderBalances() {
+        const tbody = document.getElementById('balances-tbody');
+        tbody.innerHTML = '';
+
+        // Update stats
+        const totalSupply = this.balancesData.reduce((sum, item) => sum + item.balance, 0);
+        document.getElementById('total-addresses').textContent =
+            this.balancesData.length.toLocaleString();
+        document.getElementById('total-supply').textContent =
+            this.formatNumber(totalSupply);
+        document.getElementById('filtered-count').textContent =
+            this.filteredBalances.length.toLocaleString();
+
+        // Render only the current page
+        const { start, end } = this.updatePagination('balances', this.balancePage, this.filteredBalances.length);
+        const fragment = document.createDocumentFragment();
+
+        this.filteredBalances.slice(start, end).forEach(item => {
+            const row = document.createElement('tr');
+
+            // Address cell (opens the address detail)
+            const addressCell = document.createElement('td');
+            addressCell.className = 'address-cell address-link';
+            addressCell.textContent = item.address;
+            addressCell.title = 'Show address details';
+            addressCell.addEventListener('click', () => this.openAddressDetail(item.address));
+            this.appendAddressLabel(addressCell, item.address);
+
+            // Copy button cell
+            const copyCell = document.createElement('td');
+            copyCell.className = 'copy-column';
+            const copyBtn = this.createCopyButton(item.address);
+            copyCell.appendChild(copyBtn);
+
+            // Balance cell
+            const balanceCell = document.createElement('td');
+            balanceCell.className = 'balance-cell';
+            balanceCell.textContent = this.formatNumber(item.balance);
+
+            // Mark balances changed by interactions that are not in the loaded state yet
+            if (item.pendingDelta) {
+                row.classList.add('pending-row');
+                balanceCell.appendChild(this.createPendingMarker(item.pendingDelta));
+            }
+
+            row.appendChild(addressCell);
+            row.appendChild(copyCell);
+            row.appendChild(balanceCell);
+            fragment.appendChild(row);
+        });
+
+        tbody.appendChild(fragment);
+    }
+
+    filterVaults(searchTerm) {
+        this.updateFilteredVaults(searchTerm);
+        this.vaultPage.page = 1;
+        this.renderVaults();
+    }
+
+    updateFilteredVaults(searchTerm) {
+        const term = searchTerm.toLowerCase().trim();
+        const matchesFilter = this.getFilterMatcher();
+
+        this.filteredVaults = this.vaultsData.filter(item =>
+            this.matchesSearch(item.address, term) && matchesFilter(item.address)
+        );
+
+        this.applySortState(this.filteredVaults, this.vaultSortState, '#vaults-table');
+    }
+
+    getFilterMatcher() {
+        if (!serializeFilter(this.activeFilter)) {
+            return () => true;
+        }
+
+        const { balances, vault = {} } = this.state.state;
+        const context = {
+            totalSupply: this.getAddressRanking().totalSupply,
+            currentBlockHeight: this.currentBlockHeight
+        };
+
+        return address => {
+            const entries = vault[address] || [];
+            return matchesFilter(this.activeFilter, {
+                address,
+                balance: balances[address] || 0,
+                vaulted: entries.reduce((sum, entry) => sum + entry.balance, 0),
+                entries,
+                labels: this.getAddressTags(address)
+            }, context);
+        };
+    }
+
+    matchesSearch(address, term) {
+        // Address book labels, categories and notes are searchable too
+        return address.toLowerCase().includes(term) || (term !== '' && this.addressBook.matches(address, term));
+    }
+
+    getAddressTags(address) {
+        // Tags the label condition can match
+        const tags = [];
+        const entry = this.addressBook.get(address);
+        if (entry) {
+            tags.push(entry.label);
+            if (entry.category) tags.push(ADDRESS_CATEGORIES[entry.category]);
+        }
+        if (address === this.walletAddress) {
+            tags.push('wallet');
+        }
+        if (this.pendingBalanceDeltas.has(address) ||
+            (this.state.state.vault?.[address] || []).some(entry => this.pendingVaultEntries.has(entry))) {
+            tags.push('pending');
+        }
+        return tags;
+    }
+
+    setActiveFilter(filter, updateUrl = true) {
+        this.activeFilter = {
+            match: filter.match,
+            conditions: filter.conditions.map(condition => ({ ...condition }))
+        };
+        this.renderFilterSummary();
+
+        if (updateUrl) {
+            // The hashchange listener sees the filter is already active
+            this.updateHash({ filter: serializeFilter(this.activeFilter) });
+        }
+
+        if (this.state) {
+            this.filterBalances(document.getElementById('balance-search').value);
+            this.filterVaults(document.getElementById('vault-search').value);
+        }
+    }
+
+    renderFilterSummary() {
+        const description = describeFilter(this.activeFilter, value => this.formatNumber(value));
+
+        ['balances', 'vaults'].forEach(prefix => {
+            const summary = document.getElementById(`${prefix}-filter-summary`);
+            summary.innerHTML = '';
+            summary.style.display = description ? 'flex' : 'none';
+            if (!description) return;
+
+            const text = document.createElement('span');
+            text.className = 'filter-summary-text';
+            text.textContent = `Filter: ${description}`;
+
+            const editBtn = document.createElement('button');
+            editBtn.className = 'btn btn-secondary';
+            editBtn.textContent = 'Edit';
+            editBtn.addEventListener('click', () => this.openFilterPanel());
+
+            const clearBtn = document.createElement('button');
+            clearBtn.className = 'btn btn-secondary';
+            clearBtn.textContent = 'Clear';
+            clearBtn.addEventListener('click', () => this.setActiveFilter({ match: 'all', conditions: [] }));
+
+            summary.appendChild(text);
+            summary.appendChild(editBtn);
+            summary.appendChild(clearBtn);
         });
+    }
 
-        // Tab switching
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
-        });
+    openFilterPanel() {
+        this.filterDraft = {
+            match: this.activeFilter.match,
+            conditions: this.activeFilter.conditions.map(condition => ({ ...condition }))
+        };
 
-        // Balance table column headers
-        document.querySelectorAll('#balances-table th.sortable').forEach(th => {
-            th.addEventListener('click', () => {
-                this.handleColumnSort(th, 'balance');
+        const fieldSelect = document.getElementById('filter-add-field');
+        if (fieldSelect.options.length === 0) {
+            Object.entries(FILTER_FIELDS).forEach(([field, definition]) => {
+                const option = document.createElement('option');
+                option.value = field;
+                option.textContent = definition.label;
+                fieldSelect.appendChild(option);
             });
-        });
+        }
 
-        // Balance controls
-        document.getElementById('balance-search').addEventListener('input', (e) => {
-            this.filterBalances(e.target.value);
-        });
+        document.getElementById('filter-match').value = this.filterDraft.match;
+        this.showFilterMessage('');
+        this.renderFilterConditions();
+        this.renderFilterPresets();
+        document.getElementById('filter-modal').style.display = 'flex';
+    }
 
-        // Vault controls
-        document.getElementById('vault-search').addEventListener('input', (e) => {
-            this.filterVaults(e.target.value);
-        });
+    closeFilterPanel() {
+        this.filterDraft = null;
+        document.getElementById('filter-modal').style.display = 'none';
+    }
 
-        // Interact tab controls
-        document.getElementById('transfer-preview-btn').addEventListener('click', () => {
-            this.previewTransfer();
-        });
+    renderFilterConditions() {
+        const container = document.getElementById('filter-conditions');
+        container.innerHTML = '';
 
-        document.getElementById('transfer-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.submitTransfer();
-        });
+        if (this.filterDraft.conditions.length === 0) {
+            container.innerHTML = '<div class="filter-empty">No conditions. Every address is shown.</div>';
+            return;
+        }
 
-        document.getElementById('new-transfer-btn').addEventListener('click', () => {
-            this.resetTransferForm();
-        });
+        this.filterDraft.conditions.forEach((condition, index) => {
+            const definition = FILTER_FIELDS[condition.field];
+            const row = document.createElement('div');
+            row.className = 'filter-condition';
+
+            const name = document.createElement('span');
+            name.className = 'filter-condition-field';
+            name.textContent = definition.label;
+            row.appendChild(name);
+
+            if (definition.type === 'range') {
+                ['min', 'max'].forEach(bound => {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.min = '0';
+                    input.step = 'any';
+                    input.placeholder = bound === 'min' ? 'Min' : 'Max';
+                    input.value = condition[bound] ?? '';
+                    input.addEventListener('input', () => {
+                        condition[bound] = input.value === '' ? null : parseFloat(input.value);
+                    });
+                    row.appendChild(input);
+                });
 
-        // Lock tab controls
-        document.getElementById('lock-length').addEventListener('input', () => {
-            this.updateLockEstimate();
-        });
+                if (definition.unit) {
+                    const unit = document.createElement('span');
+                    unit.textContent = definition.unit;
+                    row.appendChild(unit);
+                }
+            } else if (definition.type === 'choice') {
+                const select = document.createElement('select');
+                Object.entries(definition.options).forEach(([value, label]) => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = label;
+                    select.appendChild(option);
+                });
+                select.value = condition.value;
+                select.addEventListener('change', () => {
+                    condition.value = select.value;
+                });
+                row.appendChild(select);
+            } else {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.placeholder = 'Contains...';
+                input.value = condition.value;
+                input.addEventListener('input', () => {
+                    condition.value = input.value.trim();
+                });
+                row.appendChild(input);
+            }
 
-        document.getElementById('lock-form').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.submitLock();
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-secondary filter-condition-remove';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => {
+                this.filterDraft.conditions.splice(index, 1);
+                this.renderFilterConditions();
+            });
+            row.appendChild(removeBtn);
+
+            container.appendChild(row);
         });
     }
 
-    handleDataSourceChange(sourceType) {
-        const contractInput = document.getElementById('contract-address');
+    getFilterPresets() {
+        // Saved presets are stored serialized, like the URL
+        try {
+            const stored = window.localStorage.getItem(this.filterPresetsKey);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Could not read filter presets:', error.message);
+            return {};
+        }
+    }
 
-        switch (sourceType) {
-            case 'snapshot':
-                contractInput.disabled = true;
-                break;
-            case 'api':
-                contractInput.disabled = false;
-                break;
-            case 'compute':
-                // Will be implemented later
-                contractInput.disabled = true;
-                break;
+    setFilterPresets(presets) {
+        try {
+            window.localStorage.setItem(this.filterPresetsKey, JSON.stringify(presets));
+        } catch (error) {
+            console.warn('Could not save filter presets:', error.message);
         }
     }
 
-    async handleLoadData() {
-        const loadBtn = document.getElementById('load-data-btn');
-        const selectedSource = document.querySelector('input[name="dataSource"]:checked').value;
+    renderFilterPresets(selected = '') {
+        const select = document.getElementById('filter-preset');
+        select.innerHTML = '<option value="">Load a preset...</option>';
+
+        const addGroup = (label, names, prefix) => {
+            if (names.length === 0) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            names.forEach(name => {
+                const option = document.createElement('option');
+                option.value = `${prefix}:${name}`;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            select.appendChild(group);
+        };
 
-        try {
-            // Disable button and show loading
-            loadBtn.disabled = true;
-            loadBtn.textContent = 'Loading...';
-            this.showLoading();
-            this.clearError();
+        addGroup('Saved', Object.keys(this.getFilterPresets()).sort(), 'saved');
+        addGroup('Built-in', Object.keys(BUILT_IN_PRESETS), 'builtin');
 
-            // Create the appropriate data source
-            switch (selectedSource) {
-                case 'snapshot':
-                    this.dataSource = new LocalFileSource('./ardrive_token_state.json');
-                    break;
-                case 'api':
-                    const contractAddress = document.getElementById('contract-address').value.trim();
-                    if (!contractAddress) {
-                        throw new Error('Please enter a contract address');
-                    }
-                    const apiEndpoint = `https://api.arns.app/v1/contract/${contractAddress}?validity=true`;
-                    this.dataSource = new ApiSource(apiEndpoint);
-                    break;
-                case 'compute':
-                    throw new Error('Compute State source not yet implemented');
-                default:
-                    throw new Error('Please select a data source');
-            }
+        select.value = selected;
+        document.getElementById('delete-filter-preset').disabled = !selected.startsWith('saved:');
+    }
 
-            // Load the data
-            await this.loadData();
-            this.renderBalances();
-            this.hideLoading();
+    loadFilterPreset(key) {
+        document.getElementById('delete-filter-preset').disabled = !key.startsWith('saved:');
+        if (!key) return;
 
-            loadBtn.textContent = 'Load Data';
+        const separator = key.indexOf(':');
+        const name = key.slice(separator + 1);
+
+        try {
+            const filter = key.startsWith('saved:')
+                ? parseFilter(this.getFilterPresets()[name])
+                : BUILT_IN_PRESETS[name];
+            this.filterDraft = {
+                match: filter.match,
+                conditions: filter.conditions.map(condition => ({ ...condition }))
+            };
         } catch (error) {
-            console.error('Error loading data:', error);
-            this.showError(error.message);
-            this.hideLoading();
-            loadBtn.textContent = 'Load Data';
-        } finally {
-            loadBtn.disabled = false;
+            this.showFilterMessage(`Could not load preset "${name}": ${error.message}`, true);
+            return;
         }
+
+        document.getElementById('filter-match').value = this.filterDraft.match;
+        document.getElementById('filter-preset-name').value = key.startsWith('saved:') ? name : '';
+        this.renderFilterConditions();
     }
 
-    handleColumnSort(th, tableType) {
-        const column = th.dataset.column;
-        const dataType = th.dataset.type;
-        const sortState = tableType === 'balance' ? this.balanceSortState : this.vaultSortState;
+    saveFilterPreset() {
+        const nameInput = document.getElementById('filter-preset-name');
+        const name = nameInput.value.trim();
+        const serialized = serializeFilter(this.filterDraft);
 
-        // Determine next sort direction
-        if (sortState.column !== column) {
-            // Clicked a different column, start with ascending
-            sortState.column = column;
-            sortState.direction = 'asc';
-        } else {
-            // Cycle through: asc -> desc -> none
-            if (sortState.direction === 'asc') {
-                sortState.direction = 'desc';
-            } else if (sortState.direction === 'desc') {
-                sortState.column = null;
-                sortState.direction = null;
-            } else {
-                sortState.direction = 'asc';
-            }
+        if (!name) {
+            this.showFilterMessage('Enter a name for the preset', true);
+            return;
+        }
+        if (!serialized) {
+            this.showFilterMessage('Add at least one condition before saving a preset', true);
+            return;
         }
 
-        // Update visual indicators
-        const tableSelector = tableType === 'balance' ? '#balances-table' : '#vaults-table';
-        this.updateSortIndicators(tableSelector);
+        this.setFilterPresets({ ...this.getFilterPresets(), [name]: serialized });
+        this.renderFilterPresets(`saved:${name}`);
+        this.showFilterMessage(`Saved preset "${name}"`);
+    }
 
-        // Sort the data
-        if (sortState.column && sortState.direction) {
-            this.sortByColumn(column, sortState.direction, dataType, tableType);
-        } else {
-            // Reset to original order
-            if (tableType === 'balance') {
-                this.filteredBalances = [...this.balancesData].filter(item =>
-                    this.filteredBalances.find(f => f.address === item.address)
-                );
-                this.renderBalances();
-            }
-        }
+    showFilterMessage(message, isError = false) {
+        const messageEl = document.getElementById('filter-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
     }
 
-    updateSortIndicators(tableSelector) {
-        const table = document.querySelector(tableSelector);
-        if (!table) return;
+    deleteFilterPreset(key) {
+        if (!key.startsWith('saved:')) return;
 
-        const sortState = tableSelector.includes('balance') ? this.balanceSortState : this.vaultSortState;
+        const name = key.slice('saved:'.length);
+        const presets = this.getFilterPresets();
+        delete presets[name];
+        this.setFilterPresets(presets);
+        document.getElementById('filter-preset-name').value = '';
+        this.renderFilterPresets();
+    }
 
-        table.querySelectorAll('th.sortable').forEach(th => {
-            th.classList.remove('asc', 'desc');
-            if (sortState.column === th.dataset.column && sortState.direction) {
-                th.classList.add(sortState.direction);
-            }
+    renderVaults() {
+        const container = document.getElementById('vaults-container');
+        container.innerHTML = '';
+
+        // Update stats
+        const totalLocked = this.vaultsData.reduce((sum, item) => sum + item.total, 0);
+        document.getElementById('total-vaults').textContent =
+            this.vaultsData.length.toLocaleString();
+        document.getElementById('total-locked').textContent =
+            this.formatNumber(totalLocked);
+        document.getElementById('filtered-vaults-count').textContent =
+            this.filteredVaults.length.toLocaleString();
+
+        // Render the current page in the chosen layout
+        const { start, end } = this.updatePagination('vaults', this.vaultPage, this.filteredVaults.length);
+        const pageVaults = this.filteredVaults.slice(start, end);
+
+        document.getElementById('vaults-container').style.display = this.vaultView === 'cards' ? '' : 'none';
+        document.getElementById('vaults-table-container').style.display = this.vaultView === 'table' ? '' : 'none';
+
+        if (this.vaultView === 'table') {
+            this.renderVaultTable(pageVaults);
+            return;
+        }
+
+        const fragment = document.createDocumentFragment();
+
+        pageVaults.forEach(vault => {
+            const card = document.createElement('div');
+            card.className = vault.pending ? 'vault-card pending' : 'vault-card';
+
+            // Create header
+            const header = document.createElement('div');
+            header.className = 'vault-header';
+
+            // Address with copy button
+            const vaultAddressDiv = document.createElement('div');
+            vaultAddressDiv.className = 'vault-address';
+
+            const addressText = document.createElement('span');
+            addressText.className = 'address-text address-link';
+            addressText.textContent = vault.address;
+            addressText.title = 'Show address details';
+            addressText.addEventListener('click', () => this.openAddressDetail(vault.address));
+
+            const copyBtn = this.createCopyButton(vault.address);
+
+            vaultAddressDiv.appendChild(addressText);
+            this.appendAddressLabel(vaultAddressDiv, vault.address);
+            vaultAddressDiv.appendChild(copyBtn);
+
+            // Total
+            const totalSpan = document.createElement('span');
+            totalSpan.className = 'vault-total';
+            totalSpan.textContent = `${this.formatNumber(vault.total)} Total`;
+
+            header.appendChild(vaultAddressDiv);
+            header.appendChild(totalSpan);
+
+            card.appendChild(header);
+            card.appendChild(this.createVaultEntries(vault));
+            fragment.appendChild(card);
         });
+
+        container.appendChild(fragment);
     }
 
-    sortByColumn(column, direction, dataType, tableType) {
-        const data = tableType === 'balance' ? this.filteredBalances : this.filteredVaults;
+    createVaultEntries(vault) {
+        const entriesContainer = document.createElement('div');
+        entriesContainer.className = 'vault-entries';
+
+        vault.entries.forEach(entry => {
+            const entryDiv = document.createElement('div');
+            entryDiv.className = this.pendingVaultEntries.has(entry) ? 'vault-entry pending' : 'vault-entry';
+            entryDiv.innerHTML = `
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">Balance</span>
+                    <span class="vault-entry-value">${this.formatNumber(entry.balance)}</span>
+                </div>
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">Start</span>
+                    <span class="vault-entry-value">${this.formatNumber(entry.start)}</span>
+                </div>
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">End</span>
+                    <span class="vault-entry-value">${this.formatNumber(entry.end)}</span>
+                </div>
+            `;
+            entriesContainer.appendChild(entryDiv);
+        });
 
-        data.sort((a, b) => {
-            let aVal = a[column];
-            let bVal = b[column];
+        return entriesContainer;
+    }
 
-            if (dataType === 'number') {
-                aVal = Number(aVal);
-                bVal = Number(bVal);
-            } else {
-                aVal = String(aVal).toLowerCase();
-                bVal = String(bVal).toLowerCase();
+    renderVaultTable(pageVaults) {
+        const tbody = document.getElementById('vaults-tbody');
+        tbody.innerHTML = '';
+        this.updateSortIndicators('#vaults-table');
+
+        const columnCount = document.querySelectorAll('#vaults-table thead th').length;
+        const fragment = document.createDocumentFragment();
+
+        pageVaults.forEach(vault => {
+            const expanded = this.expandedVaults.has(vault.address);
+            const row = document.createElement('tr');
+            if (vault.pending) {
+                row.classList.add('pending-row');
             }
 
-            if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-            if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-            return 0;
+            // Expand toggle shows the individual entries below the row
+            const expandCell = document.createElement('td');
+            expandCell.className = 'expand-column';
+            const expandBtn = document.createElement('button');
+            expandBtn.className = 'expand-btn';
+            expandBtn.textContent = expanded ? '▾' : '▸';
+            expandBtn.title = expanded ? 'Hide entries' : 'Show entries';
+            expandBtn.addEventListener('click', () => {
+                if (expanded) {
+                    this.expandedVaults.delete(vault.address);
+                } else {
+                    this.expandedVaults.add(vault.address);
+                }
+                this.renderVaults();
+            });
+            expandCell.appendChild(expandBtn);
+
+            const addressCell = document.createElement('td');
+            addressCell.className = 'address-cell address-link';
+            addressCell.textContent = vault.address;
+            addressCell.title = 'Show address details';
+            addressCell.addEventListener('click', () => this.openAddressDetail(vault.address));
+            this.appendAddressLabel(addressCell, vault.address);
+
+            const copyCell = document.createElement('td');
+            copyCell.className = 'copy-column';
+            copyCell.appendChild(this.createCopyButton(vault.address));
+
+            const countCell = document.createElement('td');
+            countCell.className = 'number-cell';
+            countCell.textContent = vault.entryCount.toLocaleString();
+
+            const totalCell = document.createElement('td');
+            totalCell.className = 'balance-cell';
+            totalCell.textContent = this.formatNumber(vault.total);
+            if (vault.pending) {
+                totalCell.appendChild(this.createPendingMarker());
+            }
+
+            row.appendChild(expandCell);
+            row.appendChild(addressCell);
+            row.appendChild(copyCell);
+            row.appendChild(countCell);
+            row.appendChild(this.createUnlockCell(vault.earliestUnlock));
+            row.appendChild(this.createUnlockCell(vault.latestUnlock));
+            row.appendChild(totalCell);
+            fragment.appendChild(row);
+
+            if (expanded) {
+                const entriesRow = document.createElement('tr');
+                entriesRow.className = 'vault-entries-row';
+                const entriesCell = document.createElement('td');
+                entriesCell.colSpan = columnCount;
+                entriesCell.appendChild(this.createVaultEntries(vault));
+                entriesRow.appendChild(entriesCell);
+                fragment.appendChild(entriesRow);
+            }
         });
 
-        if (tableType === 'balance') {
-            this.renderBalances();
-        } else {
-            this.renderVaults();
+        tbody.appendChild(fragment);
+    }
+
+    createUnlockCell(endBlock) {
+        const cell = document.createElement('td');
+        cell.className = 'number-cell';
+        cell.textContent = this.formatNumber(endBlock);
+
+        if (this.currentBlockHeight) {
+            const blocksRemaining = endBlock - this.currentBlockHeight;
+            const hint = document.createElement('span');
+            hint.className = 'unlock-hint';
+            hint.textContent = blocksRemaining > 0 ? this.estimateBlockTime(blocksRemaining) : 'Unlockable';
+            cell.appendChild(hint);
+        }
+
+        return cell;
+    }
+
+    loadVaultView() {
+        try {
+            return window.localStorage.getItem('ardrive-token-app:vault-view') === 'table' ? 'table' : 'cards';
+        } catch (error) {
+            return 'cards';
         }
     }
 
-    switchTab(tabName) {
-        // Update tab buttons
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.toggle('active', btn.dataset.tab === tabName);
+    setVaultView(view) {
+        this.vaultView = view;
+        try {
+            window.localStorage.setItem('ardrive-token-app:vault-view', view);
+        } catch (error) {
+            console.warn('Could not save vault view:', error.message);
+        }
+        this.renderVaults();
+    }
+
+    setupPagination(prefix, pageState, render) {
+        document.getElementById(`${prefix}-page-size`).addEventListener('change', (e) => {
+            // Stay on the page that shows the first row currently visible
+            const firstRow = (pageState.page - 1) * pageState.pageSize;
+            pageState.pageSize = parseInt(e.target.value, 10);
+            pageState.page = Math.floor(firstRow / pageState.pageSize) + 1;
+            render();
+        });
+
+        document.getElementById(`${prefix}-prev-page`).addEventListener('click', () => {
+            pageState.page--;
+            render();
         });
 
-        // Update tab content
-        document.querySelectorAll('.tab-content').forEach(content => {
-            content.classList.toggle('active', content.id === `${tabName}-tab`);
+        document.getElementById(`${prefix}-next-page`).addEventListener('click', () => {
+            pageState.page++;
+            render();
         });
+    }
 
-        // Render appropriate content
-        if (tabName === 'balances') {
-            this.renderBalances();
-        } else if (tabName === 'vaults') {
-            this.renderVaults();
-        } else if (tabName === 'settings') {
-            this.renderSettings();
-        } else if (tabName === 'source') {
-            this.loadAndRenderSourceCode();
-        } else if (tabName === 'unlock') {
-            this.renderUnlockVaults();
-        } else if (tabName === 'lock') {
-            this.renderLockForm();
-        }
+    updatePagination(prefix, pageState, totalItems) {
+        const pageCount = Math.max(1, Math.ceil(totalItems / pageState.pageSize));
+        pageState.page = Math.min(Math.max(1, pageState.page), pageCount);
+
+        const start = (pageState.page - 1) * pageState.pageSize;
+        const end = Math.min(start + pageState.pageSize, totalItems);
+
+        document.getElementById(`${prefix}-page-info`).textContent = totalItems > 0
+            ? `${(start + 1).toLocaleString()}–${end.toLocaleString()} of ${totalItems.toLocaleString()} (page ${pageState.page} of ${pageCount})`
+            : 'No results';
+        document.getElementById(`${prefix}-prev-page`).disabled = pageState.page <= 1;
+        document.getElementById(`${prefix}-next-page`).disabled = pageState.page >= pageCount;
+
+        return { start, end };
     }
 
-    getSettingDisplayName(key) {
-        const mapping = {
-            'voteLength': 'Vote Length (Blocks)',
-            'lockMinLength': 'Min Lock Duration (Blocks)',
-            'lockMaxLength': 'Max Lock Duration (Blocks)',
-            'communityAppUrl': 'Community App URL',
-            'communityDiscussionLinks': 'Community Discussion Links',
-            'communityDescription': 'Community Description',
-            'communityLogo': 'Community Logo',
-            'fee': 'ArDrive Community Tip Percentage',
-            'quorum': 'Quorum',
-            'support': 'Support'
-        };
+    appendAddressLabel(element, address) {
+        const entry = address ? this.addressBook.get(address) : null;
+        if (!entry) return element;
 
-        return mapping[key] || key;
+        const label = document.createElement('span');
+        label.className = `address-label${entry.category ? ` category-${entry.category}` : ''}`;
+        label.textContent = entry.label;
+        label.title = [ADDRESS_CATEGORIES[entry.category], entry.notes].filter(Boolean).join(': ') || entry.label;
+        element.appendChild(label);
+        return element;
     }
 
-    renderSettings() {
-        const container = document.getElementById('settings-container');
-        container.innerHTML = '';
+    handleAddressBookChange() {
+        this.renderAddressBookOptions();
+        if (this.addressBookOpen) {
+            this.renderAddressBook();
+        }
+        if (this.walletConnected) {
+            this.updateWalletUI();
+        }
 
-        if (!this.state || !this.state.state || !this.state.state.settings) {
-            container.innerHTML = '<p style="color: var(--text-secondary);">No settings available. Please load contract data first.</p>';
-            return;
+        // Labels are searchable and filterable, so the rows can change
+        if (this.state) {
+            this.updateFilteredBalances(document.getElementById('balance-search').value);
+            this.updateFilteredVaults(document.getElementById('vault-search').value);
+            this.renderBalances();
+            this.renderVaults();
+            if (this.detailAddress) {
+                this.renderAddressDetail();
+            }
         }
+    }
 
-        const settings = this.state.state.settings;
+    renderAddressBookOptions() {
+        // Suggestions for the transfer and proposal recipient fields
+        const datalist = document.getElementById('address-book-options');
+        datalist.innerHTML = '';
+        this.addressBook.list().forEach(entry => {
+            const option = document.createElement('option');
+            option.value = entry.address;
+            option.label = entry.category ? `${entry.label} (${ADDRESS_CATEGORIES[entry.category]})` : entry.label;
+            datalist.appendChild(option);
+        });
+    }
 
-        // Settings is an array of [key, value] pairs
-        settings.forEach(([key, value]) => {
-            const card = document.createElement('div');
-            card.className = 'setting-card';
+    openAddressBook(address = '') {
+        this.addressBookOpen = true;
+        this.editAddressBookEntry(address);
+        this.showAddressBookMessage('');
+        this.renderAddressBook();
+        document.getElementById('address-book-modal').style.display = 'flex';
+    }
 
-            const nameDiv = document.createElement('div');
-            nameDiv.className = 'setting-name';
-            nameDiv.textContent = this.getSettingDisplayName(key);
+    closeAddressBook() {
+        this.addressBookOpen = false;
+        document.getElementById('address-book-modal').style.display = 'none';
+    }
 
-            const valueDiv = document.createElement('div');
-            valueDiv.className = 'setting-value';
+    editAddressBookEntry(address) {
+        const entry = this.addressBook.get(address);
+        document.getElementById('address-book-address').value = address;
+        document.getElementById('address-book-label').value = entry ? entry.label : '';
+        document.getElementById('address-book-category').value = entry ? entry.category : '';
+        document.getElementById('address-book-notes').value = entry ? entry.notes : '';
+        document.getElementById(address ? 'address-book-label' : 'address-book-address').focus();
+    }
 
-            // Handle different value types
-            if (Array.isArray(value)) {
-                // Array value
-                const arrayContainer = document.createElement('div');
-                arrayContainer.className = 'setting-value-array';
+    saveAddressBookEntry() {
+        const address = document.getElementById('address-book-address').value.trim();
+        try {
+            this.addressBook.set({
+                address,
+                label: document.getElementById('address-book-label').value,
+                category: document.getElementById('address-book-category').value,
+                notes: document.getElementById('address-book-notes').value
+            });
+        } catch (error) {
+            this.showAddressBookMessage(error.message, true);
+            return;
+        }
 
-                value.forEach(item => {
-                    const itemDiv = document.createElement('div');
-                    itemDiv.className = 'setting-value-array-item';
+        this.editAddressBookEntry('');
+        this.showAddressBookMessage(`Saved ${this.truncateAddress(address, 6, 6)}`);
+    }
 
-                    // Check if item is a URL
-                    if (typeof item === 'string' && (item.startsWith('http://') || item.startsWith('https://'))) {
-                        const link = document.createElement('a');
-                        link.href = item;
-                        link.target = '_blank';
-                        link.rel = 'noopener noreferrer';
-                        link.className = 'setting-value-link';
-                        link.textContent = item;
-                        itemDiv.appendChild(link);
-                    } else {
-                        itemDiv.textContent = String(item);
-                    }
+    renderAddressBook() {
+        const container = document.getElementById('address-book-list');
+        const entries = this.addressBook.list();
+        container.innerHTML = '';
 
-                    arrayContainer.appendChild(itemDiv);
-                });
+        if (entries.length === 0) {
+            container.innerHTML = '<p class="address-detail-empty">No labelled addresses yet</p>';
+            return;
+        }
 
-                valueDiv.appendChild(arrayContainer);
-            } else if (typeof value === 'number') {
-                // Number value
-                valueDiv.classList.add('setting-value-number');
-                valueDiv.textContent = this.formatNumber(value);
-            } else if (typeof value === 'string') {
-                // String value
-                valueDiv.classList.add('setting-value-string');
+        const table = document.createElement('table');
+        table.className = 'compare-table address-book-table';
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Label</th>
+                    <th>Category</th>
+                    <th>Address</th>
+                    <th>Notes</th>
+                    <th></th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
 
-                // Check if it's a URL
-                if (value.startsWith('http://') || value.startsWith('https://')) {
-                    const link = document.createElement('a');
-                    link.href = value;
-                    link.target = '_blank';
-                    link.rel = 'noopener noreferrer';
-                    link.className = 'setting-value-link';
-                    link.textContent = value;
-                    valueDiv.appendChild(link);
-                } else if (value.length === 43 && /^[a-zA-Z0-9_-]+$/.test(value)) {
-                    // Looks like an Arweave transaction ID, make it a link
-                    const link = document.createElement('a');
-                    link.href = `https://arweave.net/${value}`;
-                    link.target = '_blank';
-                    link.rel = 'noopener noreferrer';
-                    link.className = 'setting-value-link';
-                    link.textContent = value;
-                    valueDiv.appendChild(link);
-                } else {
-                    valueDiv.textContent = value;
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            [
+                entry.label,
+                ADDRESS_CATEGORIES[entry.category] || '-',
+                this.truncateAddress(entry.address, 6, 6),
+                entry.notes || '-'
+            ].forEach((value, index) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                if (index === 2) {
+                    cell.className = 'address-cell';
+                    cell.title = entry.address;
                 }
-            } else {
-                // Other types (boolean, etc.)
-                valueDiv.textContent = String(value);
-            }
+                row.appendChild(cell);
+            });
 
-            card.appendChild(nameDiv);
-            card.appendChild(valueDiv);
-            container.appendChild(card);
+            const actionsCell = document.createElement('td');
+            actionsCell.className = 'watchlist-actions';
+            [
+                ['Edit', () => this.editAddressBookEntry(entry.address)],
+                ['Remove', () => this.addressBook.remove(entry.address)]
+            ].forEach(([text, handler]) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-secondary';
+                button.textContent = text;
+                button.addEventListener('click', handler);
+                actionsCell.appendChild(button);
+            });
+            row.appendChild(actionsCell);
+            tbody.appendChild(row);
         });
+
+        table.appendChild(tbody);
+        container.appendChild(table);
     }
 
-    async loadAndRenderSourceCode() {
-        if (!this.state) {
-            document.getElementById('source-code-content').textContent = '// Please load contract data first';
-            return;
+    async importAddressBook(file) {
+        try {
+            const { entries, errors } = parseAddressBook(await file.text());
+            const { added, updated } = this.addressBook.merge(entries);
+            const summary = `Imported ${file.name}: ${added} added, ${updated} updated`;
+            this.showAddressBookMessage(
+                errors.length > 0 ? `${summary}, ${errors.length} skipped\n${errors.join('\n')}` : summary,
+                errors.length > 0
+            );
+        } catch (error) {
+            this.showAddressBookMessage(`Could not import ${file.name}: ${error.message}`, true);
         }
+    }
 
-        // If we already have the source code, just render it
-        if (this.sourceCode && this.sourceTxId) {
-            this.renderSourceCode();
+    exportAddressBook(format) {
+        const entries = this.addressBook.list();
+        if (entries.length === 0) {
+            this.showAddressBookMessage('The address book is empty', true);
             return;
         }
 
-        try {
-            document.getElementById('source-code-content').textContent = '// Loading source code...';
+        this.downloadFile(
+            `address-book.${format}`,
+            serializeAddressBook(entries, format),
+            format === 'csv' ? 'text/csv' : 'application/json'
+        );
+    }
 
-            // Get contract ID
-            const contractId = this.state.contractTxId;
+    showAddressBookMessage(message, isError = false) {
+        const messageEl = document.getElementById('address-book-message');
+        messageEl.textContent = message;
+        messageEl.classList.toggle('error', isError);
+    }
 
-            // Fetch source transaction ID from GraphQL
-            const sourceTxId = await this.fetchSourceTxId(contractId);
-            this.sourceTxId = sourceTxId;
+    openAddressDetail(address) {
+        // The hashchange listener renders the panel
+        this.updateHash({ address });
+    }
 
-            // Fetch the actual source code
-            const sourceCode = await this.fetchSourceCode(sourceTxId);
-            this.sourceCode = sourceCode;
+    closeAddressDetail() {
+        this.detailAddress = null;
+        document.getElementById('address-modal').style.display = 'none';
 
-            this.renderSourceCode();
-        } catch (error) {
-            console.error('Error loading source code:', error);
-            document.getElementById('source-code-content').textContent =
-                `// Error loading source code: ${error.message}`;
-        }
+        // Drop the deep link without adding a history entry
+        this.updateHash({ address: null }, true);
     }
 
-    async fetchSourceTxId(contractId) {
-        const query = `
-            {
-                transactions(ids: ["${contractId}"]) {
-                    edges {
-                        node {
-                            tags {
-                                name
-                                value
-                            }
-                        }
-                    }
-                }
+    updateHash(changes, replace = false) {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        Object.entries(changes).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
             }
-        `;
-
-        const response = await fetch('https://arweave.net/graphql', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({ query })
         });
 
-        if (!response.ok) {
-            throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
+        // Compare encoded forms, hand-written links may encode differently
+        const hash = params.toString();
+        if (hash === new URLSearchParams(window.location.hash.slice(1)).toString()) return;
+
+        if (replace) {
+            history.replaceState(null, '', window.location.pathname + window.location.search + (hash ? `#${hash}` : ''));
+        } else {
+            window.location.hash = hash;
         }
+    }
 
-        const result = await response.json();
+    getDataParams() {
+        const source = document.querySelector('input[name="dataSource"]:checked').value;
+        return {
+            source,
+            contract: source !== 'snapshot' ? document.getElementById('contract-address').value.trim() : '',
+            at: source === 'api' || source === 'compute' ? document.getElementById('state-at').value.trim() : ''
+        };
+    }
 
-        if (result.errors) {
-            throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+    getLinkParams(dataParams) {
+        // A picked state file cannot be opened again from a link
+        if (!dataParams || dataParams.source === 'file') {
+            return { source: null, contract: null, at: null };
         }
+        return dataParams;
+    }
 
-        const edges = result.data.transactions.edges;
-        if (!edges || edges.length === 0) {
-            throw new Error('Contract transaction not found');
-        }
+    applyDataParams(params) {
+        const source = params.get('source');
+        if (!['snapshot', 'api', 'compute'].includes(source)) return false;
 
-        const tags = edges[0].node.tags;
-        const contractSrcTag = tags.find(tag => tag.name === 'Contract-Src');
+        document.querySelector(`input[name="dataSource"][value="${source}"]`).checked = true;
+        this.handleDataSourceChange(source);
+        if (params.has('contract')) {
+            document.getElementById('contract-address').value = params.get('contract');
+        }
+        document.getElementById('state-at').value = params.get('at') || '';
+        return true;
+    }
 
-        if (!contractSrcTag) {
-            throw new Error('Contract-Src tag not found');
+    syncSortParam(params, key, sortState, tableSelector) {
+        const value = params.get(key) || '';
+        const current = sortState.column ? `${sortState.column}:${sortState.direction}` : '';
+        if (value === current) return false;
+
+        const [column, direction] = value.split(':');
+        const valid = !value || (/^\w+$/.test(column) && ['asc', 'desc'].includes(direction) &&
+            document.querySelector(`${tableSelector} th.sortable[data-column="${column}"]`));
+        if (!valid) {
+            this.updateHash({ [key]: current }, true);
+            return false;
         }
 
-        return contractSrcTag.value;
+        sortState.column = column || null;
+        sortState.direction = direction || null;
+        this.updateSortIndicators(tableSelector);
+        return true;
     }
 
-    async fetchSourceCode(sourceTxId) {
-        const response = await fetch(`https://arweave.net/${sourceTxId}`, {
-            redirect: 'follow'
-        });
+    syncViewParams(params) {
+        const activeTab = document.querySelector('.tab-btn.active').dataset.tab;
+        const tab = params.get('tab') || 'balances';
+        if (tab !== activeTab) {
+            if (/^[a-z]+$/.test(tab) && document.querySelector(`.tab-btn[data-tab="${tab}"]`)) {
+                this.switchTab(tab, false);
+            } else {
+                this.updateHash({ tab: activeTab === 'balances' ? null : activeTab }, true);
+            }
+        }
 
-        if (!response.ok) {
-            throw new Error(`Failed to fetch source code: ${response.status} ${response.statusText}`);
+        // Search and sort change the rows, so both re-filter
+        const balanceInput = document.getElementById('balance-search');
+        const balanceSearch = params.get('search') || '';
+        const balanceSorted = this.syncSortParam(params, 'sort', this.balanceSortState, '#balances-table');
+        if (balanceSorted || balanceSearch !== balanceInput.value.trim()) {
+            balanceInput.value = balanceSearch;
+            this.filterBalances(balanceSearch);
         }
 
-        const sourceCode = await response.text();
-        return sourceCode;
+        const vaultInput = document.getElementById('vault-search');
+        const vaultSearch = params.get('vaultSearch') || '';
+        const vaultSorted = this.syncSortParam(params, 'vaultSort', this.vaultSortState, '#vaults-table');
+        if (vaultSorted || vaultSearch !== vaultInput.value.trim()) {
+            vaultInput.value = vaultSearch;
+            this.filterVaults(vaultSearch);
+        }
     }
 
-    renderSourceCode() {
-        // Update source TX ID display
-        document.getElementById('source-tx-id').textContent = this.sourceTxId;
+    handleHashChange() {
+        const params = new URLSearchParams(window.location.hash.slice(1));
+        const address = params.get('address');
+
+        // Data source links (#source=api&contract=<id>&at=<height>), loadData calls back once loaded
+        if (params.has('source') && !this.loadingData) {
+            const requested = ['source', 'contract', 'at'].map(key => params.get(key) || '').join('|');
+            const loaded = this.loadedDataParams ? Object.values(this.loadedDataParams).join('|') : null;
+            if (requested !== loaded && this.applyDataParams(params)) {
+                this.handleLoadData();
+                return;
+            }
+        }
 
-        const copySourceTxBtn = document.getElementById('copy-source-tx-btn');
-        copySourceTxBtn.style.display = 'inline-flex';
-        copySourceTxBtn.dataset.originalTitle = 'Copy source TX ID';
-        copySourceTxBtn.onclick = () => this.copyToClipboard(this.sourceTxId, copySourceTxBtn);
+        // Filters in links (#filter=all|balance:10000..)
+        const filterParam = params.get('filter') || '';
+        if (filterParam !== serializeFilter(this.activeFilter)) {
+            try {
+                const filter = filterParam ? parseFilter(filterParam) : { match: 'all', conditions: [] };
+                this.setActiveFilter(filter, false);
+            } catch (error) {
+                this.showError(`Invalid filter in link: ${error.message}`);
+                this.updateHash({ filter: serializeFilter(this.activeFilter) }, true);
+            }
+        }
 
-        // Update code viewer
-        document.getElementById('source-code-content').textContent = this.sourceCode;
+        // Tab, search and sort links (#tab=vaults&vaultSearch=abc&vaultSort=total:desc)
+        if (this.state) {
+            this.syncViewParams(params);
+        }
 
-        // Setup copy code button
-        const copyCodeBtn = document.getElementById('copy-code-btn');
-        copyCodeBtn.style.display = 'inline-flex';
-        copyCodeBtn.dataset.originalTitle = 'Copy code';
-        copyCodeBtn.onclick = () => this.copyToClipboard(this.sourceCode, copyCodeBtn);
-    }
+        if (!address) {
+            if (this.detailAddress) {
+                this.detailAddress = null;
+                document.getElementById('address-modal').style.display = 'none';
+            }
+            return;
+        }
 
-    filterBalances(searchTerm) {
-        const term = searchTerm.toLowerCase().trim();
+        // Wait for loadData to call back once state is available
+        if (!this.state) return;
 
-        if (!term) {
-            this.filteredBalances = [...this.balancesData];
-        } else {
-            this.filteredBalances = this.balancesData.filter(item =>
-                item.address.toLowerCase().includes(term)
-            );
+        if (!this.isValidAddress(address)) {
+            this.showError(`Invalid address in link: ${address}`);
+            this.closeAddressDetail();
+            return;
         }
 
-        this.renderBalances();
+        this.detailAddress = address;
+        document.getElementById('address-modal').style.display = 'flex';
+        this.renderAddressDetail();
+        this.loadAddressHistory(address);
     }
 
-    renderBalances() {
-        const tbody = document.getElementById('balances-tbody');
-        tbody.innerHTML = '';
-
-        // Update stats
-        const totalSupply = this.balancesData.reduce((sum, item) => sum + item.balance, 0);
-        document.getElementById('total-addresses').textContent =
-            this.balancesData.length.toLocaleString();
-        document.getElementById('total-supply').textContent =
-            this.formatNumber(totalSupply);
-        document.getElementById('filtered-count').textContent =
-            this.filteredBalances.length.toLocaleString();
+    getAddressRanking() {
+        // Rank holders by liquid plus vaulted tokens
+        const holdings = new Map();
+        this.balancesData.forEach(item => holdings.set(item.address, item.balance));
+        this.vaultsData.forEach(vault => {
+            holdings.set(vault.address, (holdings.get(vault.address) || 0) + vault.total);
+        });
 
-        // Render rows
-        this.filteredBalances.forEach(item => {
-            const row = document.createElement('tr');
+        const ranked = [...holdings.entries()]
+            .filter(([, total]) => total > 0)
+            .sort((a, b) => b[1] - a[1]);
+        const totalSupply = ranked.reduce((sum, [, total]) => sum + total, 0);
 
-            // Address cell (text only)
-            const addressCell = document.createElement('td');
-            addressCell.className = 'address-cell';
-            addressCell.textContent = item.address;
+        return { ranked, totalSupply };
+    }
 
-            // Copy button cell
-            const copyCell = document.createElement('td');
-            copyCell.className = 'copy-column';
-            const copyBtn = this.createCopyButton(item.address);
-            copyCell.appendChild(copyBtn);
+    renderAddressDetail() {
+        const address = this.detailAddress;
+        const balances = this.state.state.balances;
+        const entries = (this.state.state.vault || {})[address] || [];
+
+        const addressEl = document.getElementById('address-detail-address');
+        addressEl.textContent = address;
+        this.appendAddressLabel(addressEl, address);
+        const entry = this.addressBook.get(address);
+        document.getElementById('address-detail-notes').textContent = entry ? entry.notes : '';
+        document.getElementById('address-detail-label-btn').textContent = entry ? 'Edit Label' : 'Add Label';
+        const copyContainer = document.getElementById('address-detail-copy');
+        copyContainer.innerHTML = '';
+        copyContainer.appendChild(this.createCopyButton(address));
+
+        // Balances
+        const balance = balances[address] || 0;
+        const vaulted = entries.reduce((sum, entry) => sum + entry.balance, 0);
+        const balanceEl = document.getElementById('address-detail-balance');
+        balanceEl.textContent = this.formatNumber(balance);
+        const pendingDelta = this.pendingBalanceDeltas.get(address);
+        if (pendingDelta) {
+            balanceEl.appendChild(this.createPendingMarker(pendingDelta));
+        }
+        document.getElementById('address-detail-vaulted').textContent = this.formatNumber(vaulted);
+
+        // Weight a vote started now would count
+        const weight = this.currentBlockHeight
+            ? this.getVotingWeight(address, { start: this.currentBlockHeight })
+            : null;
+        document.getElementById('address-detail-weight').textContent =
+            weight !== null ? this.formatNumber(weight) : '-';
+
+        // Share of supply and rank
+        const { ranked, totalSupply } = this.getAddressRanking();
+        const rankIndex = ranked.findIndex(([holder]) => holder === address);
+        const share = totalSupply > 0 ? (balance + vaulted) / totalSupply * 100 : 0;
+        document.getElementById('address-detail-share').textContent = `${this.formatNumber(share)}%`;
+        document.getElementById('address-detail-rank').textContent = rankIndex >= 0
+            ? `#${(rankIndex + 1).toLocaleString()} of ${ranked.length.toLocaleString()}`
+            : '-';
+
+        // Vault entries with unlock timing
+        const vaultsContainer = document.getElementById('address-detail-vaults');
+        vaultsContainer.innerHTML = '';
+
+        if (entries.length === 0) {
+            vaultsContainer.innerHTML = '<p class="address-detail-empty">No vaults</p>';
+        }
 
-            // Balance cell
-            const balanceCell = document.createElement('td');
-            balanceCell.className = 'balance-cell';
-            balanceCell.textContent = this.formatNumber(item.balance);
+        entries.forEach(entry => {
+            let unlockText = '-';
+            if (this.currentBlockHeight) {
+                const blocksRemaining = entry.end - this.currentBlockHeight;
+                unlockText = blocksRemaining > 0
+                    ? `${this.formatNumber(blocksRemaining)} blocks (${this.estimateBlockTime(blocksRemaining)})`
+                    : 'Unlockable';
+            }
 
-            row.appendChild(addressCell);
-            row.appendChild(copyCell);
-            row.appendChild(balanceCell);
-            tbody.appendChild(row);
+            const entryDiv = document.createElement('div');
+            entryDiv.className = this.pendingVaultEntries.has(entry)
+                ? 'vault-entry address-vault-entry pending'
+                : 'vault-entry address-vault-entry';
+            entryDiv.innerHTML = `
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">Balance</span>
+                    <span class="vault-entry-value">${this.formatNumber(entry.balance)}</span>
+                </div>
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">Start</span>
+                    <span class="vault-entry-value">${this.formatNumber(entry.start)}</span>
+                </div>
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">End</span>
+                    <span class="vault-entry-value">${this.formatNumber(entry.end)}</span>
+                </div>
+                <div class="vault-entry-item">
+                    <span class="vault-entry-label">Unlocks In</span>
+                    <span class="vault-entry-value">${unlockText}</span>
+                </div>
+            `;
+            vaultsContainer.appendChild(entryDiv);
         });
     }
 
-    filterVaults(searchTerm) {
-        const term = searchTerm.toLowerCase().trim();
-
-        if (!term) {
-            this.filteredVaults = [...this.vaultsData];
+    clearAddressHistories(contractId = null) {
+        if (contractId) {
+            const prefix = `${contractId}:`;
+            [...this.addressHistoryCache.keys()]
+                .filter(key => key.startsWith(prefix))
+                .forEach(key => this.addressHistoryCache.delete(key));
         } else {
-            this.filteredVaults = this.vaultsData.filter(item =>
-                item.address.toLowerCase().includes(term)
-            );
+            this.addressHistoryCache.clear();
+        }
+        this.gateway.clearInteractionCache(contractId);
+    }
+
+    async loadAddressHistory(address) {
+        const container = document.getElementById('address-detail-history');
+        const contractId = this.state.contractTxId;
+        const cacheKey = `${contractId}:${address}`;
+
+        if (!this.addressHistoryCache.has(cacheKey)) {
+            container.innerHTML = '<p class="address-detail-empty">Loading interaction history...</p>';
+
+            try {
+                const interactions = await this.gateway.fetchAddressInteractions(contractId, address);
+                this.addressHistoryCache.set(cacheKey, interactions);
+            } catch (error) {
+                console.error('Error loading address history:', error);
+                if (this.detailAddress === address) {
+                    container.innerHTML = '';
+                    const message = document.createElement('p');
+                    message.className = 'address-detail-empty';
+                    message.textContent = `Failed to load interaction history: ${error.message}`;
+                    container.appendChild(message);
+                }
+                return;
+            }
         }
 
-        this.renderVaults();
+        // Another address may have been opened while this one loaded
+        if (this.detailAddress !== address) return;
+
+        this.renderAddressHistory(address, this.addressHistoryCache.get(cacheKey));
     }
 
-    renderVaults() {
-        const container = document.getElementById('vaults-container');
+    renderAddressHistory(address, interactions) {
+        const container = document.getElementById('address-detail-history');
         container.innerHTML = '';
 
-        // Update stats
-        const totalLocked = this.vaultsData.reduce((sum, item) => sum + item.total, 0);
-        document.getElementById('total-vaults').textContent =
-            this.vaultsData.length.toLocaleString();
-        document.getElementById('total-locked').textContent =
-            this.formatNumber(totalLocked);
-        document.getElementById('filtered-vaults-count').textContent =
-            this.filteredVaults.length.toLocaleString();
+        if (interactions.length === 0) {
+            container.innerHTML = '<p class="address-detail-empty">No interactions found</p>';
+            return;
+        }
 
-        // Render vault cards
-        this.filteredVaults.forEach(vault => {
-            const card = document.createElement('div');
-            card.className = 'vault-card';
+        const validity = this.confirmedState ? this.confirmedState.validity : null;
+        const table = document.createElement('table');
+        table.innerHTML = `
+            <thead>
+                <tr>
+                    <th>Block</th>
+                    <th>Action</th>
+                    <th>Counterparty</th>
+                    <th>Amount</th>
+                </tr>
+            </thead>
+        `;
+        const tbody = document.createElement('tbody');
+
+        // Newest first
+        [...interactions].reverse().forEach(interaction => {
+            const inputTag = interaction.tags.find(tag => tag.name === 'Input');
+            let input = {};
+            try {
+                input = JSON.parse(inputTag.value);
+            } catch (error) {
+                // Leave malformed inputs as an unknown action
+            }
 
-            // Create header
-            const header = document.createElement('div');
-            header.className = 'vault-header';
+            const isSender = interaction.owner.address === address;
+            const isTransfer = input.function === 'transfer' || input.function === 'transferLocked';
+            let action = input.function || 'unknown';
+            let counterparty = '';
+            let direction = '';
+
+            if (isTransfer && isSender) {
+                action = input.function === 'transferLocked' ? 'Sent (locked)' : 'Sent';
+                counterparty = input.target || '';
+                direction = 'history-out';
+            } else if (isTransfer) {
+                action = input.function === 'transferLocked' ? 'Received (locked)' : 'Received';
+                counterparty = interaction.owner.address;
+                direction = 'history-in';
+            } else if (!isSender) {
+                counterparty = interaction.owner.address;
+            }
 
-            // Address with copy button
-            const vaultAddressDiv = document.createElement('div');
-            vaultAddressDiv.className = 'vault-address';
+            const row = document.createElement('tr');
+            if (validity && validity[interaction.id] === false) {
+                row.className = 'history-rejected';
+                row.title = 'Rejected by the contract';
+            }
 
-            const addressText = document.createElement('span');
-            addressText.className = 'address-text';
-            addressText.textContent = vault.address;
+            const blockCell = document.createElement('td');
+            blockCell.textContent = this.formatNumber(interaction.block.height);
+
+            const actionCell = document.createElement('td');
+            actionCell.className = direction;
+            actionCell.textContent = action;
+            actionCell.title = interaction.id;
+
+            const counterpartyCell = document.createElement('td');
+            counterpartyCell.className = 'address-cell';
+            if (counterparty) {
+                counterpartyCell.textContent = this.truncateAddress(counterparty);
+                counterpartyCell.title = counterparty;
+                this.appendAddressLabel(counterpartyCell, counterparty);
+                if (this.isValidAddress(counterparty)) {
+                    counterpartyCell.classList.add('address-link');
+                    counterpartyCell.addEventListener('click', () => this.openAddressDetail(counterparty));
+                }
+            } else {
+                counterpartyCell.textContent = '-';
+            }
 
-            const copyBtn = this.createCopyButton(vault.address);
+            const amountCell = document.createElement('td');
+            amountCell.textContent = Number.isFinite(input.qty) ? this.formatNumber(input.qty) : '-';
 
-            vaultAddressDiv.appendChild(addressText);
-            vaultAddressDiv.appendChild(copyBtn);
+            row.appendChild(blockCell);
+            row.appendChild(actionCell);
+            row.appendChild(counterpartyCell);
+            row.appendChild(amountCell);
+            tbody.appendChild(row);
+        });
 
-            // Total
-            const totalSpan = document.createElement('span');
-            totalSpan.className = 'vault-total';
-            totalSpan.textContent = `${this.formatNumber(vault.total)} Total`;
+        table.appendChild(tbody);
+        container.appendChild(table);
+    }
 
-            header.appendChild(vaultAddressDiv);
-            header.appendChild(totalSpan);
+    createPendingMarker(delta = null) {
+        const marker = document.createElement('span');
+        marker.className = 'pending-marker';
+        marker.title = 'Includes interactions that are not in the loaded state yet';
 
-            // Create entries container
-            const entriesContainer = document.createElement('div');
-            entriesContainer.className = 'vault-entries';
-
-            vault.entries.forEach(entry => {
-                const entryDiv = document.createElement('div');
-                entryDiv.className = 'vault-entry';
-                entryDiv.innerHTML = `
-                    <div class="vault-entry-item">
-                        <span class="vault-entry-label">Balance</span>
-                        <span class="vault-entry-value">${this.formatNumber(entry.balance)}</span>
-                    </div>
-                    <div class="vault-entry-item">
-                        <span class="vault-entry-label">Start</span>
-                        <span class="vault-entry-value">${this.formatNumber(entry.start)}</span>
-                    </div>
-                    <div class="vault-entry-item">
-                        <span class="vault-entry-label">End</span>
-                        <span class="vault-entry-value">${this.formatNumber(entry.end)}</span>
-                    </div>
-                `;
-                entriesContainer.appendChild(entryDiv);
-            });
+        if (delta === null) {
+            marker.textContent = 'Pending';
+        } else {
+            marker.textContent = `${delta > 0 ? '+' : ''}${this.formatNumber(delta)} pending`;
+        }
 
-            card.appendChild(header);
-            card.appendChild(entriesContainer);
-            container.appendChild(card);
-        });
+        return marker;
     }
 
     formatNumber(value) {
@@ -891,6 +4604,32 @@ class TokenStateViewer {
         return formatted;
     }
 
+    debounce(callback, delay) {
+        let timer = null;
+        return (...args) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => callback(...args), delay);
+        };
+    }
+
+    estimateBlockTime(blocks) {
+        // Calculate time estimate (2 minutes per block)
+        const minutes = blocks * 2;
+        const hours = Math.floor(minutes / 60);
+        const days = Math.floor(hours / 24);
+
+        if (days > 0) {
+            return `~${days} day${days !== 1 ? 's' : ''}`;
+        } else if (hours > 0) {
+            return `~${hours} hour${hours !== 1 ? 's' : ''}`;
+        }
+        return `~${minutes} minute${minutes !== 1 ? 's' : ''}`;
+    }
+
+    isValidAddress(address) {
+        return typeof address === 'string' && /^[a-zA-Z0-9_-]{43}$/.test(address);
+    }
+
     truncateAddress(address, start = 10, end = 10) {
         if (address.length <= start + end) return address;
         return `${address.slice(0, start)}...${address.slice(-end)}`;
@@ -909,8 +4648,10 @@ class TokenStateViewer {
         errorEl.classList.add('hidden');
     }
 
-    showLoading() {
-        document.getElementById('loading').style.display = 'block';
+    showLoading(message = 'Loading...') {
+        const loadingEl = document.getElementById('loading');
+        loadingEl.textContent = message;
+        loadingEl.style.display = 'block';
     }
 
     hideLoading() {
@@ -958,23 +4699,92 @@ class TokenStateViewer {
         }
     }
 
+    updateTransferLockFields() {
+        const isLocked = document.getElementById('transfer-locked').checked;
+        const lockGroup = document.getElementById('transfer-lock-length-group');
+        const lockLengthInput = document.getElementById('transfer-lock-length');
+
+        lockGroup.style.display = isLocked ? 'flex' : 'none';
+        lockLengthInput.required = isLocked;
+
+        if (this.state && this.state.state && this.state.state.settings) {
+            const settings = new Map(this.state.state.settings);
+            const lockMinLength = settings.get('lockMinLength');
+            const lockMaxLength = settings.get('lockMaxLength');
+
+            if (lockMinLength && lockMaxLength) {
+                document.getElementById('transfer-lock-length-hint').textContent =
+                    `Valid range: ${this.formatNumber(lockMinLength)} - ${this.formatNumber(lockMaxLength)} blocks`;
+                lockLengthInput.min = lockMinLength;
+                lockLengthInput.max = lockMaxLength;
+            }
+        }
+    }
+
+    validateLockLength(lockLength) {
+        if (!lockLength || lockLength <= 0 || !Number.isInteger(lockLength)) {
+            return 'Lock duration must be a positive integer.';
+        }
+
+        const settings = new Map(this.state.state.settings);
+        const lockMinLength = settings.get('lockMinLength');
+        const lockMaxLength = settings.get('lockMaxLength');
+
+        if (lockLength < lockMinLength || lockLength > lockMaxLength) {
+            return `Lock duration must be between ${this.formatNumber(lockMinLength)} and ${this.formatNumber(lockMaxLength)} blocks.`;
+        }
+
+        return null;
+    }
+
     previewTransfer() {
         const target = document.getElementById('transfer-target').value.trim();
         const qty = parseInt(document.getElementById('transfer-qty').value);
+        const isLocked = document.getElementById('transfer-locked').checked;
+        const lockLength = parseInt(document.getElementById('transfer-lock-length').value);
 
         if (!target || !qty || qty <= 0) {
             this.showError('Please fill in all required fields with valid values.');
             return;
         }
 
+        if (isLocked) {
+            if (!this.state || !this.state.state.settings) {
+                this.showError('Please load contract data first.');
+                return;
+            }
+
+            const lockError = this.validateLockLength(lockLength);
+            if (lockError) {
+                this.showError(lockError);
+                return;
+            }
+        }
+
         // Hide any previous transaction ID display
         document.getElementById('transaction-id-display').style.display = 'none';
 
         // Update preview
-        document.getElementById('preview-target').textContent = target;
+        document.getElementById('preview-function').textContent = isLocked ? 'transferLocked' : 'transfer';
+        const previewTarget = document.getElementById('preview-target');
+        previewTarget.textContent = target;
+        this.appendAddressLabel(previewTarget, target);
         document.getElementById('preview-qty').textContent = this.formatNumber(qty);
         document.getElementById('preview-contract').textContent = this.state?.contractTxId || '-';
 
+        // The vault starts at the block the interaction is mined in
+        document.querySelectorAll('.preview-item.preview-locked').forEach(item => {
+            item.style.display = isLocked ? 'flex' : 'none';
+        });
+        if (isLocked) {
+            document.getElementById('preview-lock-length').textContent =
+                `${this.formatNumber(lockLength)} blocks (${this.estimateBlockTime(lockLength)})`;
+            document.getElementById('preview-vault-start').textContent =
+                this.currentBlockHeight ? `~${this.formatNumber(this.currentBlockHeight)}` : '-';
+            document.getElementById('preview-vault-end').textContent =
+                this.currentBlockHeight ? `~${this.formatNumber(this.currentBlockHeight + lockLength)}` : '-';
+        }
+
         // Show preview
         document.getElementById('transfer-preview').style.display = 'block';
         this.clearError();
@@ -983,6 +4793,8 @@ class TokenStateViewer {
     async submitTransfer() {
         const target = document.getElementById('transfer-target').value.trim();
         const qty = parseInt(document.getElementById('transfer-qty').value);
+        const isLocked = document.getElementById('transfer-locked').checked;
+        const lockLength = parseInt(document.getElementById('transfer-lock-length').value);
 
         // Validate wallet connection
         if (!this.walletConnected || !this.walletAddress) {
@@ -1008,6 +4820,20 @@ class TokenStateViewer {
             return;
         }
 
+        // Validate lock duration against min/max
+        if (isLocked) {
+            if (!this.state.state.settings) {
+                this.showError('Please load contract data first.');
+                return;
+            }
+
+            const lockError = this.validateLockLength(lockLength);
+            if (lockError) {
+                this.showError(lockError);
+                return;
+            }
+        }
+
         // Check balance
         const balance = this.state.state.balances[this.walletAddress] || 0;
         if (balance < qty) {
@@ -1024,14 +4850,19 @@ class TokenStateViewer {
             this.clearError();
 
             // Create the SmartWeave interaction
-            const result = await this.dispatchSmartWeaveInteraction(
-                this.state.contractTxId,
-                {
+            const input = isLocked
+                ? {
+                    function: 'transferLocked',
+                    target: target,
+                    qty: qty,
+                    lockLength: lockLength
+                }
+                : {
                     function: 'transfer',
                     target: target,
                     qty: qty
-                }
-            );
+                };
+            const result = await this.dispatchSmartWeaveInteraction(this.state.contractTxId, input);
 
             // Show transaction ID below the form
             document.getElementById('form-tx-id').textContent = result.id;
@@ -1057,22 +4888,506 @@ class TokenStateViewer {
 
             // Reset form for next transfer
             document.getElementById('transfer-form').reset();
+            this.updateTransferLockFields();
         } catch (error) {
             console.error('Error submitting transfer:', error);
             this.showError(`Failed to submit transfer: ${error.message}`);
 
-            // Re-enable button
-            const submitBtn = document.getElementById('transfer-submit-btn');
-            submitBtn.disabled = false;
-            submitBtn.innerHTML = `
-                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <path d="M21 12V7H5a2 2 0 0 1 0-4h14v4"></path>
-                    <path d="M3 5v14a2 2 0 0 0 2 2h16v-5"></path>
-                    <path d="M18 12a2 2 0 0 0 0 4h4v-4Z"></path>
-                </svg>
-                Transfer Tokens
-            `;
+            // Re-enable button
+            const submitBtn = document.getElementById('transfer-submit-btn');
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = `
+                <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 12V7H5a2 2 0 0 1 0-4h14v4"></path>
+                    <path d="M3 5v14a2 2 0 0 0 2 2h16v-5"></path>
+                    <path d="M18 12a2 2 0 0 0 0 4h4v-4Z"></path>
+                </svg>
+                Transfer Tokens
+            `;
+        }
+    }
+
+    switchTransferMode(mode) {
+        document.querySelectorAll('[data-transfer-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.transferMode === mode);
+        });
+
+        document.getElementById('single-transfer-container').style.display = mode === 'single' ? 'flex' : 'none';
+        document.getElementById('batch-transfer-container').style.display = mode === 'batch' ? 'flex' : 'none';
+        this.clearError();
+    }
+
+    parseBatchCsv(text) {
+        const rows = [];
+
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            const trimmed = line.trim();
+
+            // Skip blank lines, comments and a header row
+            if (!trimmed || trimmed.startsWith('#') || /^address\s*,/i.test(trimmed)) {
+                return;
+            }
+
+            const [address = '', qtyValue = '', lockLengthValue = ''] = trimmed.split(',').map(cell => cell.trim());
+            const errors = [];
+
+            if (!this.isValidAddress(address)) {
+                errors.push('Invalid address');
+            }
+
+            const qty = Number(qtyValue);
+            if (!qtyValue || !Number.isInteger(qty) || qty <= 0) {
+                errors.push('Qty must be a positive integer');
+            }
+
+            let lockLength = null;
+            if (lockLengthValue) {
+                lockLength = Number(lockLengthValue);
+                const lockError = this.validateLockLength(lockLength);
+                if (lockError) {
+                    errors.push(lockError);
+                }
+            }
+
+            rows.push({
+                line: lineIndex + 1,
+                address,
+                qty,
+                lockLength,
+                errors,
+                senderBalanceAfter: null,
+                recipientBalanceAfter: null,
+                recipientLockedAfter: null,
+                status: errors.length > 0 ? 'invalid' : 'ready',
+                txId: null,
+                signedTxId: null, // Signed but posting failed, it may still have reached the network
+                error: null
+            });
+        });
+
+        return rows;
+    }
+
+    simulateBatch() {
+        this.clearError();
+
+        if (!this.state || !this.state.state || !this.state.state.settings) {
+            this.showError('Please load contract data first.');
+            return;
+        }
+
+        if (!this.walletConnected || !this.walletAddress) {
+            this.showError('Please connect your wallet first.');
+            return;
+        }
+
+        const rows = this.parseBatchCsv(document.getElementById('batch-csv').value);
+        if (rows.length === 0) {
+            this.showError('No transfers found. Add one row per transfer: address,qty[,lockLength]');
+            return;
+        }
+
+        // Replay the batch against a copy of the loaded balances
+        const balances = this.state.state.balances;
+        const vaults = this.state.state.vault || {};
+        const liquid = new Map();
+        const locked = new Map();
+        let senderBalance = balances[this.walletAddress] || 0;
+
+        rows.forEach(row => {
+            if (row.address === this.walletAddress) {
+                row.errors.push('Cannot transfer to yourself');
+                row.status = 'invalid';
+            }
+
+            if (row.status === 'invalid') {
+                return;
+            }
+
+            if (row.qty > senderBalance) {
+                row.errors.push(`Insufficient balance (${this.formatNumber(senderBalance)} left)`);
+                row.status = 'invalid';
+                return;
+            }
+
+            senderBalance -= row.qty;
+            row.senderBalanceAfter = senderBalance;
+
+            if (!liquid.has(row.address)) {
+                liquid.set(row.address, balances[row.address] || 0);
+                locked.set(row.address, (vaults[row.address] || []).reduce((sum, entry) => sum + entry.balance, 0));
+            }
+
+            if (row.lockLength) {
+                locked.set(row.address, locked.get(row.address) + row.qty);
+            } else {
+                liquid.set(row.address, liquid.get(row.address) + row.qty);
+            }
+
+            row.recipientBalanceAfter = liquid.get(row.address);
+            row.recipientLockedAfter = locked.get(row.address);
+        });
+
+        this.batchRows = rows;
+        this.batchSenderBalance = senderBalance;
+        this.batchContractId = this.state.contractTxId;
+        this.batchSender = this.walletAddress;
+        this.renderBatch();
+    }
+
+    renderBatch() {
+        const rows = this.batchRows;
+        const validRows = rows.filter(row => row.status !== 'invalid');
+        const totalQty = validRows.reduce((sum, row) => sum + row.qty, 0);
+
+        // Update stats
+        document.getElementById('batch-row-count').textContent = rows.length.toLocaleString();
+        document.getElementById('batch-valid-count').textContent = validRows.length.toLocaleString();
+        document.getElementById('batch-total-qty').textContent = this.formatNumber(totalQty);
+        document.getElementById('batch-sender-after').textContent = this.formatNumber(this.batchSenderBalance);
+        document.getElementById('batch-summary').style.display = 'grid';
+        document.getElementById('batch-table-container').style.display = 'block';
+
+        const tbody = document.getElementById('batch-tbody');
+        tbody.innerHTML = '';
+
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `batch-row ${row.status}`;
+
+            const lineCell = document.createElement('td');
+            lineCell.textContent = row.line;
+
+            const addressCell = document.createElement('td');
+            addressCell.className = 'address-cell';
+            addressCell.textContent = row.address || '-';
+            this.appendAddressLabel(addressCell, row.address);
+
+            const qtyCell = document.createElement('td');
+            qtyCell.className = 'balance-cell';
+            qtyCell.textContent = Number.isInteger(row.qty) ? this.formatNumber(row.qty) : '-';
+
+            const lockCell = document.createElement('td');
+            lockCell.textContent = row.lockLength ? `${this.formatNumber(row.lockLength)} blocks` : '-';
+
+            const senderCell = document.createElement('td');
+            senderCell.className = 'balance-cell';
+            senderCell.textContent = row.senderBalanceAfter !== null ? this.formatNumber(row.senderBalanceAfter) : '-';
+
+            const recipientCell = document.createElement('td');
+            recipientCell.className = 'balance-cell';
+            recipientCell.textContent = row.recipientBalanceAfter !== null
+                ? `${this.formatNumber(row.recipientBalanceAfter)} (${this.formatNumber(row.recipientLockedAfter)} locked)`
+                : '-';
+
+            const statusCell = document.createElement('td');
+            statusCell.className = 'batch-status-cell';
+
+            const badge = document.createElement('span');
+            badge.className = `batch-status-badge ${row.status}`;
+            badge.textContent = row.status;
+            statusCell.appendChild(badge);
+
+            const detail = row.errors.length > 0 ? row.errors.join('; ') : (row.error || row.txId);
+            if (detail) {
+                const detailSpan = document.createElement('span');
+                detailSpan.className = 'batch-status-detail';
+                detailSpan.textContent = detail;
+                statusCell.appendChild(detailSpan);
+            }
+
+            if (row.status === 'failed' && row.signedTxId) {
+                // Sending again could transfer twice if the first one went through
+                const checkBtn = document.createElement('button');
+                checkBtn.className = 'extend-btn';
+                checkBtn.textContent = 'Check Status';
+                checkBtn.disabled = this.batchSending;
+                checkBtn.onclick = () => this.checkBatchRow(row);
+                statusCell.appendChild(checkBtn);
+            } else if (row.status === 'failed') {
+                const retryBtn = document.createElement('button');
+                retryBtn.className = 'extend-btn';
+                retryBtn.textContent = 'Retry';
+                retryBtn.disabled = this.batchSending;
+                retryBtn.onclick = async () => {
+                    if (this.batchSending || !this.checkBatchTarget()) return;
+                    this.clearError();
+                    this.batchSending = true;
+                    try {
+                        await this.sendBatchRow(row);
+                    } finally {
+                        this.batchSending = false;
+                        this.renderBatch();
+                    }
+                };
+                statusCell.appendChild(retryBtn);
+            }
+
+            tr.appendChild(lineCell);
+            tr.appendChild(addressCell);
+            tr.appendChild(qtyCell);
+            tr.appendChild(lockCell);
+            tr.appendChild(senderCell);
+            tr.appendChild(recipientCell);
+            tr.appendChild(statusCell);
+            tbody.appendChild(tr);
+        });
+
+        const hasInvalid = rows.some(row => row.status === 'invalid');
+        const hasPending = rows.some(row => this.isBatchRowSendable(row));
+        document.getElementById('batch-send-btn').disabled = hasInvalid || !hasPending || this.batchSending;
+        document.getElementById('batch-receipt-btn').disabled = !rows.some(row => row.txId || row.signedTxId);
+    }
+
+    isBatchRowSendable(row) {
+        return row.status === 'ready' || (row.status === 'failed' && !row.signedTxId);
+    }
+
+    getBatchRowInput(row) {
+        return row.lockLength
+            ? {
+                function: 'transferLocked',
+                target: row.address,
+                qty: row.qty,
+                lockLength: row.lockLength
+            }
+            : {
+                function: 'transfer',
+                target: row.address,
+                qty: row.qty
+            };
+    }
+
+    async sendBatchRow(row) {
+        try {
+            row.status = 'sending';
+            row.error = null;
+            this.renderBatch();
+
+            const result = await this.dispatchSmartWeaveInteraction(this.batchContractId, this.getBatchRowInput(row));
+            row.txId = result.id;
+            row.status = 'sent';
+        } catch (error) {
+            console.error(`Error sending batch row ${row.line}:`, error);
+            row.error = error.message;
+            row.signedTxId = error.txId || null;
+            row.status = 'failed';
+        }
+    }
+
+    /**
+     * Look up a batch transaction that was signed but failed to post. One
+     * the network knows about counts as sent, one it does not can be retried.
+     * @param {Object} row - Batch row
+     */
+    async checkBatchRow(row) {
+        if (this.batchSending) return;
+        this.clearError();
+
+        try {
+            const result = await this.gateway.fetchTransactionStatus(row.signedTxId);
+
+            if (result.status === 'not_found') {
+                row.error = `Transaction ${this.truncateAddress(row.signedTxId, 6, 6)} did not reach the network, Retry sends a new one`;
+                row.signedTxId = null;
+            } else {
+                this.interactionTracker.add({
+                    id: row.signedTxId,
+                    contractId: this.batchContractId,
+                    input: this.getBatchRowInput(row),
+                    caller: this.batchSender
+                });
+                row.txId = row.signedTxId;
+                row.signedTxId = null;
+                row.error = null;
+                row.status = 'sent';
+            }
+        } catch (error) {
+            console.error(`Error checking batch row ${row.line}:`, error);
+            this.showError(`Could not check the transaction status: ${error.message}`);
+        }
+
+        this.renderBatch();
+    }
+
+    /**
+     * Check that the batch would go out on the contract and from the wallet
+     * it was simulated against, showing an error if not
+     * @returns {boolean} True if the batch can be sent
+     */
+    checkBatchTarget() {
+        if (!this.walletConnected || !this.walletAddress) {
+            this.showError('Please connect your wallet first.');
+            return false;
+        }
+
+        if (!this.state || this.state.contractTxId !== this.batchContractId) {
+            this.showError(`This batch was simulated against contract ${this.truncateAddress(this.batchContractId || '', 6, 6)}. Load that contract again or simulate the batch against the loaded one.`);
+            return false;
+        }
+
+        if (this.walletAddress !== this.batchSender) {
+            this.showError('The connected wallet changed since the batch was simulated. Simulate it again before sending.');
+            return false;
+        }
+
+        return true;
+    }
+
+    async sendBatch() {
+        if (!this.checkBatchTarget()) {
+            return;
+        }
+
+        if (this.batchRows.some(row => row.status === 'invalid')) {
+            this.showError('Fix the invalid rows before sending the batch.');
+            return;
+        }
+
+        const pendingRows = this.batchRows.filter(row => this.isBatchRowSendable(row));
+        const totalQty = pendingRows.reduce((sum, row) => sum + row.qty, 0);
+        if (!confirm(`Send ${pendingRows.length} transfers totaling ${this.formatNumber(totalQty)} tokens?`)) {
+            return;
+        }
+
+        this.clearError();
+        this.batchSending = true;
+
+        // Dispatch one by one so each interaction is signed in order
+        for (const row of pendingRows) {
+            await this.sendBatchRow(row);
+            this.renderBatch();
+        }
+
+        this.batchSending = false;
+        this.renderBatch();
+
+        const failedCount = this.batchRows.filter(row => row.status === 'failed').length;
+        if (failedCount > 0) {
+            this.showError(`${failedCount} transfer${failedCount !== 1 ? 's' : ''} failed. Use Retry to send them again, or Check Status for ones that were signed.`);
+        }
+    }
+
+    downloadBatchReceipt() {
+        const metadata = {
+            contractId: this.batchContractId,
+            sender: this.batchSender,
+            exportedAt: new Date().toISOString()
+        };
+        const columns = ['line', 'address', 'qty', 'lockLength', 'status', 'txId', 'signedTxId', 'error'];
+        const rows = this.batchRows.map(row => ({
+            line: row.line,
+            address: row.address,
+            qty: row.qty,
+            lockLength: row.lockLength,
+            status: row.status,
+            txId: row.txId,
+            signedTxId: row.signedTxId,
+            error: row.error || row.errors.join('; ')
+        }));
+
+        const timestamp = metadata.exportedAt.replace(/[:.]/g, '-');
+        this.downloadFile(
+            `batch-receipt-${this.batchContractId}-${timestamp}.csv`,
+            toCsv(metadata, columns, rows),
+            'text/csv'
+        );
+    }
+
+    getExportMetadata(dataset, rowCount) {
+        const sortState = dataset === 'balances' ? this.balanceSortState
+            : dataset === 'vaults' ? this.vaultSortState
+            : null;
+        const searchId = dataset === 'balances' ? 'balance-search'
+            : dataset === 'vaults' ? 'vault-search'
+            : null;
+
+        return {
+            dataset,
+            contractId: this.state.contractTxId,
+            // The source that produced the state, the form may have changed since
+            source: this.loadedDataParams ? this.loadedDataParams.source : null,
+            stateAsOf: this.describeStateAt(this.stateAt),
+            // The requested point in history, when not the latest state
+            ...(this.stateAt ? { stateAt: this.stateAt.blockHeight || this.stateAt.interactionId } : {}),
+            sortKey: this.state.sortKey || null,
+            // Height the exported state was evaluated at, not the network tip
+            blockHeight: this.getStateHeight(this.confirmedState),
+            search: searchId ? document.getElementById(searchId).value.trim() : '',
+            sort: sortState && sortState.column ? `${sortState.column} ${sortState.direction}` : '',
+            includesPending: this.state !== this.confirmedState,
+            rows: rowCount,
+            exportedAt: new Date().toISOString()
+        };
+    }
+
+    getExportRows(dataset) {
+        switch (dataset) {
+            case 'balances':
+                return {
+                    columns: ['address', 'balance', 'pendingChange'],
+                    rows: this.filteredBalances.map(item => ({
+                        address: item.address,
+                        balance: item.balance,
+                        pendingChange: item.pendingDelta
+                    }))
+                };
+            case 'vaults':
+                // One row per vault entry, in the same order as the Vaults tab
+                return {
+                    columns: ['address', 'vaultIndex', 'balance', 'start', 'end', 'blocksRemaining'],
+                    rows: this.filteredVaults.flatMap(vault => vault.entries.map((entry, index) => ({
+                        address: vault.address,
+                        vaultIndex: index,
+                        balance: entry.balance,
+                        start: entry.start,
+                        end: entry.end,
+                        blocksRemaining: this.currentBlockHeight
+                            ? Math.max(0, entry.end - this.currentBlockHeight)
+                            : null
+                    })))
+                };
+            case 'settings':
+                return {
+                    columns: ['key', 'value'],
+                    rows: (this.state.state.settings || []).map(([key, value]) => ({ key, value }))
+                };
+            default:
+                throw new Error(`Unknown export: ${dataset}`);
+        }
+    }
+
+    exportData(dataset) {
+        if (!this.state) {
+            this.showError('Load data before exporting');
+            return;
         }
+
+        const format = document.getElementById(`${dataset}-export-format`).value;
+        const { columns, rows } = this.getExportRows(dataset);
+        const metadata = this.getExportMetadata(dataset, rows.length);
+        const { content, mimeType, extension } = formatExport(format, metadata, columns, rows);
+
+        const timestamp = metadata.exportedAt.replace(/[:.]/g, '-');
+        this.downloadFile(
+            `${dataset}-${this.state.contractTxId}-${timestamp}.${extension}`,
+            content,
+            mimeType
+        );
+    }
+
+    downloadFile(filename, content, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
     }
 
     renderUnlockVaults() {
@@ -1106,15 +5421,24 @@ class TokenStateViewer {
             return;
         }
 
+        // increaseVault picks an entry by index, and an unlock evaluated first
+        // removes entries and shifts the indices
+        const unlockPending = !this.stateAt && this.interactionTracker.unevaluated(this.state.contractTxId)
+            .some(entry => entry.caller === this.walletAddress && entry.input.function === 'unlock');
+
         // Render each vault
         userVaults.forEach((vault, index) => {
             const card = document.createElement('div');
             card.className = 'unlock-vault-card';
 
-            const isUnlockable = this.currentBlockHeight >= vault.end;
+            const isPending = this.pendingVaultEntries.has(vault);
+            const isUnlockable = !isPending && this.currentBlockHeight >= vault.end;
             if (isUnlockable) {
                 card.classList.add('unlockable');
             }
+            if (isPending) {
+                card.classList.add('pending');
+            }
 
             // Header with balance and status
             const header = document.createElement('div');
@@ -1163,7 +5487,11 @@ class TokenStateViewer {
 
             status.appendChild(badge);
 
-            if (isUnlockable) {
+            let extendForm = null;
+            if (isPending) {
+                // Wait for the pending lock or extension before offering actions
+                status.appendChild(this.createPendingMarker());
+            } else if (isUnlockable) {
                 const unlockBtn = document.createElement('button');
                 unlockBtn.className = 'unlock-btn';
                 unlockBtn.textContent = 'Unlock';
@@ -1175,36 +5503,176 @@ class TokenStateViewer {
                 remainingDiv.className = 'unlock-remaining';
                 remainingDiv.textContent = `${this.formatNumber(remaining)} blocks remaining`;
 
-                // Calculate time estimate (2 minutes per block)
-                const minutesRemaining = remaining * 2;
-                const hoursRemaining = Math.floor(minutesRemaining / 60);
-                const daysRemaining = Math.floor(hoursRemaining / 24);
-
-                let timeEstimate = '';
-                if (daysRemaining > 0) {
-                    timeEstimate = `~${daysRemaining} day${daysRemaining !== 1 ? 's' : ''}`;
-                } else if (hoursRemaining > 0) {
-                    timeEstimate = `~${hoursRemaining} hour${hoursRemaining !== 1 ? 's' : ''}`;
-                } else {
-                    timeEstimate = `~${minutesRemaining} minute${minutesRemaining !== 1 ? 's' : ''}`;
-                }
-
                 const estimateDiv = document.createElement('div');
                 estimateDiv.className = 'unlock-estimate';
-                estimateDiv.textContent = timeEstimate;
+                estimateDiv.textContent = this.estimateBlockTime(remaining);
+
+                const extendBtn = document.createElement('button');
+                extendBtn.className = 'extend-btn';
+                extendBtn.textContent = 'Extend';
+                if (unlockPending) {
+                    extendBtn.disabled = true;
+                    extendBtn.title = 'Available once your pending unlock is confirmed';
+                } else {
+                    extendForm = this.createExtendVaultForm(vault, index);
+                    extendBtn.onclick = () => {
+                        const isHidden = extendForm.style.display === 'none';
+                        extendForm.style.display = isHidden ? 'flex' : 'none';
+                    };
+                }
 
                 status.appendChild(remainingDiv);
                 status.appendChild(estimateDiv);
+                status.appendChild(extendBtn);
             }
 
             header.appendChild(vaultInfo);
             header.appendChild(status);
 
             card.appendChild(header);
+            if (extendForm) {
+                card.appendChild(extendForm);
+            }
             container.appendChild(card);
         });
     }
 
+    createExtendVaultForm(vault, index) {
+        const form = document.createElement('div');
+        form.className = 'extend-vault-form';
+        form.style.display = 'none';
+
+        const settings = new Map(this.state.state.settings || []);
+        const lockMinLength = settings.get('lockMinLength');
+        const lockMaxLength = settings.get('lockMaxLength');
+
+        const inputGroup = document.createElement('div');
+        inputGroup.className = 'form-group';
+
+        const label = document.createElement('label');
+        label.textContent = 'New Lock Duration From Now (Blocks)';
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.placeholder = '0';
+        input.min = lockMinLength || 1;
+        if (lockMaxLength) {
+            input.max = lockMaxLength;
+        }
+        input.step = 1;
+
+        const hint = document.createElement('span');
+        hint.className = 'form-hint';
+        hint.textContent = lockMinLength && lockMaxLength
+            ? `Valid range: ${this.formatNumber(lockMinLength)} - ${this.formatNumber(lockMaxLength)} blocks`
+            : 'Enter number of blocks';
+
+        inputGroup.appendChild(label);
+        inputGroup.appendChild(input);
+        inputGroup.appendChild(hint);
+
+        // New end block and time estimate
+        const estimate = document.createElement('div');
+        estimate.className = 'lock-estimate-info';
+        estimate.innerHTML = `
+            <div class="lock-estimate-row">
+                <span class="lock-estimate-label">New End Block:</span>
+                <span class="lock-estimate-value extend-end-block">-</span>
+            </div>
+            <div class="lock-estimate-row">
+                <span class="lock-estimate-label">Estimated Time:</span>
+                <span class="lock-estimate-value extend-time">-</span>
+            </div>
+        `;
+
+        input.addEventListener('input', () => {
+            const lockLength = parseInt(input.value);
+            if (!lockLength || lockLength <= 0 || !this.currentBlockHeight) {
+                estimate.querySelector('.extend-end-block').textContent = '-';
+                estimate.querySelector('.extend-time').textContent = '-';
+                return;
+            }
+
+            // The contract sets the new end relative to the block the interaction is mined in
+            estimate.querySelector('.extend-end-block').textContent =
+                this.formatNumber(this.currentBlockHeight + lockLength);
+            estimate.querySelector('.extend-time').textContent = this.estimateBlockTime(lockLength);
+        });
+
+        const submitBtn = document.createElement('button');
+        submitBtn.className = 'unlock-btn';
+        submitBtn.textContent = 'Extend Lock';
+        submitBtn.onclick = () => this.extendVault(vault, index, parseInt(input.value), submitBtn);
+
+        form.appendChild(inputGroup);
+        form.appendChild(estimate);
+        form.appendChild(submitBtn);
+        return form;
+    }
+
+    async extendVault(vault, index, lockLength, submitBtn) {
+        // Validate wallet connection
+        if (!this.walletConnected || !this.walletAddress) {
+            this.showError('Please connect your wallet first.');
+            return;
+        }
+
+        // Validate contract state loaded
+        if (!this.state || !this.state.contractTxId || !this.state.state.settings) {
+            this.showError('Please load contract data first.');
+            return;
+        }
+
+        // Validate against min/max
+        const lockError = this.validateLockLength(lockLength);
+        if (lockError) {
+            this.showError(lockError);
+            return;
+        }
+
+        if (this.currentBlockHeight >= vault.end) {
+            this.showError('This vault has ended and can only be unlocked.');
+            return;
+        }
+
+        if (this.currentBlockHeight + lockLength <= vault.end) {
+            this.showError(`The new end block must be after the current end block (${this.formatNumber(vault.end)}).`);
+            return;
+        }
+
+        try {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Submitting...';
+            this.clearError();
+
+            const result = await this.dispatchSmartWeaveInteraction(
+                this.state.contractTxId,
+                {
+                    function: 'increaseVault',
+                    id: index,
+                    lockLength: lockLength
+                }
+            );
+
+            // Show transaction ID above the vault list
+            document.getElementById('unlock-tx-id').textContent = result.id;
+            document.getElementById('unlock-transaction-id-display').style.display = 'flex';
+
+            // Setup copy button for transaction ID
+            const copyTxIdBtn = document.getElementById('copy-unlock-tx-id-btn');
+            copyTxIdBtn.dataset.originalTitle = 'Copy transaction ID';
+            copyTxIdBtn.onclick = () => this.copyToClipboard(result.id, copyTxIdBtn);
+
+            console.log(`Increase vault transaction posted: ${result.id}`);
+        } catch (error) {
+            console.error('Error extending vault:', error);
+            this.showError(`Failed to extend vault: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Extend Lock';
+        }
+    }
+
     async unlockVault() {
         // Validate wallet connection
         if (!this.walletConnected || !this.walletAddress) {
@@ -1233,8 +5701,13 @@ class TokenStateViewer {
             console.log(`Unlock transaction posted: ${result.id}`);
             this.hideLoading();
 
-            // Show success message
-            alert(`Unlock transaction submitted!\n\nTransaction ID: ${result.id}\n\nThe transaction will be processed by the network. You may need to wait a few minutes and reload the contract state to see the updated balances.`);
+            // Show transaction ID above the vault list, the tracker reloads the state once it confirms
+            document.getElementById('unlock-tx-id').textContent = result.id;
+            document.getElementById('unlock-transaction-id-display').style.display = 'flex';
+
+            const copyTxIdBtn = document.getElementById('copy-unlock-tx-id-btn');
+            copyTxIdBtn.dataset.originalTitle = 'Copy transaction ID';
+            copyTxIdBtn.onclick = () => this.copyToClipboard(result.id, copyTxIdBtn);
 
             // Re-render the unlock vaults
             this.renderUnlockVaults();
@@ -1245,6 +5718,112 @@ class TokenStateViewer {
         }
     }
 
+    handleTrackedInteractionsChange() {
+        this.renderTrackedInteractions();
+
+        // loadData applies pending interactions itself
+        if (!this.confirmedState || this.loadingData) return;
+
+        // Re-project so new and dropped interactions show up immediately
+        this.refreshProjectedState();
+    }
+
+    async handleRefreshDue(entries) {
+        // Confirmed interactions belong in the address histories of their contract
+        new Set(entries.map(entry => entry.contractId))
+            .forEach(contractId => this.clearAddressHistories(contractId));
+
+        if (!this.confirmedState || this.loadingData || this.stateAt || this.offlineMode) return;
+
+        // Only the Cache API and Compute State move on with the network
+        const dataParams = this.loadedDataParams;
+        if (!dataParams || (dataParams.source !== 'api' && dataParams.source !== 'compute')) return;
+
+        // Reload once a confirmed interaction is expected in the cached state
+        const contractId = this.confirmedState.contractTxId;
+        const awaiting = entries.filter(entry => entry.contractId === contractId);
+        if (awaiting.length === 0) return;
+
+        const sortKey = this.confirmedState.sortKey;
+
+        // Reload what is on screen, the form may have been edited since
+        await this.handleLoadData(dataParams);
+
+        // A source that has not moved on yet is asked again less often
+        const stillAwaiting = this.interactionTracker.awaitingRefresh(contractId)
+            .filter(entry => awaiting.includes(entry));
+        if (stillAwaiting.length > 0 && this.confirmedState && this.confirmedState.sortKey === sortKey) {
+            this.interactionTracker.deferRefresh(stillAwaiting);
+        }
+    }
+
+    renderTrackedInteractions() {
+        const entries = this.interactionTracker.list();
+        const badges = document.getElementById('interaction-badges');
+        badges.innerHTML = '';
+
+        const counts = { pending: 0, confirmed: 0, dropped: 0 };
+        entries.forEach(entry => {
+            counts[entry.status]++;
+        });
+
+        Object.entries(counts).forEach(([status, count]) => {
+            if (count === 0) return;
+
+            const badge = document.createElement('span');
+            badge.className = `interaction-badge ${status}`;
+            badge.textContent = `${count} ${status.charAt(0).toUpperCase()}${status.slice(1)}`;
+            badges.appendChild(badge);
+        });
+
+        badges.style.display = entries.length > 0 ? 'flex' : 'none';
+
+        // Detailed list
+        const list = document.getElementById('tracked-interactions-list');
+        list.innerHTML = '';
+
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'tracked-interaction';
+
+            const summary = document.createElement('span');
+            summary.className = 'tracked-interaction-summary';
+            const details = [];
+            if (entry.input.target) details.push(`to ${this.truncateAddress(entry.input.target, 6, 4)}`);
+            if (entry.input.qty) details.push(this.formatNumber(entry.input.qty));
+            if (entry.input.id !== undefined) details.push(`#${entry.input.id}`);
+            summary.textContent = `${entry.input.function} ${details.join(' ')}`;
+
+            const txId = document.createElement('span');
+            txId.className = 'tracked-interaction-id';
+            txId.textContent = this.truncateAddress(entry.id, 8, 8);
+
+            const copyBtn = this.createCopyButton(entry.id);
+            copyBtn.title = 'Copy transaction ID';
+
+            const status = document.createElement('span');
+            status.className = `interaction-badge ${entry.status}`;
+            if (entry.status === 'confirmed' && entry.valid === false) {
+                status.className = 'interaction-badge dropped';
+                status.textContent = 'Rejected';
+            } else if (entry.status === 'confirmed') {
+                status.textContent = entry.reflected ? 'In State' : 'Confirmed';
+            } else {
+                status.textContent = entry.status;
+            }
+
+            item.appendChild(summary);
+            item.appendChild(txId);
+            item.appendChild(copyBtn);
+            item.appendChild(status);
+            list.appendChild(item);
+        });
+
+        if (entries.length === 0) {
+            document.getElementById('tracked-interactions').style.display = 'none';
+        }
+    }
+
     async dispatchSmartWeaveInteraction(contractId, input) {
         if (!window.arweaveWallet) {
             throw new Error('Wander wallet not detected.');
@@ -1271,13 +5850,28 @@ class TokenStateViewer {
         // Sign the transaction using arweave-js (will delegate to Wander)
         await this.arweave.transactions.sign(transaction);
 
-        // Post the transaction to the network
-        const response = await this.arweave.transactions.post(transaction);
+        // Post the transaction to the network. A signed transaction may get
+        // there even when posting throws, so the error carries its ID.
+        let response;
+        try {
+            response = await this.arweave.transactions.post(transaction);
+        } catch (error) {
+            error.txId = transaction.id;
+            throw error;
+        }
 
         if (response.status !== 200) {
             throw new Error(`Failed to post transaction: ${response.status} ${response.statusText}`);
         }
 
+        // Track confirmation in the background
+        this.interactionTracker.add({
+            id: transaction.id,
+            contractId,
+            input,
+            caller: this.walletAddress
+        });
+
         // Return transaction ID
         return {
             id: transaction.id,
@@ -1288,6 +5882,7 @@ class TokenStateViewer {
     resetTransferForm() {
         // Reset form
         document.getElementById('transfer-form').reset();
+        this.updateTransferLockFields();
 
         // Hide transaction ID display
         document.getElementById('transaction-id-display').style.display = 'none';
@@ -1338,23 +5933,9 @@ class TokenStateViewer {
         // Calculate unlock block
         const unlockBlock = this.currentBlockHeight + lockLength;
 
-        // Calculate time estimate (2 minutes per block)
-        const minutesUntilUnlock = lockLength * 2;
-        const hoursUntilUnlock = Math.floor(minutesUntilUnlock / 60);
-        const daysUntilUnlock = Math.floor(hoursUntilUnlock / 24);
-
-        let timeEstimate = '';
-        if (daysUntilUnlock > 0) {
-            timeEstimate = `~${daysUntilUnlock} day${daysUntilUnlock !== 1 ? 's' : ''}`;
-        } else if (hoursUntilUnlock > 0) {
-            timeEstimate = `~${hoursUntilUnlock} hour${hoursUntilUnlock !== 1 ? 's' : ''}`;
-        } else {
-            timeEstimate = `~${minutesUntilUnlock} minute${minutesUntilUnlock !== 1 ? 's' : ''}`;
-        }
-
         // Update estimate display
         document.getElementById('estimate-unlock-block').textContent = this.formatNumber(unlockBlock);
-        document.getElementById('estimate-time').textContent = timeEstimate;
+        document.getElementById('estimate-time').textContent = this.estimateBlockTime(lockLength);
     }
 
     async submitLock() {
@@ -1379,18 +5960,10 @@ class TokenStateViewer {
             return;
         }
 
-        if (!lockLength || lockLength <= 0 || !Number.isInteger(lockLength)) {
-            this.showError('Lock duration must be a positive integer.');
-            return;
-        }
-
         // Validate against min/max
-        const settings = new Map(this.state.state.settings);
-        const lockMinLength = settings.get('lockMinLength');
-        const lockMaxLength = settings.get('lockMaxLength');
-
-        if (lockLength < lockMinLength || lockLength > lockMaxLength) {
-            this.showError(`Lock duration must be between ${this.formatNumber(lockMinLength)} and ${this.formatNumber(lockMaxLength)} blocks.`);
+        const lockError = this.validateLockLength(lockLength);
+        if (lockError) {
+            this.showError(lockError);
             return;
         }
 
@@ -1460,6 +6033,295 @@ class TokenStateViewer {
             this.updateLockEstimate();
         }
     }
+
+    renderProposeForm() {
+        const keySelect = document.getElementById('proposal-key');
+
+        if (!this.state || !this.state.state || !this.state.state.settings) {
+            document.getElementById('proposal-settings-hint').textContent = 'Load contract data to see valid values';
+            this.updateProposalFields();
+            return;
+        }
+
+        // Populate the setting keys from the loaded settings
+        const selectedKey = keySelect.value;
+        keySelect.innerHTML = '';
+        const keys = this.state.state.settings.map(([key]) => key);
+        if (!keys.includes('role')) {
+            keys.push('role');
+        }
+        keys.forEach(key => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = key === 'role' ? 'Role' : this.getSettingDisplayName(key);
+            keySelect.appendChild(option);
+        });
+        if (keys.includes(selectedKey)) {
+            keySelect.value = selectedKey;
+        }
+
+        const settings = new Map(this.state.state.settings);
+        document.getElementById('proposal-settings-hint').textContent =
+            `Votes last ${this.formatNumber(settings.get('voteLength'))} blocks (${this.estimateBlockTime(settings.get('voteLength'))}). ` +
+            `Only addresses with locked balances can propose.`;
+
+        this.updateProposalFields();
+    }
+
+    updateProposalFields() {
+        const type = document.getElementById('proposal-type').value;
+        const key = document.getElementById('proposal-key').value;
+
+        // Show only the fields used by the selected vote type
+        document.querySelectorAll('#propose-form [data-proposal-types]').forEach(group => {
+            const types = group.dataset.proposalTypes.split(' ');
+            let visible = types.includes(type);
+
+            // Recipient is only needed for role changes among settings
+            if (group.id === 'proposal-recipient-group' && type === 'set') {
+                visible = key === 'role';
+            }
+
+            group.style.display = visible ? 'flex' : 'none';
+        });
+
+        // Describe the current value and constraints of the selected setting
+        const valueHint = document.getElementById('proposal-value-hint');
+        if (type === 'set' && this.state && this.state.state && this.state.state.settings) {
+            const settings = new Map(this.state.state.settings);
+            const current = settings.get(key);
+            const rules = {
+                'quorum': 'Between 0.01 and 0.99',
+                'support': 'Between 0.01 and 0.99',
+                'voteLength': 'Positive integer (blocks)',
+                'lockMinLength': `Positive integer below lockMaxLength (${this.formatNumber(settings.get('lockMaxLength'))})`,
+                'lockMaxLength': `Integer above lockMinLength (${this.formatNumber(settings.get('lockMinLength'))})`,
+                'fee': 'Number between 0 and 100',
+                'role': 'Role name to assign to the recipient'
+            };
+            let hint = rules[key] || (Array.isArray(current) ? 'Comma-separated list' : 'Text value');
+            if (current !== undefined) {
+                hint += `. Current: ${Array.isArray(current) ? current.join(', ') : current}`;
+            }
+            valueHint.textContent = hint;
+        }
+
+        // Lock length range
+        if (this.state && this.state.state && this.state.state.settings) {
+            const settings = new Map(this.state.state.settings);
+            document.getElementById('proposal-lock-length-hint').textContent =
+                `Valid range: ${this.formatNumber(settings.get('lockMinLength'))} - ${this.formatNumber(settings.get('lockMaxLength'))} blocks`;
+        }
+
+        this.updateProposalPreview();
+    }
+
+    buildProposalInput() {
+        const type = document.getElementById('proposal-type').value;
+        const note = document.getElementById('proposal-note').value.trim();
+        const errors = [];
+
+        const input = {
+            function: 'propose',
+            type: type
+        };
+
+        if (!this.state || !this.state.state || !this.state.state.settings) {
+            errors.push('Please load contract data first.');
+            return { input, errors };
+        }
+
+        const settings = new Map(this.state.state.settings);
+        const lockMinLength = settings.get('lockMinLength');
+        const lockMaxLength = settings.get('lockMaxLength');
+
+        const readRecipient = () => {
+            const recipient = document.getElementById('proposal-recipient').value.trim();
+            if (!this.isValidAddress(recipient)) {
+                errors.push('Recipient must be a 43-character Arweave address.');
+            }
+            input.recipient = recipient;
+        };
+
+        const readQty = () => {
+            const qtyValue = document.getElementById('proposal-qty').value;
+            const qty = Number(qtyValue);
+            if (!qtyValue || !Number.isInteger(qty) || qty <= 0) {
+                errors.push('Quantity must be a positive integer.');
+            } else {
+                const totalSupply = Object.values(this.state.state.balances).reduce((sum, balance) => sum + balance, 0);
+                if (totalSupply + qty > Number.MAX_SAFE_INTEGER) {
+                    errors.push('Quantity would overflow the total supply.');
+                }
+            }
+            input.qty = qty;
+        };
+
+        switch (type) {
+            case 'mint':
+                readRecipient();
+                readQty();
+                break;
+            case 'mintLocked': {
+                readRecipient();
+                readQty();
+                const lockLengthValue = document.getElementById('proposal-lock-length').value;
+                const lockLength = Number(lockLengthValue);
+                if (!lockLengthValue || !Number.isInteger(lockLength) || lockLength < lockMinLength || lockLength > lockMaxLength) {
+                    errors.push(`Lock length must be an integer between ${this.formatNumber(lockMinLength)} and ${this.formatNumber(lockMaxLength)} blocks.`);
+                }
+                input.lockLength = lockLength;
+                break;
+            }
+            case 'burnVault': {
+                const target = document.getElementById('proposal-target').value.trim();
+                const vaults = this.state.state.vault || {};
+                if (!this.isValidAddress(target)) {
+                    errors.push('Target must be a 43-character Arweave address.');
+                } else if (!vaults[target] || vaults[target].length === 0) {
+                    errors.push('Target has no vaults to burn.');
+                }
+                input.target = target;
+                break;
+            }
+            case 'set': {
+                const key = document.getElementById('proposal-key').value;
+                const rawValue = document.getElementById('proposal-value').value.trim();
+                const current = settings.get(key);
+                let value = rawValue;
+
+                if (!rawValue) {
+                    errors.push('Please enter a value for the setting.');
+                } else if (key === 'quorum' || key === 'support') {
+                    value = Number(rawValue);
+                    if (isNaN(value) || value < 0.01 || value > 0.99) {
+                        errors.push(`${this.getSettingDisplayName(key)} must be between 0.01 and 0.99.`);
+                    }
+                } else if (key === 'voteLength') {
+                    value = Number(rawValue);
+                    if (!Number.isInteger(value) || value <= 0) {
+                        errors.push('Vote length must be a positive integer.');
+                    }
+                } else if (key === 'lockMinLength') {
+                    value = Number(rawValue);
+                    if (!Number.isInteger(value) || value < 1 || value >= lockMaxLength) {
+                        errors.push(`Min lock length must be a positive integer below ${this.formatNumber(lockMaxLength)}.`);
+                    }
+                } else if (key === 'lockMaxLength') {
+                    value = Number(rawValue);
+                    if (!Number.isInteger(value) || value <= lockMinLength) {
+                        errors.push(`Max lock length must be an integer above ${this.formatNumber(lockMinLength)}.`);
+                    }
+                } else if (key === 'fee') {
+                    value = Number(rawValue);
+                    if (isNaN(value) || value < 0 || value > 100) {
+                        errors.push('Tip percentage must be between 0 and 100.');
+                    }
+                } else if (Array.isArray(current)) {
+                    value = rawValue.split(',').map(item => item.trim()).filter(item => item);
+                } else if (typeof current === 'number') {
+                    value = Number(rawValue);
+                    if (isNaN(value)) {
+                        errors.push(`${this.getSettingDisplayName(key)} must be a number.`);
+                    }
+                }
+
+                if (key === 'role') {
+                    readRecipient();
+                }
+
+                input.key = key;
+                input.value = value;
+                break;
+            }
+            case 'indicative':
+                break;
+            default:
+                errors.push('Please select a vote type.');
+        }
+
+        if (!note) {
+            errors.push('Please describe the proposal in the note.');
+        }
+        input.note = note;
+
+        return { input, errors };
+    }
+
+    updateProposalPreview() {
+        const { input, errors } = this.buildProposalInput();
+
+        document.getElementById('proposal-input-preview').textContent = JSON.stringify(input);
+
+        const errorsList = document.getElementById('proposal-errors');
+        errorsList.innerHTML = '';
+        errors.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            errorsList.appendChild(item);
+        });
+        errorsList.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+
+    async submitProposal() {
+        // Validate wallet connection
+        if (!this.walletConnected || !this.walletAddress) {
+            this.showError('Please connect your wallet first.');
+            return;
+        }
+
+        // Validate contract state loaded
+        if (!this.state || !this.state.contractTxId || !this.state.state.settings) {
+            this.showError('Please load contract data first.');
+            return;
+        }
+
+        const { input, errors } = this.buildProposalInput();
+        if (errors.length > 0) {
+            this.showError(errors.join('\n'));
+            return;
+        }
+
+        // Only vault holders can propose
+        const vaults = this.state.state.vault || {};
+        const userVaults = vaults[this.walletAddress] || [];
+        if (!userVaults.some(entry => entry.balance > 0)) {
+            this.showError('You need locked balances to create a proposal.');
+            return;
+        }
+
+        const submitBtn = document.getElementById('proposal-submit-btn');
+        try {
+            // Disable submit button
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Submitting...';
+
+            this.clearError();
+
+            const result = await this.dispatchSmartWeaveInteraction(this.state.contractTxId, input);
+
+            // Show transaction ID below the form
+            document.getElementById('proposal-tx-id').textContent = result.id;
+            document.getElementById('proposal-transaction-id-display').style.display = 'flex';
+
+            // Setup copy button for transaction ID
+            const copyTxIdBtn = document.getElementById('copy-proposal-tx-id-btn');
+            copyTxIdBtn.dataset.originalTitle = 'Copy transaction ID';
+            copyTxIdBtn.onclick = () => this.copyToClipboard(result.id, copyTxIdBtn);
+
+            console.log(`Proposal transaction posted: ${result.id}`);
+
+            // Reset form for next proposal
+            document.getElementById('propose-form').reset();
+            this.updateProposalFields();
+        } catch (error) {
+            console.error('Error submitting proposal:', error);
+            this.showError(`Failed to submit proposal: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.textContent = 'Submit Proposal';
+        }
+    }
 }
 
 // Initialize the app
@@ -0,0 +1,510 @@
+export const DEFAULT_GATEWAY = { host: 'arweave.net', port: 443, protocol: 'https' };
+
+/**
+ * Fill in the GraphQL and data URLs of a gateway that only sets its
+ * host, port and protocol
+ * @param {Object} config - `{host, port, protocol, graphqlUrl, dataUrl}`
+ * @returns {Object} Gateway with every field set
+ */
+export function resolveGateway(config) {
+    const protocol = config.protocol || 'https';
+    const port = Number(config.port) || (protocol === 'http' ? 80 : 443);
+    const defaultPort = protocol === 'http' ? 80 : 443;
+    const origin = `${protocol}://${config.host}${port === defaultPort ? '' : `:${port}`}`;
+
+    return {
+        host: config.host,
+        port,
+        protocol,
+        graphqlUrl: config.graphqlUrl || `${origin}/graphql`,
+        dataUrl: (config.dataUrl || origin).replace(/\/+$/, '')
+    };
+}
+
+/**
+ * Thin client for the Arweave gateway endpoints used by the app
+ * (GraphQL queries and raw transaction data). Requests go to the first
+ * healthy gateway of an ordered list and fail over to the next one on
+ * network errors, timeouts, 5xx and 429 responses.
+ */
+export class ArweaveGateway {
+    /**
+     * @param {Object} options - Gateway configuration
+     * @param {Array<Object>} options.gateways - Gateways in priority order, see `resolveGateway`
+     * @param {string} options.graphqlUrl - URL of the GraphQL endpoint, when not using `gateways`
+     * @param {string} options.dataUrl - Base URL for transaction data (`{dataUrl}/{txId}`), when not using `gateways`
+     * @param {number} options.timeout - Milliseconds before a request moves on to the next gateway
+     * @param {number} options.cooldown - Milliseconds a failed gateway is skipped for
+     * @param {Function} options.onFailover - Called with the new and previous gateway when requests switch gateway
+     */
+    constructor(options = {}) {
+        this.timeout = options.timeout || 20000; // 20 seconds default
+        this.cooldown = options.cooldown || 60000; // 1 minute default
+        this.onFailover = options.onFailover || null;
+        this.setGateways(options.gateways || [{
+            ...DEFAULT_GATEWAY,
+            graphqlUrl: options.graphqlUrl,
+            dataUrl: options.dataUrl
+        }]);
+    }
+
+    /**
+     * Replace the gateway list and start over with the first gateway
+     * @param {Array<Object>} gateways - Gateways in priority order
+     */
+    setGateways(gateways) {
+        if (gateways.length === 0) {
+            throw new Error('At least one gateway is required');
+        }
+
+        this.gateways = gateways.map(resolveGateway);
+        this.failures = this.gateways.map(() => null);
+        this.activeIndex = 0;
+        // Contract ID → `{interactions, height}` scanned for incoming transfers
+        this.interactionCache = new Map();
+    }
+
+    /**
+     * Gateway that served the last successful request
+     * @returns {Object} Resolved gateway
+     */
+    get activeGateway() {
+        return this.gateways[this.activeIndex];
+    }
+
+    get graphqlUrl() {
+        return this.activeGateway.graphqlUrl;
+    }
+
+    get dataUrl() {
+        return this.activeGateway.dataUrl;
+    }
+
+    async fetchWithTimeout(url, init = {}) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(url, { ...init, signal: controller.signal });
+        } catch (error) {
+            throw error.name === 'AbortError' ? new Error(`timed out after ${this.timeout / 1000}s`) : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Send a request to the gateways in priority order. Gateways that failed
+     * within the cooldown are tried last.
+     * @param {Function} buildUrl - Builds the request URL from a resolved gateway
+     * @param {Object} init - fetch options
+     * @returns {Promise<Response>} Promise resolving to the first usable response
+     * @throws {Error} If every gateway fails
+     */
+    async request(buildUrl, init = {}) {
+        const now = Date.now();
+        const indexes = this.gateways.map((gateway, index) => index);
+        const cooling = index => this.failures[index] && now - this.failures[index].at < this.cooldown;
+        const order = [...indexes.filter(index => !cooling(index)), ...indexes.filter(cooling)];
+
+        const errors = [];
+        for (const index of order) {
+            const gateway = this.gateways[index];
+            try {
+                const response = await this.fetchWithTimeout(buildUrl(gateway), init);
+                if (response.status >= 500 || response.status === 429) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+
+                this.failures[index] = null;
+                if (index !== this.activeIndex) {
+                    const previous = this.activeGateway;
+                    this.activeIndex = index;
+                    if (this.onFailover) {
+                        this.onFailover(gateway, previous);
+                    }
+                }
+                return response;
+            } catch (error) {
+                this.failures[index] = { at: Date.now(), error: error.message };
+                errors.push(`${gateway.host}: ${error.message}`);
+            }
+        }
+
+        throw new Error(`No gateway responded (${errors.join('; ')})`);
+    }
+
+    /**
+     * Check every gateway's `/info` endpoint
+     * @returns {Promise<Array<Object>>} Promise resolving to `{gateway, ok, height, latency, error}`
+     * per gateway, in priority order
+     */
+    async checkHealth() {
+        return Promise.all(this.gateways.map(async (gateway, index) => {
+            const started = Date.now();
+            try {
+                const response = await this.fetchWithTimeout(`${gateway.dataUrl}/info`);
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+
+                const info = await response.json();
+                this.failures[index] = null;
+                return { gateway, ok: true, height: info.height, latency: Date.now() - started, error: null };
+            } catch (error) {
+                this.failures[index] = { at: Date.now(), error: error.message };
+                return { gateway, ok: false, height: null, latency: null, error: error.message };
+            }
+        }));
+    }
+
+    /**
+     * Get the gateway's view of the network
+     * @returns {Promise<Object>} Promise resolving to the `/info` response (`{height, current, ...}`)
+     */
+    async fetchNetworkInfo() {
+        const response = await this.request(gateway => `${gateway.dataUrl}/info`);
+
+        if (!response.ok) {
+            throw new Error(`Info request failed: ${response.status} ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Run a GraphQL query against the gateway
+     * @param {string} query - GraphQL query string
+     * @param {Object} variables - Query variables
+     * @returns {Promise<Object>} Promise resolving to the `data` field of the response
+     * @throws {Error} If the request fails or the response contains errors
+     */
+    async query(query, variables = {}) {
+        const response = await this.request(gateway => gateway.graphqlUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ query, variables })
+        });
+
+        if (!response.ok) {
+            throw new Error(`GraphQL request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+
+        if (result.errors) {
+            throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+        }
+
+        return result.data;
+    }
+
+    /**
+     * Get the tags of a contract deployment transaction
+     * @param {string} contractId - Contract transaction ID
+     * @returns {Promise<Array<{name: string, value: string}>>} Promise resolving to the tags
+     */
+    async fetchContractTags(contractId) {
+        const data = await this.query(`
+            query($ids: [ID!]) {
+                transactions(ids: $ids) {
+                    edges {
+                        node {
+                            tags {
+                                name
+                                value
+                            }
+                        }
+                    }
+                }
+            }
+        `, { ids: [contractId] });
+
+        const edges = data.transactions.edges;
+        if (!edges || edges.length === 0) {
+            throw new Error('Contract transaction not found');
+        }
+
+        return edges[0].node.tags;
+    }
+
+    /**
+     * Get the block a transaction was mined in
+     * @param {string} txId - Transaction ID
+     * @returns {Promise<{id: string, height: number, timestamp: number}>} Promise resolving to the block
+     * @throws {Error} If the transaction is unknown or not mined yet
+     */
+    async fetchTransactionBlock(txId) {
+        const data = await this.query(`
+            query($ids: [ID!]) {
+                transactions(ids: $ids) {
+                    edges {
+                        node {
+                            block {
+                                id
+                                height
+                                timestamp
+                            }
+                        }
+                    }
+                }
+            }
+        `, { ids: [txId] });
+
+        const edges = data.transactions.edges;
+        if (!edges || edges.length === 0) {
+            throw new Error(`Transaction ${txId} not found`);
+        }
+        if (!edges[0].node.block) {
+            throw new Error(`Transaction ${txId} is not mined yet`);
+        }
+
+        return edges[0].node.block;
+    }
+
+    /**
+     * Get the source transaction ID of a contract
+     * @param {string} contractId - Contract transaction ID
+     * @returns {Promise<string>} Promise resolving to the Contract-Src transaction ID
+     */
+    async fetchSourceTxId(contractId) {
+        const tags = await this.fetchContractTags(contractId);
+        const contractSrcTag = tags.find(tag => tag.name === 'Contract-Src');
+
+        if (!contractSrcTag) {
+            throw new Error('Contract-Src tag not found');
+        }
+
+        return contractSrcTag.value;
+    }
+
+    /**
+     * Fetch the raw data of a transaction
+     * @param {string} txId - Transaction ID
+     * @returns {Promise<Response>} Promise resolving to the fetch response
+     */
+    async fetchData(txId) {
+        const response = await this.request(gateway => `${gateway.dataUrl}/${txId}`, {
+            redirect: 'follow'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${txId}: ${response.status} ${response.statusText}`);
+        }
+
+        return response;
+    }
+
+    /**
+     * Get the confirmation status of a transaction
+     * @param {string} txId - Transaction ID
+     * @returns {Promise<Object>} Promise resolving to `{status, confirmations, blockHeight}`
+     * where status is `pending`, `confirmed` or `not_found`
+     */
+    async fetchTransactionStatus(txId) {
+        const response = await this.request(gateway => `${gateway.dataUrl}/tx/${txId}/status`);
+
+        if (response.status === 404) {
+            return { status: 'not_found', confirmations: 0, blockHeight: null };
+        }
+
+        if (response.status === 202) {
+            return { status: 'pending', confirmations: 0, blockHeight: null };
+        }
+
+        if (!response.ok) {
+            throw new Error(`Status request failed: ${response.status} ${response.statusText}`);
+        }
+
+        const result = await response.json();
+        return {
+            status: 'confirmed',
+            confirmations: result.number_of_confirmations,
+            blockHeight: result.block_height
+        };
+    }
+
+    /**
+     * Fetch contract source code
+     * @param {string} sourceTxId - Source transaction ID
+     * @returns {Promise<string>} Promise resolving to the source code
+     */
+    async fetchSourceCode(sourceTxId) {
+        try {
+            const response = await this.fetchData(sourceTxId);
+            return await response.text();
+        } catch (error) {
+            throw new Error(`Failed to fetch source code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Fetch the initial state of a contract. Follows the SmartWeave
+     * conventions: `Init-State` tag, then `Init-State-TX` tag, then the
+     * contract transaction data itself.
+     * @param {string} contractId - Contract transaction ID
+     * @param {Array<{name: string, value: string}>} tags - Contract tags, fetched if omitted
+     * @returns {Promise<Object>} Promise resolving to the initial state
+     */
+    async fetchInitState(contractId, tags = null) {
+        const contractTags = tags || await this.fetchContractTags(contractId);
+
+        const initStateTag = contractTags.find(tag => tag.name === 'Init-State');
+        if (initStateTag) {
+            return JSON.parse(initStateTag.value);
+        }
+
+        const initStateTxTag = contractTags.find(tag => tag.name === 'Init-State-TX');
+        const response = await this.fetchData(initStateTxTag ? initStateTxTag.value : contractId);
+        return response.json();
+    }
+
+    /**
+     * Fetch every mined SmartWeave interaction with a contract, following
+     * GraphQL pagination until the last page
+     * @param {string} contractId - Contract transaction ID
+     * @param {Object} options - Query options
+     * @param {number} options.pageSize - Number of transactions per page
+     * @param {Array<string>} options.owners - Only include interactions signed by these addresses
+     * @param {number} options.minHeight - Only include interactions mined at or above this block height
+     * @param {number} options.maxHeight - Only include interactions mined at or below this block height
+     * @param {Function} options.onPage - Called with the running total after each page
+     * @returns {Promise<Array<Object>>} Promise resolving to the interaction nodes
+     */
+    async fetchInteractions(contractId, options = {}) {
+        const pageSize = options.pageSize || 100;
+        const interactions = [];
+        let cursor = null;
+        let hasNextPage = true;
+
+        while (hasNextPage) {
+            const data = await this.query(`
+                query($owners: [String!], $tags: [TagFilter!], $block: BlockFilter, $first: Int, $after: String) {
+                    transactions(owners: $owners, tags: $tags, block: $block, first: $first, after: $after, sort: HEIGHT_ASC) {
+                        pageInfo {
+                            hasNextPage
+                        }
+                        edges {
+                            cursor
+                            node {
+                                id
+                                owner {
+                                    address
+                                }
+                                recipient
+                                quantity {
+                                    winston
+                                }
+                                fee {
+                                    winston
+                                }
+                                tags {
+                                    name
+                                    value
+                                }
+                                block {
+                                    id
+                                    height
+                                    timestamp
+                                }
+                            }
+                        }
+                    }
+                }
+            `, {
+                owners: options.owners || null,
+                block: options.minHeight || options.maxHeight
+                    ? { min: options.minHeight || null, max: options.maxHeight || null }
+                    : null,
+                tags: [
+                    { name: 'App-Name', values: ['SmartWeaveAction'] },
+                    { name: 'Contract', values: [contractId] }
+                ],
+                first: pageSize,
+                after: cursor
+            });
+
+            const edges = data.transactions.edges;
+
+            // Skip pending interactions, they have no block yet
+            edges
+                .filter(edge => edge.node.block)
+                .forEach(edge => interactions.push(edge.node));
+
+            hasNextPage = data.transactions.pageInfo.hasNextPage && edges.length > 0;
+            if (edges.length > 0) {
+                cursor = edges[edges.length - 1].cursor;
+            }
+
+            if (options.onPage) {
+                options.onPage(interactions.length);
+            }
+        }
+
+        return interactions;
+    }
+
+    /**
+     * Fetch the interactions with a contract that an address signed or that
+     * send tokens to it, oldest first. Signed interactions are queried by
+     * owner. Transfers carry their recipient in the `Input` tag rather than
+     * the transaction target, so incoming ones are found by scanning the
+     * contract's interactions, which are cached and only fetched from the
+     * last cached block height on later calls.
+     * @param {string} contractId - Contract transaction ID
+     * @param {string} address - Wallet address
+     * @returns {Promise<Array<Object>>} Promise resolving to the interaction nodes
+     */
+    async fetchAddressInteractions(contractId, address) {
+        const [sent, scanned] = await Promise.all([
+            this.fetchInteractions(contractId, { owners: [address] }),
+            this.scanInteractions(contractId)
+        ]);
+
+        const received = scanned.filter(node => {
+            const inputTag = node.tags.find(tag => tag.name === 'Input');
+            try {
+                const input = JSON.parse(inputTag.value);
+                return input.target === address || input.recipient === address;
+            } catch (error) {
+                return false;
+            }
+        });
+
+        // An address can send an interaction that targets itself
+        const byId = new Map();
+        [...sent, ...received].forEach(node => byId.set(node.id, node));
+
+        return [...byId.values()].sort((a, b) => a.block.height - b.block.height);
+    }
+
+    async scanInteractions(contractId) {
+        const cached = this.interactionCache.get(contractId);
+
+        // The last cached block may have gained interactions since, so it is fetched again
+        const fetched = await this.fetchInteractions(contractId, { minHeight: cached ? cached.height : null });
+
+        // A newer scan may have replaced the cache entry while this one ran
+        const current = this.interactionCache.get(contractId) || { interactions: [], height: 0 };
+        const known = new Set(current.interactions.map(node => node.id));
+        const interactions = [...current.interactions, ...fetched.filter(node => !known.has(node.id))];
+        const height = interactions.length > 0 ? interactions[interactions.length - 1].block.height : 0;
+
+        this.interactionCache.set(contractId, { interactions, height });
+        return interactions;
+    }
+
+    /**
+     * Forget the interactions scanned for address histories
+     * @param {string} contractId - Contract transaction ID, or all contracts when omitted
+     */
+    clearInteractionCache(contractId = null) {
+        if (contractId) {
+            this.interactionCache.delete(contractId);
+        } else {
+            this.interactionCache.clear();
+        }
+    }
+}
@@ -0,0 +1,43 @@
+import { DataSource } from './data-source.js';
+
+/**
+ * DataSource implementation that serves a state persisted by `StateCache`.
+ * Used to show the last known state while a fresh one loads, when every
+ * source fails, and in offline mode. `status` carries the original fetch
+ * time so the age of the data is always shown.
+ */
+export class CachedSource extends DataSource {
+    /**
+     * @param {Object} entry - Cache entry from `StateCache.get`
+     * @param {Object} options - Why the cached state is served
+     * @param {boolean} options.offline - Offline mode is on
+     * @param {boolean} options.refreshing - A fresh state is loading in the background
+     * @param {string} options.error - Why a fresh state could not be loaded
+     */
+    constructor(entry, options = {}) {
+        super();
+        this.entry = entry;
+        this.status = {
+            provider: entry.provider,
+            url: entry.url,
+            fetchedAt: entry.fetchedAt,
+            stale: Boolean(options.offline || options.error),
+            error: options.error || null,
+            attempts: [],
+            crossCheck: null,
+            cached: {
+                blockHeight: entry.blockHeight,
+                offline: Boolean(options.offline),
+                refreshing: Boolean(options.refreshing)
+            }
+        };
+    }
+
+    /**
+     * Returns the cached token state
+     * @returns {Promise<Object>} Promise resolving to the token state object
+     */
+    async fetchState() {
+        return this.entry.data;
+    }
+}
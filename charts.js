@@ -0,0 +1,203 @@
+/**
+ * Minimal SVG chart builders. Charts scale with their container through
+ * the viewBox; colors come from the `.chart-*` classes in styles.css.
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MARGIN = { top: 20, right: 20, bottom: 40, left: 60 };
+
+function createSvgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+function createText(x, y, text, attributes = {}) {
+    const element = createSvgElement('text', { x, y, class: 'chart-label', ...attributes });
+    element.textContent = text;
+    return element;
+}
+
+function createChartSvg(width, height, title) {
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${width} ${height}`,
+        class: 'chart',
+        role: 'img',
+        'aria-label': title || 'Chart'
+    });
+
+    if (title) {
+        const titleElement = createSvgElement('title');
+        titleElement.textContent = title;
+        svg.appendChild(titleElement);
+    }
+
+    return svg;
+}
+
+/**
+ * Vertical bar chart
+ * @param {Object} options - Chart options
+ * @param {Array<string>} options.labels - Label under each bar
+ * @param {Array<number>} options.values - Bar heights
+ * @param {Function} options.formatValue - Formats the value shown above each bar
+ * @param {boolean} options.showValues - Show values above the bars
+ * @param {number} options.labelEvery - Label only every Nth bar, for long series
+ * @param {Function} options.onBarClick - Called with the index of a clicked bar
+ * @param {number} options.selectedIndex - Index of a bar to highlight
+ * @param {string} options.title - Accessible title
+ * @param {number} options.width - ViewBox width
+ * @param {number} options.height - ViewBox height
+ * @returns {SVGSVGElement} Chart element
+ */
+export function createBarChart(options) {
+    const {
+        labels,
+        values,
+        formatValue = String,
+        showValues = true,
+        labelEvery = 1,
+        onBarClick = null,
+        selectedIndex = null,
+        title = '',
+        width = 640,
+        height = 260
+    } = options;
+    const svg = createChartSvg(width, height, title);
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const maxValue = Math.max(1, ...values);
+    const slot = plotWidth / Math.max(1, values.length);
+    const barWidth = slot * 0.7;
+
+    svg.appendChild(createSvgElement('line', {
+        x1: MARGIN.left, y1: MARGIN.top + plotHeight,
+        x2: MARGIN.left + plotWidth, y2: MARGIN.top + plotHeight,
+        class: 'chart-axis'
+    }));
+
+    values.forEach((value, index) => {
+        const barHeight = (value / maxValue) * plotHeight;
+        const x = MARGIN.left + index * slot + (slot - barWidth) / 2;
+        const y = MARGIN.top + plotHeight - barHeight;
+
+        const bar = createSvgElement('rect', {
+            x, y, width: barWidth, height: barHeight,
+            class: index === selectedIndex ? 'chart-bar selected' : 'chart-bar'
+        });
+        const tooltip = createSvgElement('title');
+        tooltip.textContent = `${labels[index]}: ${formatValue(value)}`;
+        bar.appendChild(tooltip);
+
+        if (onBarClick) {
+            // Clickable across the full column so small bars are easy to hit
+            const hitArea = createSvgElement('rect', {
+                x: MARGIN.left + index * slot, y: MARGIN.top, width: slot, height: plotHeight,
+                class: 'chart-hit-area'
+            });
+            hitArea.appendChild(tooltip.cloneNode(true));
+            hitArea.addEventListener('click', () => onBarClick(index));
+            svg.appendChild(hitArea);
+            bar.addEventListener('click', () => onBarClick(index));
+            bar.classList.add('clickable');
+        }
+        svg.appendChild(bar);
+
+        if (showValues) {
+            svg.appendChild(createText(x + barWidth / 2, y - 6, formatValue(value), { 'text-anchor': 'middle' }));
+        }
+        if (index % labelEvery === 0) {
+            svg.appendChild(createText(x + barWidth / 2, MARGIN.top + plotHeight + 18, labels[index], { 'text-anchor': 'middle' }));
+        }
+    });
+
+    return svg;
+}
+
+/**
+ * Line chart with one or more series on shared linear axes
+ * @param {Object} options - Chart options
+ * @param {Array<{points: Array<{x: number, y: number}>, className: string, step: boolean}>} options.series -
+ * Series to draw; `step` draws a step line that holds each value until the next point
+ * @param {Array<number>} options.xDomain - `[min, max]` of the x axis
+ * @param {Array<number>} options.yDomain - `[min, max]` of the y axis
+ * @param {Array<number>} options.xTicks - X values to label
+ * @param {Array<number>} options.yTicks - Y values to label
+ * @param {Function} options.formatX - Formats x tick labels
+ * @param {Function} options.formatY - Formats y tick labels
+ * @param {Array<{x: number, label: string}>} options.markers - Vertical marker lines
+ * @param {string} options.title - Accessible title
+ * @param {number} options.width - ViewBox width
+ * @param {number} options.height - ViewBox height
+ * @returns {SVGSVGElement} Chart element
+ */
+export function createLineChart(options) {
+    const {
+        series,
+        xDomain,
+        yDomain,
+        xTicks = [],
+        yTicks = [],
+        formatX = String,
+        formatY = String,
+        markers = [],
+        title = '',
+        width = 640,
+        height = 300
+    } = options;
+    const svg = createChartSvg(width, height, title);
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+    const [xMin, xMax] = xDomain;
+    const [yMin, yMax] = yDomain;
+
+    const scaleX = x => MARGIN.left + ((x - xMin) / ((xMax - xMin) || 1)) * plotWidth;
+    const scaleY = y => MARGIN.top + plotHeight - ((y - yMin) / ((yMax - yMin) || 1)) * plotHeight;
+
+    // Grid and tick labels
+    yTicks.forEach(tick => {
+        svg.appendChild(createSvgElement('line', {
+            x1: MARGIN.left, y1: scaleY(tick), x2: MARGIN.left + plotWidth, y2: scaleY(tick),
+            class: 'chart-grid'
+        }));
+        svg.appendChild(createText(MARGIN.left - 8, scaleY(tick) + 4, formatY(tick), { 'text-anchor': 'end' }));
+    });
+    xTicks.forEach(tick => {
+        svg.appendChild(createText(scaleX(tick), MARGIN.top + plotHeight + 18, formatX(tick), { 'text-anchor': 'middle' }));
+    });
+
+    svg.appendChild(createSvgElement('line', {
+        x1: MARGIN.left, y1: MARGIN.top + plotHeight, x2: MARGIN.left + plotWidth, y2: MARGIN.top + plotHeight,
+        class: 'chart-axis'
+    }));
+    svg.appendChild(createSvgElement('line', {
+        x1: MARGIN.left, y1: MARGIN.top, x2: MARGIN.left, y2: MARGIN.top + plotHeight,
+        class: 'chart-axis'
+    }));
+
+    markers.forEach(marker => {
+        svg.appendChild(createSvgElement('line', {
+            x1: scaleX(marker.x), y1: MARGIN.top, x2: scaleX(marker.x), y2: MARGIN.top + plotHeight,
+            class: 'chart-marker'
+        }));
+        svg.appendChild(createText(scaleX(marker.x) + 4, MARGIN.top + 10, marker.label));
+    });
+
+    series.forEach(({ points, className = 'chart-line', step = false }) => {
+        const coordinates = [];
+        points.forEach((point, index) => {
+            if (step && index > 0) {
+                coordinates.push(`${scaleX(point.x)},${scaleY(points[index - 1].y)}`);
+            }
+            coordinates.push(`${scaleX(point.x)},${scaleY(point.y)}`);
+        });
+
+        svg.appendChild(createSvgElement('polyline', {
+            points: coordinates.join(' '),
+            class: className,
+            fill: 'none'
+        }));
+    });
+
+    return svg;
+}
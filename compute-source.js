@@ -0,0 +1,336 @@
+import { DataSource } from './data-source.js';
+import { ArweaveGateway } from './arweave-gateway.js';
+
+/**
+ * Error type contracts throw to reject an interaction
+ */
+class ContractError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContractError';
+    }
+}
+
+function ContractAssert(condition, message) {
+    if (!condition) {
+        throw new ContractError(message);
+    }
+}
+
+/**
+ * Decode a base64url string (Arweave IDs) to bytes
+ * @param {string} value - base64url encoded string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function b64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const binary = atob(padded);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Build the SmartWeave sort key of an interaction: zero-padded block
+ * height, then SHA-256(block id + transaction id) to break ties within a block
+ * @param {string} blockId - ID of the block the interaction was mined in
+ * @param {number} blockHeight - Height of that block
+ * @param {string} txId - Interaction transaction ID
+ * @returns {Promise<string>} Promise resolving to the sort key
+ */
+export async function createSortKey(blockId, blockHeight, txId) {
+    const blockIdBytes = b64UrlToBytes(blockId);
+    const txIdBytes = b64UrlToBytes(txId);
+    const concatenated = new Uint8Array(blockIdBytes.length + txIdBytes.length);
+    concatenated.set(blockIdBytes, 0);
+    concatenated.set(txIdBytes, blockIdBytes.length);
+
+    const hash = await crypto.subtle.digest('SHA-256', concatenated);
+    const hashHex = Array.from(new Uint8Array(hash))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+
+    return `${String(blockHeight).padStart(12, '0')},${hashHex}`;
+}
+
+/**
+ * Convert a sort key from `createSortKey` to the format of Warp based state
+ * caches such as the ArNS cache, which put a zero Arweave timestamp between
+ * the block height and the hash
+ * @param {string} sortKey - Sort key as `height,hash`
+ * @returns {string} Sort key as `height,0000000000000,hash`
+ */
+export function toWarpSortKey(sortKey) {
+    const [height, hash] = sortKey.split(',');
+    return `${height},0000000000000,${hash}`;
+}
+
+/**
+ * DataSource implementation that computes the contract state locally by
+ * replaying every SmartWeave interaction against the contract source,
+ * independently of any state cache
+ */
+export class ComputeSource extends DataSource {
+    /**
+     * @param {string} contractId - Contract transaction ID
+     * @param {ArweaveGateway} gateway - Gateway used for GraphQL and transaction data
+     * @param {Object} options - Optional evaluation configuration
+     * @param {Object} options.arweave - Arweave client exposed to contracts as `SmartWeave.arweave`
+     * @param {Function} options.onProgress - Called with a status message while evaluating
+     * @param {number} options.blockHeight - Evaluate only interactions up to this block height
+     * @param {string} options.interactionId - Evaluate only interactions up to and including this one
+     */
+    constructor(contractId, gateway = new ArweaveGateway(), options = {}) {
+        super();
+        this.contractId = contractId;
+        this.gateway = gateway;
+        this.arweave = options.arweave || null;
+        this.onProgress = options.onProgress || null;
+        this.blockHeight = options.blockHeight || null;
+        this.interactionId = options.interactionId || null;
+        this.cachedState = null;
+        this.evaluation = null; // State and contract source after the last evaluated block
+    }
+
+    /**
+     * Computes the token state by evaluating all interactions. After the
+     * first evaluation only interactions mined in later blocks are evaluated,
+     * on top of the state it left off with.
+     * @returns {Promise<Object>} Promise resolving to the token state object
+     * @throws {Error} If the contract cannot be loaded or evaluated
+     */
+    async fetchState() {
+        // Return cached state if available
+        if (this.cachedState) {
+            return this.cachedState;
+        }
+
+        try {
+            const evaluation = this.evaluation || await this.loadContract();
+            let state = evaluation.state;
+            let sourceTxId = evaluation.sourceTxId;
+            let handle = evaluation.handle;
+
+            // Historical evaluation only needs interactions up to the target block
+            let maxHeight = this.blockHeight;
+            if (this.interactionId) {
+                const block = await this.gateway.fetchTransactionBlock(this.interactionId);
+                maxHeight = block.height;
+            }
+
+            this.reportProgress('Fetching interactions...');
+            const interactions = await this.gateway.fetchInteractions(this.contractId, {
+                minHeight: evaluation.height ? evaluation.height + 1 : null,
+                maxHeight,
+                onPage: count => this.reportProgress(`Fetching interactions... (${count.toLocaleString()})`)
+            });
+
+            this.reportProgress('Sorting interactions...');
+            let sorted = await this.sortInteractions(interactions);
+
+            if (this.interactionId) {
+                const index = sorted.findIndex(interaction => interaction.id === this.interactionId);
+                if (index === -1) {
+                    throw new Error(`Interaction ${this.interactionId} not found for this contract`);
+                }
+                sorted = sorted.slice(0, index + 1);
+            }
+
+            const validity = { ...evaluation.validity };
+            const swGlobal = {
+                contract: {
+                    id: this.contractId,
+                    owner: evaluation.owner
+                },
+                transaction: null,
+                block: null,
+                arweave: this.arweave,
+                contracts: {
+                    readContractState: () => {
+                        throw new Error('Foreign contract reads are not supported');
+                    }
+                }
+            };
+
+            for (let i = 0; i < sorted.length; i++) {
+                const interaction = sorted[i];
+
+                // Let the UI breathe on long histories
+                if (i % 500 === 0) {
+                    this.reportProgress(`Evaluating interactions... (${i.toLocaleString()} / ${sorted.length.toLocaleString()})`);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+
+                const inputTag = interaction.tags.find(tag => tag.name === 'Input');
+                let input;
+                try {
+                    input = JSON.parse(inputTag.value);
+                } catch (error) {
+                    validity[interaction.id] = false;
+                    continue;
+                }
+
+                swGlobal.transaction = {
+                    id: interaction.id,
+                    owner: interaction.owner.address,
+                    target: interaction.recipient,
+                    quantity: interaction.quantity ? interaction.quantity.winston : '0',
+                    reward: interaction.fee ? interaction.fee.winston : '0',
+                    tags: interaction.tags
+                };
+                swGlobal.block = {
+                    height: interaction.block.height,
+                    indep_hash: interaction.block.id,
+                    timestamp: interaction.block.timestamp
+                };
+
+                try {
+                    const result = await handle(structuredClone(state), {
+                        input,
+                        caller: interaction.owner.address
+                    }, swGlobal);
+
+                    if (result && result.state) {
+                        state = result.state;
+                    }
+                    validity[interaction.id] = true;
+                } catch (error) {
+                    // Rejected interactions leave the state untouched
+                    if (!(error instanceof ContractError)) {
+                        console.warn(`Interaction ${interaction.id} failed:`, error.message);
+                    }
+                    validity[interaction.id] = false;
+                    continue;
+                }
+
+                // Switch to the new source if the contract evolved
+                if (state.canEvolve && state.evolve && state.evolve !== sourceTxId) {
+                    sourceTxId = state.evolve;
+                    handle = this.createHandler(await this.gateway.fetchSourceCode(sourceTxId));
+                }
+            }
+
+            const last = sorted[sorted.length - 1];
+            const sortKey = last ? last.sortKey : evaluation.sortKey;
+
+            // Only the latest state can be continued, historical ones stop at a fixed point
+            if (!this.blockHeight && !this.interactionId) {
+                this.evaluation = {
+                    ...evaluation,
+                    state,
+                    sourceTxId,
+                    handle,
+                    validity,
+                    height: last ? last.block.height : evaluation.height,
+                    sortKey
+                };
+            }
+
+            const data = {
+                contractTxId: this.contractId,
+                state,
+                sortKey,
+                validity
+            };
+
+            // Validate the data structure
+            if (!data.state || !data.state.balances) {
+                throw new Error('Invalid data structure: missing state.balances');
+            }
+
+            // Cache the state
+            this.cachedState = data;
+            return data;
+        } catch (error) {
+            throw new Error(`Error computing state: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the initial state and source of the contract, where evaluation starts
+     * @returns {Promise<Object>} Promise resolving to the evaluation starting point
+     */
+    async loadContract() {
+        this.reportProgress('Loading contract...');
+        const tags = await this.gateway.fetchContractTags(this.contractId);
+        const ownerTag = tags.find(tag => tag.name === 'Contract-Owner');
+        const srcTag = tags.find(tag => tag.name === 'Contract-Src');
+
+        if (!srcTag) {
+            throw new Error('Contract-Src tag not found');
+        }
+
+        return {
+            owner: ownerTag ? ownerTag.value : null,
+            state: await this.gateway.fetchInitState(this.contractId, tags),
+            sourceTxId: srcTag.value,
+            handle: this.createHandler(await this.gateway.fetchSourceCode(srcTag.value)),
+            validity: {},
+            height: null,
+            sortKey: null
+        };
+    }
+
+    /**
+     * Sort interactions in SmartWeave order (see `createSortKey`)
+     * @param {Array<Object>} interactions - Interaction nodes from GraphQL
+     * @returns {Promise<Array<Object>>} Promise resolving to the sorted interactions with `sortKey` set
+     */
+    async sortInteractions(interactions) {
+        for (const interaction of interactions) {
+            interaction.sortKey = await createSortKey(
+                interaction.block.id,
+                interaction.block.height,
+                interaction.id
+            );
+        }
+
+        return interactions.sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+    }
+
+    /**
+     * Build a callable handler from contract source. The source is evaluated
+     * in its own function scope with browser globals shadowed, and receives
+     * the SmartWeave global for the interaction being evaluated.
+     * @param {string} sourceCode - Contract source code
+     * @returns {Function} handler(state, action, swGlobal)
+     */
+    createHandler(sourceCode) {
+        const normalized = sourceCode
+            .replace(/export\s+async\s+function\s+handle/, 'async function handle')
+            .replace(/export\s+function\s+handle/, 'function handle')
+            .replace(/export\s*\{\s*handle\s*\}\s*;?/, '')
+            .replace(/export\s+default\s+/, '');
+
+        const swGlobal = {};
+        const factory = new Function(
+            'SmartWeave', 'ContractError', 'ContractAssert',
+            'window', 'document', 'globalThis', 'self', 'fetch', 'XMLHttpRequest', 'WebSocket',
+            'localStorage', 'sessionStorage', 'indexedDB',
+            `"use strict";\n${normalized}\nreturn handle;`
+        );
+        const handle = factory(swGlobal, ContractError, ContractAssert);
+
+        return (state, action, currentGlobal) => {
+            Object.assign(swGlobal, currentGlobal);
+            return handle(state, action);
+        };
+    }
+
+    reportProgress(message) {
+        if (this.onProgress) {
+            this.onProgress(message);
+        }
+    }
+
+    /**
+     * Clear the cached state so the next request evaluates the interactions
+     * mined since
+     */
+    clearCache() {
+        this.cachedState = null;
+    }
+}
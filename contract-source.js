@@ -0,0 +1,217 @@
+/**
+ * Contract source review: a small JavaScript tokenizer for highlighting,
+ * an outline of the `input.function` handlers a contract accepts, and
+ * SHA-256 fingerprints to recognize known source versions.
+ */
+
+/**
+ * Community contract source versions known to this app. Add a version here
+ * once it has been reviewed, with the fingerprint of the reviewed source and
+ * a reference to the review. Only a matching fingerprint makes a loaded
+ * source known: a matching transaction ID says nothing about whether the
+ * gateway served the bytes that were reviewed. Entries whose fingerprint is
+ * not on record yet (null) never verify.
+ */
+export const KNOWN_SOURCES = [
+    {
+        name: 'Community contract (CommunityXYZ)',
+        sourceTxId: 'ngMml4jmlxu0umpiQCsHgPX2pb_Yz6YDB8f7G6j-tpI',
+        fingerprint: null,
+        reference: 'Default contract source of community-js 1.1.78, https://github.com/CommunityXYZ/community-js'
+    }
+];
+
+const KEYWORDS = new Set([
+    'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+    'in', 'instanceof', 'let', 'new', 'null', 'of', 'return', 'static', 'super', 'switch', 'this',
+    'throw', 'true', 'try', 'typeof', 'undefined', 'var', 'void', 'while', 'with', 'yield'
+]);
+
+// Keywords after which a slash starts a regular expression, not a division
+const REGEX_KEYWORDS = new Set([
+    'await', 'case', 'delete', 'do', 'else', 'in', 'instanceof', 'new', 'return', 'throw', 'typeof', 'void', 'yield'
+]);
+
+// Tried in order at each position, all sticky
+const PATTERNS = [
+    ['whitespace', /\s+/y],
+    ['comment', /\/\/[^\n]*|\/\*[\s\S]*?(?:\*\/|$)/y],
+    ['string', /'(?:[^'\\\n]|\\[\s\S])*'?|"(?:[^"\\\n]|\\[\s\S])*"?|`(?:[^`\\]|\\[\s\S])*`?/y],
+    ['regex', /\/(?![*/])(?:[^/\\[\n]|\\.|\[(?:[^\]\\\n]|\\.)*\])+\/[a-z]*/y],
+    ['number', /(?:0[xXbBoO][\da-fA-F_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:[eE][+-]?\d+)?)n?/y],
+    ['identifier', /[A-Za-z_$\u00a0-\uffff][\w$\u00a0-\uffff]*/y],
+    ['punctuation', /\.\.\.|>>>=?|[=!]==|\*\*=?|<<=?|>>=?|&&=?|\|\|=?|\?\?=?|=>|[=!<>+\-*/%&|^]=|\?\.(?!\d)|\+\+|--|[\s\S]/y]
+];
+
+function regexAllowed(previous) {
+    if (!previous) return true;
+    if (previous.type === 'keyword') return REGEX_KEYWORDS.has(previous.text);
+    return previous.type === 'punctuation' && !/^[)\]}]$/.test(previous.text);
+}
+
+/**
+ * Split JavaScript source into tokens. This is a highlighter, not a parser:
+ * template literal expressions stay part of the string and a slash after
+ * `}` is always read as division.
+ * @param {string} source - Contract source code
+ * @returns {Array<Object>} Tokens as `{type, text, line}` where type is `whitespace`,
+ * `comment`, `string`, `regex`, `number`, `keyword`, `identifier` or `punctuation`
+ * and line is the 1-based line the token starts on
+ */
+export function tokenizeSource(source) {
+    const tokens = [];
+    let index = 0;
+    let line = 1;
+    let previous = null;
+
+    while (index < source.length) {
+        for (const [type, pattern] of PATTERNS) {
+            if (type === 'regex' && !regexAllowed(previous)) continue;
+
+            pattern.lastIndex = index;
+            const match = pattern.exec(source);
+            if (!match || !match[0]) continue;
+
+            const text = match[0];
+            const token = {
+                type: type === 'identifier' && KEYWORDS.has(text) ? 'keyword' : type,
+                text,
+                line
+            };
+            tokens.push(token);
+            if (type !== 'whitespace' && type !== 'comment') {
+                previous = token;
+            }
+
+            index += text.length;
+            line += text.split('\n').length - 1;
+            break;
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Group tokens by source line, splitting multi-line tokens such as block
+ * comments and template literals so every line can be rendered on its own
+ * @param {Array<Object>} tokens - Tokens from `tokenizeSource`
+ * @returns {Array<Array<Object>>} One `{type, text}` list per line
+ */
+export function groupTokenLines(tokens) {
+    const lines = [[]];
+
+    tokens.forEach(({ type, text }) => {
+        text.split('\n').forEach((part, index) => {
+            if (index > 0) lines.push([]);
+            if (part) lines[lines.length - 1].push({ type, text: part });
+        });
+    });
+
+    return lines;
+}
+
+function unquote(token) {
+    if (!token || token.type !== 'string' || token.text.length < 2) return null;
+    const value = token.text.slice(1, -1);
+    return token.text[0] === '`' && value.includes('${') ? null : value;
+}
+
+/**
+ * Find the `input.function` handlers of a contract, written either as
+ * comparisons (`input.function === 'transfer'`, either side) or as the
+ * cases of a `switch (input.function)`
+ * @param {Array<Object>} tokens - Tokens from `tokenizeSource`
+ * @returns {Array<Object>} `{name, line}` of each handler's first occurrence, in source order
+ */
+export function findFunctionHandlers(tokens) {
+    const code = tokens.filter(token => token.type !== 'whitespace' && token.type !== 'comment');
+    const handlers = new Map();
+    const add = (name, line) => {
+        if (name && !handlers.has(name)) handlers.set(name, { name, line });
+    };
+    const is = (index, text) => code[index] && code[index].text === text;
+
+    code.forEach((token, index) => {
+        if (token.text !== 'input' || !is(index + 1, '.') || !is(index + 2, 'function')) return;
+
+        if (is(index + 3, '===') || is(index + 3, '==')) {
+            add(unquote(code[index + 4]), token.line);
+            return;
+        }
+        if (is(index - 1, '===') || is(index - 1, '==')) {
+            add(unquote(code[index - 2]), token.line);
+            return;
+        }
+
+        // switch (input.function), also as action.input.function
+        let start = index;
+        while (is(start - 1, '.') && code[start - 2] && code[start - 2].type === 'identifier') {
+            start -= 2;
+        }
+        if (!is(start - 1, '(') || !is(start - 2, 'switch') || !is(index + 3, ')') || !is(index + 4, '{')) return;
+
+        let depth = 1;
+        for (let i = index + 5; i < code.length && depth > 0; i++) {
+            if (code[i].text === '{') depth++;
+            else if (code[i].text === '}') depth--;
+            else if (depth === 1 && code[i].text === 'case' && is(i + 2, ':')) {
+                add(unquote(code[i + 1]), code[i].line);
+            }
+        }
+    });
+
+    return [...handlers.values()].sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Fingerprint contract source as the hex SHA-256 of its UTF-8 bytes, the
+ * same value `sha256sum` prints for the source file
+ * @param {string} source - Contract source code
+ * @returns {Promise<string>} Promise resolving to the fingerprint
+ */
+export async function fingerprintSource(source) {
+    const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(source));
+    return Array.from(new Uint8Array(hash))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * List the source versions of a contract. A contract starts on its
+ * `Contract-Src` transaction; once `evolve` points to newer source and
+ * `canEvolve` is set, interactions are evaluated against that source instead.
+ * @param {string} contractSrc - Source transaction ID from the `Contract-Src` tag
+ * @param {Object} state - Bare contract state
+ * @returns {Array<Object>} `{txId, role, current}` where role is `original` or
+ * `evolved` and exactly one version is current
+ */
+export function getSourceVersions(contractSrc, state) {
+    const evolved = state && typeof state.evolve === 'string' && state.evolve !== contractSrc ? state.evolve : null;
+    const evolveActive = Boolean(evolved && state.canEvolve);
+
+    const versions = [{ txId: contractSrc, role: 'original', current: !evolveActive }];
+    if (evolved) {
+        versions.push({ txId: evolved, role: 'evolved', current: evolveActive });
+    }
+    return versions;
+}
+
+/**
+ * Find the known source version a loaded source matches, by fingerprint
+ * first and then by transaction ID
+ * @param {string} fingerprint - Fingerprint from `fingerprintSource`
+ * @param {string} sourceTxId - Source transaction ID
+ * @returns {Object|null} `{name, sourceTxId, fingerprint, reference, verified}` where the
+ * entry comes from `KNOWN_SOURCES` and verified is true only if the fingerprint matches, or null
+ */
+export function findKnownSource(fingerprint, sourceTxId) {
+    const verified = KNOWN_SOURCES.find(source => source.fingerprint && source.fingerprint === fingerprint);
+    if (verified) {
+        return { ...verified, verified: true };
+    }
+
+    const listed = KNOWN_SOURCES.find(source => source.sourceTxId === sourceTxId);
+    return listed ? { ...listed, verified: false } : null;
+}
@@ -0,0 +1,69 @@
+/**
+ * Summaries of contract states for comparing several contracts side by
+ * side. Works on any contract built on the Community contract, so the
+ * watchlist can hold other PSTs next to ArDrive.
+ */
+
+/**
+ * Summarize the supply and holders of a contract state
+ * @param {Object} state - Bare contract state (`{balances, vault, settings}`)
+ * @param {number} currentBlockHeight - Height of the latest block. Vault entries ending
+ * at or before it count as vaulted but not locked; without a height every entry is locked
+ * @returns {Object} `{liquid, vaulted, locked, totalSupply, holders, lockedPercent}` where
+ * `holders` counts addresses with a liquid or vaulted balance
+ */
+export function summarizeContract(state, currentBlockHeight = null) {
+    const holders = new Set();
+    let liquid = 0;
+    let vaulted = 0;
+    let locked = 0;
+
+    Object.entries(state.balances).forEach(([address, balance]) => {
+        liquid += balance;
+        if (balance > 0) holders.add(address);
+    });
+
+    Object.entries(state.vault || {}).forEach(([address, entries]) => {
+        entries.forEach(entry => {
+            vaulted += entry.balance;
+            if (currentBlockHeight === null || entry.end > currentBlockHeight) {
+                locked += entry.balance;
+            }
+            if (entry.balance > 0) holders.add(address);
+        });
+    });
+
+    const totalSupply = liquid + vaulted;
+    return {
+        liquid,
+        vaulted,
+        locked,
+        totalSupply,
+        holders: holders.size,
+        lockedPercent: totalSupply > 0 ? (locked / totalSupply) * 100 : 0
+    };
+}
+
+/**
+ * Line up the settings of several contracts
+ * @param {Array<Object|null>} states - Bare contract states, null for ones not loaded yet
+ * @returns {Array<Object>} `{key, values, differs}` for every setting key in any state,
+ * in the order first seen, where `values` holds one value per state (undefined if unset)
+ * and `differs` is true when the loaded states disagree
+ */
+export function compareSettings(states) {
+    const maps = states.map(state => state ? new Map(state.settings || []) : null);
+    const keys = [];
+    maps.forEach(settings => {
+        if (!settings) return;
+        settings.forEach((value, key) => {
+            if (!keys.includes(key)) keys.push(key);
+        });
+    });
+
+    return keys.map(key => {
+        const values = maps.map(settings => settings ? settings.get(key) : undefined);
+        const loaded = values.filter((value, index) => maps[index]).map(value => JSON.stringify(value));
+        return { key, values, differs: new Set(loaded).size > 1 };
+    });
+}
@@ -0,0 +1,114 @@
+/**
+ * Holder distribution metrics. Every function takes a plain array of
+ * holdings (one number per address) and ignores empty holdings.
+ */
+
+function positiveAscending(values) {
+    return values.filter(value => value > 0).sort((a, b) => a - b);
+}
+
+/**
+ * Count holdings per power-of-ten bucket: [1, 10), [10, 100), ...
+ * @param {Array<number>} values - Holdings
+ * @returns {Array<{min: number, max: number, count: number, total: number}>} Buckets from smallest to largest
+ */
+export function logHistogram(values) {
+    const sorted = positiveAscending(values);
+    if (sorted.length === 0) return [];
+
+    // Fractional holdings below 1 share the first bucket
+    const maxExponent = Math.max(0, Math.floor(Math.log10(sorted[sorted.length - 1])));
+    const buckets = [];
+    for (let exponent = 0; exponent <= maxExponent; exponent++) {
+        buckets.push({ min: 10 ** exponent, max: 10 ** (exponent + 1), count: 0, total: 0 });
+    }
+
+    sorted.forEach(value => {
+        const index = Math.min(maxExponent, Math.max(0, Math.floor(Math.log10(value))));
+        buckets[index].count++;
+        buckets[index].total += value;
+    });
+
+    return buckets;
+}
+
+/**
+ * Points of the Lorenz curve: cumulative share of holders (poorest first)
+ * against cumulative share of holdings
+ * @param {Array<number>} values - Holdings
+ * @param {number} maxPoints - Upper bound on returned points, for drawing
+ * @returns {Array<{x: number, y: number}>} Points from (0, 0) to (1, 1)
+ */
+export function lorenzCurve(values, maxPoints = 200) {
+    const sorted = positiveAscending(values);
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return [{ x: 0, y: 0 }, { x: 1, y: 1 }];
+
+    const step = Math.max(1, Math.floor(sorted.length / maxPoints));
+    const points = [{ x: 0, y: 0 }];
+    let cumulative = 0;
+
+    sorted.forEach((value, index) => {
+        cumulative += value;
+        if ((index + 1) % step === 0 || index === sorted.length - 1) {
+            points.push({ x: (index + 1) / sorted.length, y: cumulative / total });
+        }
+    });
+
+    return points;
+}
+
+/**
+ * Gini coefficient: 0 when everyone holds the same, approaching 1 when
+ * one holder has everything
+ * @param {Array<number>} values - Holdings
+ * @returns {number} Gini coefficient
+ */
+export function giniCoefficient(values) {
+    const sorted = positiveAscending(values);
+    const n = sorted.length;
+    const total = sorted.reduce((sum, value) => sum + value, 0);
+    if (n === 0 || total === 0) return 0;
+
+    const weighted = sorted.reduce((sum, value, index) => sum + (index + 1) * value, 0);
+    return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Share of all holdings held by the largest N holders
+ * @param {Array<number>} values - Holdings
+ * @param {Array<number>} sizes - Values of N
+ * @returns {Array<{n: number, amount: number, share: number}>} One entry per N
+ */
+export function topConcentration(values, sizes = [1, 10, 50, 100]) {
+    const descending = positiveAscending(values).reverse();
+    const total = descending.reduce((sum, value) => sum + value, 0);
+
+    return sizes.map(n => {
+        const amount = descending.slice(0, n).reduce((sum, value) => sum + value, 0);
+        return { n, amount, share: total > 0 ? amount / total : 0 };
+    });
+}
+
+/**
+ * Nakamoto coefficient: the smallest number of holders that together
+ * hold more than the threshold share of all holdings
+ * @param {Array<number>} values - Holdings
+ * @param {number} threshold - Share to exceed (0.5 for a simple majority)
+ * @returns {number} Number of holders, 0 if there are no holdings
+ */
+export function nakamotoCoefficient(values, threshold = 0.5) {
+    const descending = positiveAscending(values).reverse();
+    const total = descending.reduce((sum, value) => sum + value, 0);
+    if (total === 0) return 0;
+
+    let cumulative = 0;
+    for (let i = 0; i < descending.length; i++) {
+        cumulative += descending[i];
+        if (cumulative > total * threshold) {
+            return i + 1;
+        }
+    }
+
+    return descending.length;
+}
@@ -0,0 +1,88 @@
+/**
+ * Serializers for data exports. Every format carries the same metadata
+ * header so a file can be traced back to the state it came from.
+ */
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    json: 'application/json',
+    ndjson: 'application/x-ndjson'
+};
+
+/**
+ * Format a value as a CSV cell, quoting it when it holds a comma, quote or
+ * line break. Objects are written as JSON.
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with the metadata as leading `# key: value` comment lines
+ * @param {Object} metadata - Export metadata
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {string} CSV content
+ */
+export function toCsv(metadata, columns, rows) {
+    const comments = Object.entries(metadata).map(([key, value]) => `# ${key}: ${value ?? ''}`);
+    const lines = rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','));
+
+    return [...comments, columns.join(','), ...lines].join('\n');
+}
+
+/**
+ * A single JSON document: `{metadata, rows}`
+ * @param {Object} metadata - Export metadata
+ * @param {Array<Object>} rows - Rows to export
+ * @returns {string} JSON content
+ */
+export function toJson(metadata, rows) {
+    return JSON.stringify({ metadata, rows }, null, 2);
+}
+
+/**
+ * Newline-delimited JSON: a `{metadata}` line followed by one line per row
+ * @param {Object} metadata - Export metadata
+ * @param {Array<Object>} rows - Rows to export
+ * @returns {string} NDJSON content
+ */
+export function toNdjson(metadata, rows) {
+    return [JSON.stringify({ metadata }), ...rows.map(row => JSON.stringify(row))].join('\n');
+}
+
+/**
+ * Serialize rows in the requested format
+ * @param {string} format - `csv`, `json` or `ndjson`
+ * @param {Object} metadata - Export metadata
+ * @param {Array<string>} columns - Column names, in order
+ * @param {Array<Object>} rows - Rows keyed by column name
+ * @returns {{content: string, mimeType: string, extension: string}} Serialized export
+ * @throws {Error} If the format is unknown
+ */
+export function formatExport(format, metadata, columns, rows) {
+    let content;
+
+    switch (format) {
+        case 'csv':
+            content = toCsv(metadata, columns, rows);
+            break;
+        case 'json':
+            content = toJson(metadata, rows);
+            break;
+        case 'ndjson':
+            content = toNdjson(metadata, rows);
+            break;
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+
+    return { content, mimeType: MIME_TYPES[format], extension: format };
+}
@@ -0,0 +1,208 @@
+import { DataSource } from './data-source.js';
+
+const MAX_REPORTED_ERRORS = 20;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function describeValue(value) {
+    if (value === undefined) return 'nothing';
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return `"${value.length > 20 ? `${value.slice(0, 20)}...` : value}"`;
+    return typeof value === 'object' ? 'an object' : String(value);
+}
+
+/**
+ * Check that an object has the shape of a Community contract state
+ * @param {Object} state - Bare contract state (`{balances, vault, ...}`)
+ * @returns {Array<string>} One message per invalid field, empty if the state is valid
+ */
+export function validateTokenState(state) {
+    const errors = [];
+
+    if (!isPlainObject(state.balances)) {
+        errors.push(`state.balances: expected an object of address → balance, got ${describeValue(state.balances)}`);
+    } else {
+        Object.entries(state.balances).forEach(([address, balance]) => {
+            if (!isNonNegativeInteger(balance)) {
+                errors.push(`state.balances["${address}"]: expected a non-negative integer, got ${describeValue(balance)}`);
+            }
+        });
+    }
+
+    if (state.vault !== undefined) {
+        if (!isPlainObject(state.vault)) {
+            errors.push(`state.vault: expected an object of address → vault entries, got ${describeValue(state.vault)}`);
+        } else {
+            Object.entries(state.vault).forEach(([address, entries]) => {
+                if (!Array.isArray(entries)) {
+                    errors.push(`state.vault["${address}"]: expected an array, got ${describeValue(entries)}`);
+                    return;
+                }
+                entries.forEach((entry, index) => {
+                    const path = `state.vault["${address}"][${index}]`;
+                    if (!isPlainObject(entry)) {
+                        errors.push(`${path}: expected {balance, start, end}, got ${describeValue(entry)}`);
+                        return;
+                    }
+                    ['balance', 'start', 'end'].forEach(field => {
+                        if (!isNonNegativeInteger(entry[field])) {
+                            errors.push(`${path}.${field}: expected a non-negative integer, got ${describeValue(entry[field])}`);
+                        }
+                    });
+                    if (isNonNegativeInteger(entry.start) && isNonNegativeInteger(entry.end) && entry.end < entry.start) {
+                        errors.push(`${path}: end (${entry.end}) is before start (${entry.start})`);
+                    }
+                });
+            });
+        }
+    }
+
+    if (state.settings !== undefined) {
+        if (!Array.isArray(state.settings)) {
+            errors.push(`state.settings: expected an array of [key, value] pairs, got ${describeValue(state.settings)}`);
+        } else {
+            state.settings.forEach((pair, index) => {
+                if (!Array.isArray(pair) || pair.length !== 2 || typeof pair[0] !== 'string') {
+                    errors.push(`state.settings[${index}]: expected a [key, value] pair, got ${describeValue(pair)}`);
+                }
+            });
+        }
+    }
+
+    if (state.votes !== undefined && !Array.isArray(state.votes)) {
+        errors.push(`state.votes: expected an array, got ${describeValue(state.votes)}`);
+    }
+
+    ['name', 'ticker'].forEach(field => {
+        if (state[field] !== undefined && typeof state[field] !== 'string') {
+            errors.push(`state.${field}: expected a string, got ${describeValue(state[field])}`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * DataSource implementation that reads state from a user-supplied file
+ * (File API). Accepts the `{contractTxId, state}` wrapper used by the
+ * other sources, a bare contract state, or either of them gzipped.
+ */
+export class FileSource extends DataSource {
+    /**
+     * @param {File|Blob} file - File picked or dropped by the user
+     * @param {Object} options - Optional configuration
+     * @param {string} options.contractTxId - Contract ID to use when the file holds a bare state
+     */
+    constructor(file, options = {}) {
+        super();
+        this.file = file;
+        this.contractTxId = options.contractTxId || null;
+        this.cachedState = null;
+    }
+
+    /**
+     * Reads, decompresses, parses and validates the file
+     * @returns {Promise<Object>} Promise resolving to the token state object
+     * @throws {Error} If the file cannot be read or fails validation, with one line per invalid field
+     */
+    async fetchState() {
+        // Return cached state if available
+        if (this.cachedState) {
+            return this.cachedState;
+        }
+
+        const fileName = this.file.name || 'file';
+        let text;
+        try {
+            text = await this.readText();
+        } catch (error) {
+            throw new Error(`Error reading ${fileName}: ${error.message}`);
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Error reading ${fileName}: not valid JSON (${error.message})`);
+        }
+
+        const data = this.normalize(parsed);
+        const errors = this.validate(data);
+
+        if (errors.length > 0) {
+            const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+            const more = errors.length > shown.length ? [`...and ${errors.length - shown.length} more`] : [];
+            throw new Error([`${fileName} is not a valid token state:`, ...shown.map(error => `- ${error}`), ...more].join('\n'));
+        }
+
+        // Cache the state
+        this.cachedState = data;
+        return data;
+    }
+
+    /**
+     * Read the file as text, gunzipping it when it starts with the gzip magic bytes
+     * @returns {Promise<string>} Promise resolving to the file contents
+     */
+    async readText() {
+        const buffer = await this.file.arrayBuffer();
+        const bytes = new Uint8Array(buffer);
+
+        if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+            const stream = new Response(buffer).body.pipeThrough(new DecompressionStream('gzip'));
+            return new Response(stream).text();
+        }
+
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Wrap a bare state in the `{contractTxId, state}` format
+     * @param {Object} parsed - Parsed file contents
+     * @returns {Object} Wrapped state
+     */
+    normalize(parsed) {
+        if (!isPlainObject(parsed)) {
+            return { contractTxId: this.contractTxId, state: parsed, sortKey: null, validity: null };
+        }
+
+        if (isPlainObject(parsed.state)) {
+            return {
+                ...parsed,
+                contractTxId: parsed.contractTxId || this.contractTxId
+            };
+        }
+
+        return { contractTxId: this.contractTxId, state: parsed, sortKey: null, validity: null };
+    }
+
+    validate(data) {
+        if (!isPlainObject(data.state)) {
+            return [`state: expected an object, got ${describeValue(data.state)}`];
+        }
+
+        const errors = validateTokenState(data.state);
+
+        if (!data.contractTxId) {
+            errors.unshift('contractTxId: missing. Bare states need the contract address entered before loading');
+        } else if (!/^[a-zA-Z0-9_-]{43}$/.test(data.contractTxId)) {
+            errors.unshift(`contractTxId: expected a 43 character transaction ID, got ${describeValue(data.contractTxId)}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Clear the cached state and re-read the file on next request
+     */
+    clearCache() {
+        this.cachedState = null;
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * A single IndexedDB object store, opened on first use. Shared by the
+ * persistent stores of the app; every method resolves to null when
+ * IndexedDB is unavailable (private browsing, old browsers).
+ */
+export class IdbStore {
+    /**
+     * @param {Object} options - Store configuration
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {number} options.version - Database version
+     * @param {string} options.storeName - Object store name
+     * @param {string} options.keyPath - Property entries are keyed by
+     */
+    constructor({ dbName, version = 1, storeName, keyPath }) {
+        this.dbName = dbName;
+        this.version = version;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase|null>} Promise resolving to the database, or null without IndexedDB
+     */
+    open() {
+        if (!window.indexedDB) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    if (!request.result.objectStoreNames.contains(this.storeName)) {
+                        request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run requests against the object store in one transaction
+     * @param {string} mode - `readonly` or `readwrite`
+     * @param {Function} callback - Called with the object store, may return a request
+     * @returns {Promise<*>} Promise resolving to the result of the returned request once
+     * the transaction completes, or null
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+        if (!db) return null;
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const result = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(result && 'result' in result ? result.result : null);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * Persistent queue of submitted SmartWeave interactions. Polls the gateway
+ * for confirmations and remembers which interactions have shown up in a
+ * loaded contract state.
+ */
+export class InteractionTracker {
+    /**
+     * @param {Object} gateway - Client exposing `fetchTransactionStatus(txId)`
+     * @param {Object} options - Optional tracker configuration
+     * @param {Storage} options.storage - Where the queue is persisted (localStorage by default)
+     * @param {string} options.storageKey - Key used in storage
+     * @param {number} options.pollInterval - Milliseconds between status checks
+     * @param {number} options.dropAfter - Milliseconds after which an unseen transaction is considered dropped
+     * @param {number} options.refreshWindow - Milliseconds after confirmation to keep waiting for the state to reflect it
+     * @param {number} options.refreshBackoff - Milliseconds before the first state refresh retry, doubled on each retry
+     * @param {Function} options.onChange - Called with the entries whenever they change
+     * @param {Function} options.onRefreshDue - Called with the confirmed entries whose state refresh is due
+     */
+    constructor(gateway, options = {}) {
+        this.gateway = gateway;
+        this.storage = options.storage || window.localStorage;
+        this.storageKey = options.storageKey || 'ardrive-token-app:interactions';
+        this.pollInterval = options.pollInterval || 30000; // 30 seconds default
+        this.dropAfter = options.dropAfter || 60 * 60 * 1000; // 1 hour default
+        this.refreshWindow = options.refreshWindow || 15 * 60 * 1000; // 15 minutes default
+        this.refreshBackoff = options.refreshBackoff || 30000; // 30 seconds default
+        this.refreshBackoffMax = 5 * 60 * 1000; // 5 minutes
+        this.onChange = options.onChange || null;
+        this.onRefreshDue = options.onRefreshDue || null;
+        this.timer = null;
+        this.refreshTimer = null;
+        this.lastRefreshCheck = Date.now();
+        this.polling = false;
+        this.entries = this.load();
+    }
+
+    load() {
+        try {
+            const stored = this.storage.getItem(this.storageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            console.warn('Could not read tracked interactions:', error.message);
+            return [];
+        }
+    }
+
+    persist() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Could not save tracked interactions:', error.message);
+        }
+    }
+
+    save() {
+        this.persist();
+
+        if (this.onChange) {
+            this.onChange(this.entries);
+        }
+    }
+
+    /**
+     * Add a freshly posted interaction to the queue
+     * @param {Object} interaction - `{id, contractId, input, caller}`
+     */
+    add(interaction) {
+        this.entries.unshift({
+            id: interaction.id,
+            contractId: interaction.contractId,
+            input: interaction.input,
+            caller: interaction.caller,
+            submittedAt: Date.now(),
+            status: 'pending',
+            confirmations: 0,
+            blockHeight: null,
+            confirmedAt: null,
+            refreshAttempts: 0,
+            nextRefreshAt: null,
+            reflected: false,
+            valid: null
+        });
+        this.save();
+    }
+
+    /**
+     * Get tracked interactions, newest first
+     * @param {string} status - Optional status to filter by
+     * @returns {Array<Object>} Tracked interactions
+     */
+    list(status = null) {
+        return status ? this.entries.filter(entry => entry.status === status) : [...this.entries];
+    }
+
+    /**
+     * Confirmed interactions of a contract that the loaded state does not show yet
+     * @param {string} contractId - Contract transaction ID
+     * @returns {Array<Object>} Interactions waiting for a state refresh
+     */
+    awaitingRefresh(contractId) {
+        const now = Date.now();
+        return this.entries.filter(entry => entry.contractId === contractId && this.isAwaitingRefresh(entry, now));
+    }
+
+    isAwaitingRefresh(entry, now) {
+        return entry.status === 'confirmed' && !entry.reflected && now - entry.confirmedAt < this.refreshWindow;
+    }
+
+    /**
+     * Interactions of a contract whose effect the loaded state may not include
+     * yet: pending ones and confirmed ones still awaiting a refresh
+     * @param {string} contractId - Contract transaction ID
+     * @returns {Array<Object>} Interactions, oldest first
+     */
+    unevaluated(contractId) {
+        const awaiting = this.awaitingRefresh(contractId);
+        return this.entries
+            .filter(entry =>
+                (entry.contractId === contractId && entry.status === 'pending') ||
+                awaiting.includes(entry)
+            )
+            .reverse();
+    }
+
+    /**
+     * Mark confirmed interactions as reflected once a loaded state includes them
+     * @param {string} contractId - Contract transaction ID of the loaded state
+     * @param {Object} validity - Map of evaluated interaction IDs, if the source provides one
+     */
+    markReflected(contractId, validity) {
+        let changed = false;
+
+        this.entries.forEach(entry => {
+            if (entry.contractId !== contractId || entry.status !== 'confirmed' || entry.reflected) {
+                return;
+            }
+
+            // Without a validity map the refreshed state is the best we can do
+            if (!validity || entry.id in validity) {
+                entry.reflected = true;
+                entry.valid = validity ? validity[entry.id] : null;
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.save();
+            this.scheduleRefresh();
+        }
+    }
+
+    /**
+     * Remove confirmed and dropped interactions from the queue
+     */
+    clearFinished() {
+        this.entries = this.entries.filter(entry => entry.status === 'pending');
+        this.save();
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Push back the next state refresh of confirmed interactions by one more
+     * backoff step, e.g. when a refresh found the state unchanged
+     * @param {Array<Object>} entries - Tracked interactions
+     */
+    deferRefresh(entries) {
+        const now = Date.now();
+        entries.forEach(entry => this.backOffRefresh(entry, now));
+        this.persist();
+        this.scheduleRefresh();
+    }
+
+    backOffRefresh(entry, now) {
+        entry.refreshAttempts = (entry.refreshAttempts || 0) + 1;
+        entry.nextRefreshAt = now + Math.min(this.refreshBackoff * 2 ** (entry.refreshAttempts - 1), this.refreshBackoffMax);
+    }
+
+    /**
+     * Arm the refresh timer for the next confirmed interaction due a state
+     * refresh, or for the end of its refresh window. A refresh is due right
+     * after confirmation, then again with exponential backoff until a loaded
+     * state reflects the interaction or the window closes.
+     */
+    scheduleRefresh() {
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+
+        const now = Date.now();
+        const waiting = this.entries.filter(entry => this.isAwaitingRefresh(entry, now));
+        if (waiting.length === 0) return;
+
+        const next = Math.min(...waiting.map(entry => Math.min(
+            entry.nextRefreshAt || entry.confirmedAt,
+            entry.confirmedAt + this.refreshWindow
+        )));
+        this.refreshTimer = setTimeout(() => this.checkRefreshes(), Math.max(0, next - now));
+    }
+
+    checkRefreshes() {
+        const now = Date.now();
+        const since = this.lastRefreshCheck;
+        this.lastRefreshCheck = now;
+
+        const due = this.entries.filter(entry =>
+            this.isAwaitingRefresh(entry, now) && (entry.nextRefreshAt || entry.confirmedAt) <= now
+        );
+        due.forEach(entry => this.backOffRefresh(entry, now));
+        this.persist();
+
+        // Interactions whose window just closed stop being projected as pending
+        const expired = this.entries.some(entry =>
+            entry.status === 'confirmed' && !entry.reflected &&
+            entry.confirmedAt + this.refreshWindow > since &&
+            entry.confirmedAt + this.refreshWindow <= now
+        );
+        if (expired) {
+            this.save();
+        }
+
+        if (due.length > 0 && this.onRefreshDue) {
+            this.onRefreshDue(due);
+        }
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Check the status of every pending interaction once
+     */
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+
+        try {
+            const pending = this.entries.filter(entry => entry.status === 'pending');
+            let changed = false;
+
+            for (const entry of pending) {
+                try {
+                    const result = await this.gateway.fetchTransactionStatus(entry.id);
+
+                    if (result.status === 'confirmed') {
+                        entry.status = 'confirmed';
+                        entry.confirmations = result.confirmations;
+                        entry.blockHeight = result.blockHeight;
+                        entry.confirmedAt = Date.now();
+                        entry.refreshAttempts = 0;
+                        entry.nextRefreshAt = null;
+                        changed = true;
+                    } else if (result.status === 'not_found' && Date.now() - entry.submittedAt > this.dropAfter) {
+                        entry.status = 'dropped';
+                        changed = true;
+                    }
+                } catch (error) {
+                    console.warn(`Could not check status of ${entry.id}:`, error.message);
+                }
+            }
+
+            // Listeners re-render on every notification, so only notify on a status change
+            if (changed) {
+                this.save();
+                this.scheduleRefresh();
+            }
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Start polling on an interval
+     */
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.pollInterval);
+        this.poll();
+        this.scheduleRefresh();
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = null;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Applies the expected effect of not-yet-evaluated interactions to a copy
+ * of a contract state, mirroring the Community contract rules for
+ * transfer, transferLocked, lock, unlock and increaseVault. Interactions
+ * the contract would reject are skipped.
+ * @param {Object} baseState - State as returned by a DataSource (`{contractTxId, state}`)
+ * @param {Array<Object>} interactions - Tracked interactions (`{id, input, caller}`), oldest first
+ * @param {number} blockHeight - Block height used for new vault start/end blocks
+ * @returns {Object} `{state, balanceDeltas, pendingEntries, applied, skipped}` where
+ * `balanceDeltas` maps addresses to liquid balance changes and `pendingEntries`
+ * is a WeakSet of added or changed vault entries
+ */
+export function projectPendingInteractions(baseState, interactions, blockHeight) {
+    const projected = structuredClone(baseState);
+    const balances = projected.state.balances;
+    const vaults = projected.state.vault = projected.state.vault || {};
+
+    const balanceDeltas = new Map();
+    const pendingEntries = new WeakSet();
+    const applied = [];
+    const skipped = [];
+
+    const adjustBalance = (address, delta) => {
+        balances[address] = (balances[address] || 0) + delta;
+        balanceDeltas.set(address, (balanceDeltas.get(address) || 0) + delta);
+    };
+
+    const addVault = (address, qty, lockLength) => {
+        const entry = {
+            balance: qty,
+            start: blockHeight,
+            end: blockHeight + lockLength
+        };
+        vaults[address] = vaults[address] || [];
+        vaults[address].push(entry);
+        pendingEntries.add(entry);
+    };
+
+    interactions.forEach(interaction => {
+        const { input, caller } = interaction;
+        const callerBalance = balances[caller] || 0;
+
+        switch (input.function) {
+            case 'transfer':
+                if (!Number.isInteger(input.qty) || input.qty <= 0 || callerBalance < input.qty) {
+                    skipped.push(interaction);
+                    return;
+                }
+                adjustBalance(caller, -input.qty);
+                adjustBalance(input.target, input.qty);
+                break;
+            case 'transferLocked':
+                if (!Number.isInteger(input.qty) || input.qty <= 0 || callerBalance < input.qty) {
+                    skipped.push(interaction);
+                    return;
+                }
+                adjustBalance(caller, -input.qty);
+                addVault(input.target, input.qty, input.lockLength);
+                break;
+            case 'lock':
+                if (!Number.isInteger(input.qty) || input.qty <= 0 || callerBalance < input.qty) {
+                    skipped.push(interaction);
+                    return;
+                }
+                adjustBalance(caller, -input.qty);
+                addVault(caller, input.qty, input.lockLength);
+                break;
+            case 'unlock': {
+                const entries = vaults[caller] || [];
+                const ended = entries.filter(entry => entry.end <= blockHeight);
+                if (ended.length === 0) {
+                    skipped.push(interaction);
+                    return;
+                }
+                vaults[caller] = entries.filter(entry => entry.end > blockHeight);
+                adjustBalance(caller, ended.reduce((sum, entry) => sum + entry.balance, 0));
+                break;
+            }
+            case 'increaseVault': {
+                const entry = (vaults[caller] || [])[input.id];
+                if (!entry || blockHeight >= entry.end) {
+                    skipped.push(interaction);
+                    return;
+                }
+                entry.end = blockHeight + input.lockLength;
+                pendingEntries.add(entry);
+                break;
+            }
+            default:
+                // Votes and proposals do not change balances or vaults
+                return;
+        }
+
+        applied.push(interaction);
+    });
+
+    return { state: projected, balanceDeltas, pendingEntries, applied, skipped };
+}
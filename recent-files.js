@@ -0,0 +1,77 @@
+import { IdbStore } from './idb-store.js';
+
+/**
+ * Remembers recently opened state files in IndexedDB so they can be
+ * reopened without picking them again. Every method degrades to a no-op
+ * when IndexedDB is unavailable (private browsing, old browsers).
+ */
+export class RecentFilesStore {
+    /**
+     * @param {Object} options - Optional store configuration
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {string} options.storeName - Object store name
+     * @param {number} options.limit - Number of files to keep
+     */
+    constructor(options = {}) {
+        this.store = new IdbStore({
+            dbName: options.dbName || 'ardrive-token-app-files',
+            storeName: options.storeName || 'recent-files',
+            keyPath: 'name'
+        });
+        this.limit = options.limit || 5;
+    }
+
+    /**
+     * List remembered files, most recently opened first
+     * @returns {Promise<Array<Object>>} Promise resolving to `{name, size, lastModified, openedAt}` entries
+     */
+    async list() {
+        const entries = await this.store.transaction('readonly', store => store.getAll()) || [];
+        return entries
+            .map(({ name, size, lastModified, openedAt }) => ({ name, size, lastModified, openedAt }))
+            .sort((a, b) => b.openedAt - a.openedAt);
+    }
+
+    /**
+     * Remember a file, replacing an earlier one with the same name and
+     * forgetting the oldest files beyond the limit
+     * @param {File} file - File to remember
+     */
+    async add(file) {
+        await this.store.transaction('readwrite', store => store.put({
+            name: file.name,
+            size: file.size,
+            lastModified: file.lastModified,
+            openedAt: Date.now(),
+            blob: file
+        }));
+
+        const entries = await this.list();
+        const stale = entries.slice(this.limit);
+        if (stale.length > 0) {
+            await this.store.transaction('readwrite', store => {
+                stale.forEach(entry => store.delete(entry.name));
+            });
+        }
+    }
+
+    /**
+     * Get a remembered file
+     * @param {string} name - File name
+     * @returns {Promise<File|null>} Promise resolving to the file, or null if it was forgotten
+     */
+    async get(name) {
+        const entry = await this.store.transaction('readonly', store => store.get(name));
+        if (!entry) return null;
+
+        return new File([entry.blob], entry.name, { lastModified: entry.lastModified });
+    }
+
+    /**
+     * Forget a file
+     * @param {string} name - File name
+     */
+    async remove(name) {
+        await this.store.transaction('readwrite', store => store.delete(name));
+    }
+}
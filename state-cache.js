@@ -0,0 +1,65 @@
+import { IdbStore } from './idb-store.js';
+
+/**
+ * Persists fetched contract states in IndexedDB so the app can show the
+ * last known state instantly on startup and keep working offline. Entries
+ * are keyed by data source and contract ID. Like the recent files store,
+ * every method degrades to a no-op when IndexedDB is unavailable.
+ */
+export class StateCache {
+    /**
+     * @param {Object} options - Optional store configuration
+     * @param {string} options.dbName - IndexedDB database name
+     * @param {string} options.storeName - Object store name
+     */
+    constructor(options = {}) {
+        this.store = new IdbStore({
+            dbName: options.dbName || 'ardrive-token-app-states',
+            storeName: options.storeName || 'states',
+            keyPath: 'key'
+        });
+    }
+
+    /**
+     * Build the key a state is cached under
+     * @param {string} source - Data source (`api` or `compute`)
+     * @param {string} contractId - Contract transaction ID
+     * @returns {string} Cache key
+     */
+    static key(source, contractId) {
+        return `${source}|${contractId}`;
+    }
+
+    /**
+     * Get a cached state
+     * @param {string} key - Key from `StateCache.key`
+     * @returns {Promise<Object|null>} Promise resolving to `{key, source, contractId, data,
+     * fetchedAt, blockHeight, provider, url, etag, lastModified}`, or null if nothing is cached
+     */
+    async get(key) {
+        return await this.store.transaction('readonly', store => store.get(key)) || null;
+    }
+
+    /**
+     * Cache a state, replacing the one cached under the same key
+     * @param {Object} entry - Entry as returned by `get`
+     */
+    async put(entry) {
+        await this.store.transaction('readwrite', store => store.put(entry));
+    }
+
+    /**
+     * Count cached states
+     * @returns {Promise<number>} Promise resolving to the number of cached states
+     */
+    async count() {
+        return await this.store.transaction('readonly', store => store.count()) || 0;
+    }
+
+    /**
+     * Forget every cached state
+     */
+    async clear() {
+        await this.store.transaction('readwrite', store => store.clear());
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Compare two token states and describe what changed between them
+ * @param {Object} before - Earlier state as returned by a DataSource (`{contractTxId, state}`)
+ * @param {Object} after - Later state in the same format
+ * @returns {Object} `{supply, balances, vaultsCreated, vaultsRemoved, vaultsExtended, settings}`
+ * where `balances` lists every address whose liquid balance changed, largest change first
+ */
+export function diffStates(before, after) {
+    return {
+        supply: diffSupply(before.state, after.state),
+        balances: diffBalances(before.state.balances, after.state.balances),
+        ...diffVaults(before.state.vault || {}, after.state.vault || {}),
+        settings: diffSettings(before.state.settings || [], after.state.settings || [])
+    };
+}
+
+function sumSupply(state) {
+    const liquid = Object.values(state.balances).reduce((sum, balance) => sum + balance, 0);
+    const vaulted = Object.values(state.vault || {}).reduce((sum, entries) =>
+        sum + entries.reduce((entrySum, entry) => entrySum + entry.balance, 0), 0);
+
+    return { liquid, vaulted, total: liquid + vaulted };
+}
+
+function diffSupply(beforeState, afterState) {
+    const before = sumSupply(beforeState);
+    const after = sumSupply(afterState);
+
+    return {
+        before,
+        after,
+        change: {
+            liquid: after.liquid - before.liquid,
+            vaulted: after.vaulted - before.vaulted,
+            total: after.total - before.total
+        }
+    };
+}
+
+function diffBalances(beforeBalances, afterBalances) {
+    const addresses = new Set([...Object.keys(beforeBalances), ...Object.keys(afterBalances)]);
+    const changes = [];
+
+    addresses.forEach(address => {
+        const before = beforeBalances[address] || 0;
+        const after = afterBalances[address] || 0;
+        if (before !== after) {
+            changes.push({ address, before, after, change: after - before });
+        }
+    });
+
+    return changes.sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+function diffVaults(beforeVaults, afterVaults) {
+    const vaultsCreated = [];
+    const vaultsRemoved = [];
+    const vaultsExtended = [];
+    const addresses = new Set([...Object.keys(beforeVaults), ...Object.keys(afterVaults)]);
+
+    addresses.forEach(address => {
+        // Vault entries have no ID, so match identical entries first
+        const remaining = [...(afterVaults[address] || [])];
+        const removed = [];
+
+        (beforeVaults[address] || []).forEach(entry => {
+            const index = remaining.findIndex(candidate =>
+                candidate.balance === entry.balance &&
+                candidate.start === entry.start &&
+                candidate.end === entry.end
+            );
+            if (index === -1) {
+                removed.push(entry);
+            } else {
+                remaining.splice(index, 1);
+            }
+        });
+
+        // increaseVault only moves the end block
+        removed.forEach(entry => {
+            const index = remaining.findIndex(candidate =>
+                candidate.balance === entry.balance &&
+                candidate.start === entry.start
+            );
+            if (index === -1) {
+                vaultsRemoved.push({ address, entry });
+            } else {
+                vaultsExtended.push({ address, before: entry, after: remaining[index] });
+                remaining.splice(index, 1);
+            }
+        });
+
+        remaining.forEach(entry => vaultsCreated.push({ address, entry }));
+    });
+
+    return { vaultsCreated, vaultsRemoved, vaultsExtended };
+}
+
+function diffSettings(beforeSettings, afterSettings) {
+    const before = new Map(beforeSettings);
+    const after = new Map(afterSettings);
+    const keys = new Set([...before.keys(), ...after.keys()]);
+    const changes = [];
+
+    keys.forEach(key => {
+        const beforeValue = before.has(key) ? before.get(key) : null;
+        const afterValue = after.has(key) ? after.get(key) : null;
+        if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+            changes.push({ key, before: beforeValue, after: afterValue });
+        }
+    });
+
+    return changes;
+}
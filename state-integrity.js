@@ -0,0 +1,157 @@
+/**
+ * Invariant checks for a Community contract state. Unlike the structural
+ * validation of state files, every check runs to completion and reports
+ * each offending entry, so a corrupted cache response can be reviewed
+ * before anyone acts on it.
+ */
+
+const ADDRESS_PATTERN = /^[a-zA-Z0-9_-]{43}$/;
+const VOTE_TYPES = ['mint', 'mintLocked', 'burnVault', 'indicative', 'set'];
+
+/**
+ * Checks run by `checkStateIntegrity`, in report order
+ */
+export const INTEGRITY_CHECKS = {
+    balances: 'Balances are non-negative integers',
+    addresses: 'Addresses are 43 character Arweave addresses',
+    vaultRanges: 'Vault entries end after they start',
+    lockLengths: 'Vault lock lengths are within lockMinLength and lockMaxLength',
+    vaultBalances: 'Vault entries hold a positive integer balance',
+    settings: 'Settings are unique [key, value] pairs',
+    votes: 'Votes are well formed and reference known targets',
+    supply: 'Total supply matches the expected supply'
+};
+
+function isNonNegativeInteger(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+/**
+ * Check a contract state against the Community contract invariants
+ * @param {Object} state - Bare contract state (`{balances, vault, settings, votes}`)
+ * @param {Object} options - Optional checks
+ * @param {number} options.expectedSupply - Total supply (liquid plus vaulted) the state should hold
+ * @returns {Object} `{issues, totalSupply}` where each issue is
+ * `{check, severity, path, message}` and severity is `error` or `warning`
+ */
+export function checkStateIntegrity(state, options = {}) {
+    const issues = [];
+    const report = (check, severity, path, message) => issues.push({ check, severity, path, message });
+
+    const balances = state.balances && typeof state.balances === 'object' ? state.balances : {};
+    const vault = state.vault && typeof state.vault === 'object' ? state.vault : {};
+    let totalSupply = 0;
+
+    Object.entries(balances).forEach(([address, balance]) => {
+        if (!ADDRESS_PATTERN.test(address)) {
+            report('addresses', 'error', `balances["${address}"]`, 'Not a valid address');
+        }
+        if (!isNonNegativeInteger(balance)) {
+            report('balances', 'error', `balances["${address}"]`, `Balance ${JSON.stringify(balance)} is not a non-negative integer`);
+        } else {
+            totalSupply += balance;
+        }
+    });
+
+    // Settings first, the lock length check needs them
+    const settings = new Map();
+    if (!Array.isArray(state.settings)) {
+        report('settings', 'error', 'settings', 'Settings are not an array of [key, value] pairs');
+    } else {
+        state.settings.forEach((pair, index) => {
+            if (!Array.isArray(pair) || pair.length !== 2 || typeof pair[0] !== 'string') {
+                report('settings', 'error', `settings[${index}]`, `Malformed pair ${JSON.stringify(pair)}`);
+                return;
+            }
+            if (settings.has(pair[0])) {
+                report('settings', 'error', `settings[${index}]`, `Duplicate key "${pair[0]}"`);
+            }
+            settings.set(pair[0], pair[1]);
+        });
+    }
+
+    const lockMinLength = settings.get('lockMinLength');
+    const lockMaxLength = settings.get('lockMaxLength');
+
+    Object.entries(vault).forEach(([address, entries]) => {
+        if (!ADDRESS_PATTERN.test(address)) {
+            report('addresses', 'error', `vault["${address}"]`, 'Not a valid address');
+        }
+        if (!Array.isArray(entries)) {
+            report('vaultRanges', 'error', `vault["${address}"]`, 'Vault is not an array of entries');
+            return;
+        }
+
+        entries.forEach((entry, index) => {
+            const path = `vault["${address}"][${index}]`;
+            if (!entry || typeof entry !== 'object') {
+                report('vaultRanges', 'error', path, 'Entry is not an object');
+                return;
+            }
+
+            if (!Number.isInteger(entry.balance) || entry.balance < 0) {
+                report('vaultBalances', 'error', path, `Balance ${JSON.stringify(entry.balance)} is not a non-negative integer`);
+            } else if (entry.balance === 0) {
+                report('vaultBalances', 'warning', path, 'Entry holds no tokens');
+            } else {
+                totalSupply += entry.balance;
+            }
+
+            if (!isNonNegativeInteger(entry.start) || !isNonNegativeInteger(entry.end)) {
+                report('vaultRanges', 'error', path, `Start ${JSON.stringify(entry.start)} or end ${JSON.stringify(entry.end)} is not a block height`);
+                return;
+            }
+            if (entry.start >= entry.end) {
+                report('vaultRanges', 'error', path, `Ends at block ${entry.end}, not after its start at ${entry.start}`);
+                return;
+            }
+
+            // Settings can change after a lock, so this is only a warning
+            const lockLength = entry.end - entry.start;
+            if ((Number.isInteger(lockMinLength) && lockLength < lockMinLength) ||
+                (Number.isInteger(lockMaxLength) && lockLength > lockMaxLength)) {
+                report('lockLengths', 'warning', path, `Lock length ${lockLength} is outside ${lockMinLength}–${lockMaxLength}`);
+            }
+        });
+    });
+
+    if (state.votes !== undefined && !Array.isArray(state.votes)) {
+        report('votes', 'error', 'votes', 'Votes are not an array');
+    } else {
+        (state.votes || []).forEach((vote, index) => {
+            const path = `votes[${index}]`;
+            if (!vote || !VOTE_TYPES.includes(vote.type)) {
+                report('votes', 'error', path, `Unknown vote type ${JSON.stringify(vote && vote.type)}`);
+                return;
+            }
+
+            if ((vote.type === 'mint' || vote.type === 'mintLocked') && !ADDRESS_PATTERN.test(vote.recipient || '')) {
+                report('votes', 'error', path, `Mint recipient ${JSON.stringify(vote.recipient)} is not a valid address`);
+            }
+            if (vote.type === 'burnVault') {
+                if (!ADDRESS_PATTERN.test(vote.target || '')) {
+                    report('votes', 'error', path, `Burn target ${JSON.stringify(vote.target)} is not a valid address`);
+                } else if (vote.status === 'active' && !(vault[vote.target] || []).length) {
+                    report('votes', 'warning', path, `Burn target ${vote.target} has no vault to burn`);
+                }
+            }
+            if (vote.type === 'set' && typeof vote.key !== 'string') {
+                report('votes', 'error', path, `Setting key ${JSON.stringify(vote.key)} is not a string`);
+            }
+            (vote.voted || []).forEach(voter => {
+                if (!ADDRESS_PATTERN.test(voter)) {
+                    report('votes', 'error', path, `Voter ${JSON.stringify(voter)} is not a valid address`);
+                }
+            });
+        });
+    }
+
+    const expectedSupply = options.expectedSupply;
+    if (Number.isFinite(expectedSupply) && totalSupply !== expectedSupply) {
+        const difference = totalSupply - expectedSupply;
+        report('supply', 'error', 'balances + vault',
+            `Total supply ${totalSupply} is ${Math.abs(difference)} ${difference > 0 ? 'more' : 'less'} than expected ${expectedSupply}`);
+    }
+
+    return { issues, totalSupply };
+}
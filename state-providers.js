@@ -0,0 +1,73 @@
+/**
+ * State providers: HTTP endpoints that serve an evaluated contract state.
+ * A provider is a URL template plus a small response adapter describing
+ * where the state and sort key sit in the response body.
+ */
+
+export const DEFAULT_PROVIDERS = [
+    {
+        name: 'ArNS Cache',
+        urlTemplate: 'https://api.arns.app/v1/contract/{contractId}?validity=true',
+        statePath: 'state',
+        sortKeyPath: 'sortKey',
+        timeout: 15000
+    }
+];
+
+function getPath(object, path) {
+    if (!path) return object;
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Build the request URL of a provider. `{contractId}`, `{blockHeight}` and
+ * `{sortKey}` are replaced in the template; historical requests on templates
+ * without the matching placeholder get it appended as a query parameter.
+ * @param {Object} provider - Provider configuration
+ * @param {string} contractId - Contract transaction ID
+ * @param {Object} stateAt - Optional `{blockHeight, sortKey}` to load a historical state
+ * @returns {string} Request URL
+ */
+export function buildProviderUrl(provider, contractId, stateAt = null) {
+    const template = provider.urlTemplate;
+    let url = template.replaceAll('{contractId}', encodeURIComponent(contractId));
+
+    ['blockHeight', 'sortKey'].forEach(key => {
+        const value = stateAt && stateAt[key] ? String(stateAt[key]) : '';
+        if (template.includes(`{${key}}`)) {
+            url = url.replaceAll(`{${key}}`, encodeURIComponent(value));
+        } else if (value) {
+            url += `${url.includes('?') ? '&' : '?'}${key}=${encodeURIComponent(value)}`;
+        }
+    });
+
+    return url;
+}
+
+/**
+ * Convert a provider response to the `{contractTxId, state, sortKey, validity}`
+ * format used by the data sources
+ * @param {Object} provider - Provider configuration with `statePath` and `sortKeyPath`
+ * (dot separated, an empty `statePath` means the body is the bare state)
+ * @param {Object} body - Parsed response body
+ * @param {string} contractId - Contract ID to use when the response has none
+ * @returns {Object} Token state
+ * @throws {Error} If the state is not where the adapter expects it
+ */
+export function adaptProviderResponse(provider, body, contractId) {
+    const state = getPath(body, provider.statePath);
+
+    if (!state || typeof state !== 'object' || !state.balances) {
+        const where = provider.statePath ? `${provider.statePath}.balances` : 'balances';
+        throw new Error(`Invalid data structure: missing ${where}`);
+    }
+
+    const sortKey = provider.sortKeyPath ? getPath(body, provider.sortKeyPath) : null;
+
+    return {
+        contractTxId: (body && body.contractTxId) || contractId,
+        state,
+        sortKey: typeof sortKey === 'string' ? sortKey : null,
+        validity: (body && body.validity) || null
+    };
+}
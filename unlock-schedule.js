@@ -0,0 +1,104 @@
+/**
+ * Projects when vaulted tokens unlock and how circulating supply grows as
+ * they do. Block heights are converted to dates assuming 2 minute blocks.
+ */
+
+const BLOCK_TIME_MS = 2 * 60 * 1000;
+
+function startOfWindow(date, interval) {
+    const start = new Date(date.getFullYear(), date.getMonth(), interval === 'month' ? 1 : date.getDate());
+
+    // Weeks start on Monday
+    if (interval === 'week') {
+        start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    }
+
+    return start;
+}
+
+function nextWindow(start, interval) {
+    return interval === 'month'
+        ? new Date(start.getFullYear(), start.getMonth() + 1, 1)
+        : new Date(start.getFullYear(), start.getMonth(), start.getDate() + 7);
+}
+
+/**
+ * Estimate the date a block will be (or was) mined
+ * @param {number} blockHeight - Block height to date
+ * @param {number} currentBlockHeight - Height of the latest block
+ * @param {Date} now - Time of the latest block
+ * @returns {Date} Estimated date
+ */
+export function estimateBlockDate(blockHeight, currentBlockHeight, now = new Date()) {
+    return new Date(now.getTime() + (blockHeight - currentBlockHeight) * BLOCK_TIME_MS);
+}
+
+/**
+ * Group upcoming vault unlocks into weekly or monthly windows
+ * @param {Object} vaults - `state.vault`: address → vault entries
+ * @param {Object} balances - `state.balances`: address → liquid balance
+ * @param {number} currentBlockHeight - Height of the latest block
+ * @param {Object} options - Schedule options
+ * @param {string} options.interval - `week` or `month`
+ * @param {Date} options.now - Time of the latest block
+ * @returns {Object} `{liquid, matured, locked, windows}` where `windows` covers every
+ * week or month from now to the last unlock, each with `{start, end, amount,
+ * circulating, unlocks}` and `circulating` is the projected supply at the end of the window
+ */
+export function buildUnlockSchedule(vaults, balances, currentBlockHeight, options = {}) {
+    const interval = options.interval || 'month';
+    const now = options.now || new Date();
+
+    const liquid = Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+    let matured = 0;
+    let locked = 0;
+    const upcoming = [];
+
+    Object.entries(vaults).forEach(([address, entries]) => {
+        entries.forEach(entry => {
+            if (entry.end <= currentBlockHeight) {
+                // Unlockable already, just not claimed yet
+                matured += entry.balance;
+            } else {
+                locked += entry.balance;
+                upcoming.push({
+                    address,
+                    balance: entry.balance,
+                    end: entry.end,
+                    date: estimateBlockDate(entry.end, currentBlockHeight, now)
+                });
+            }
+        });
+    });
+
+    upcoming.sort((a, b) => a.end - b.end);
+
+    // Contiguous windows so the x axis is proportional to time
+    const windows = [];
+    if (upcoming.length > 0) {
+        const last = upcoming[upcoming.length - 1].date;
+        let start = startOfWindow(now, interval);
+        while (start <= last) {
+            const end = nextWindow(start, interval);
+            windows.push({ start, end, amount: 0, circulating: 0, unlocks: [] });
+            start = end;
+        }
+    }
+
+    let windowIndex = 0;
+    upcoming.forEach(unlock => {
+        while (unlock.date >= windows[windowIndex].end) {
+            windowIndex++;
+        }
+        windows[windowIndex].amount += unlock.balance;
+        windows[windowIndex].unlocks.push(unlock);
+    });
+
+    let circulating = liquid + matured;
+    windows.forEach(period => {
+        circulating += period.amount;
+        period.circulating = circulating;
+    });
+
+    return { liquid, matured, locked, windows };
+}